@@ -0,0 +1,59 @@
+"use strict";
+
+// Measures the Base58btc encoding and decoding time for growing input sizes. The growth column is the
+// exponent k of the encoding time t ~ n^k between two sizes: 1 is linear, 2 quadratic.
+// Run with: yarn benchmark
+
+const crypto = require("crypto");
+
+const { encodeBase58BTC, decodeBase58BTC } = require("../src/utils/basetools");
+
+const sizes = [38, 1024, 10 * 1024, 100 * 1024, 1024 * 1024];
+
+/**
+ * Runs a function repeatedly for at least the given time and returns the average duration.
+ *
+ * @param {Function} fn - The function to measure.
+ * @param {number} minTimeMs - The minimum total running time.
+ * @returns {number} - The average duration in milliseconds.
+ */
+function measure(fn, minTimeMs) {
+  let runs = 0;
+  const start = process.hrtime.bigint();
+  let elapsedMs = 0;
+  do {
+    fn();
+    runs++;
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  } while (elapsedMs < minTimeMs);
+  return elapsedMs / runs;
+}
+
+console.log(
+  "size".padStart(10),
+  "encode ms".padStart(12),
+  "decode ms".padStart(12),
+  "encode MB/s".padStart(12),
+  "growth".padStart(8)
+);
+let previous = null;
+for (const size of sizes) {
+  const bytes = crypto.randomBytes(size);
+  const encoded = encodeBase58BTC(bytes);
+  if (!decodeBase58BTC(encoded).equals(bytes)) {
+    throw new Error(`Base58 round trip failed for ${size} bytes`);
+  }
+
+  const encodeMs = measure(() => encodeBase58BTC(bytes), 200);
+  const decodeMs = measure(() => decodeBase58BTC(encoded), 200);
+  const throughput = size / 1024 / 1024 / (encodeMs / 1000);
+  const growth = previous ? Math.log(encodeMs / previous.encodeMs) / Math.log(size / previous.size) : null;
+  previous = { size, encodeMs };
+  console.log(
+    String(size).padStart(10),
+    encodeMs.toFixed(3).padStart(12),
+    decodeMs.toFixed(3).padStart(12),
+    throughput.toFixed(2).padStart(12),
+    (growth === null ? "" : growth.toFixed(2)).padStart(8)
+  );
+}
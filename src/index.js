@@ -10,6 +10,12 @@ const {
   decodeBase58BTC,
   encodeBase32RFC,
   decodeBase32RFC,
+  encodeBase32Hex,
+  decodeBase32Hex,
+  encodeBase16,
+  decodeBase16,
+  encodeBase36,
+  decodeBase36,
   encodeBase64URL,
   decodeBase64URL,
 } = require("./utils/basetools");
@@ -17,9 +23,12 @@ const {
 // blake3tools import.
 const {
   calculateB3hashFromFile,
+  calculateB3hashFromData,
   generateMHashFromB3hash,
   extractB3hashFromMHash,
   generateCIDFromMHash,
+  generateCIDFromMHashAndSize,
+  generateCIDFromData,
   extractMHashFromCID,
   extractRawSizeFromCID,
   extractB3hashFromCID,
@@ -30,12 +39,30 @@ const {
   convertS5CidToMHashB64url,
   convertS5CidToB3hashHex,
   getAllInfosFromCid,
+  verifyContentAgainstCid,
+  defaultEncryptionChunkSizeExponent,
+  getCidTypeName,
+  generateTypedCIDFromMHash,
+  extractCidTypeFromCID,
+  generateEncryptedCID,
+  extractEncryptionInfoFromCID,
+  S5Cid,
 } = require("./utils/blake3tools");
 
 // tools import.
 const {
+  registerMultibase,
+  getMultibaseCodec,
+  encodeMultibase,
+  detectMultibase,
+  decodeMultibase,
+  convertMultibase,
   numToBuf,
   bufToNum,
+  bufToBigInt,
+  toFileSize,
+  encodeFileSize,
+  decodeFileSize,
   encodeCIDWithPrefixZ,
   decodeCIDWithPrefixZ,
   encodeCIDWithPrefixU,
@@ -53,9 +80,122 @@ const {
   getSubdomainFromUrl,
 } = require("./utils/tools");
 
+// bao import.
+const {
+  generateBaoOutboard,
+  verifyBaoRange,
+  verifyBaoStream,
+  BaoVerifier,
+} = require("./utils/bao");
+
+// cidcollections import.
+const {
+  normalizeCid,
+  cidEquals,
+  compareCids,
+  CidMap,
+  CidSet,
+} = require("./utils/cidcollections");
+
+// cidinspect import.
+const { inspectCid } = require("./utils/cidinspect");
+
+// dirmetadata import.
+const {
+  encodeDirectoryMetadata,
+  decodeDirectoryMetadata,
+  buildDirectoryMetadata,
+} = require("./utils/dirmetadata");
+
+// dirhash import.
+const {
+  hashDirectory,
+  convertManifestToJSON,
+  convertManifestToText,
+} = require("./utils/dirhash");
+
+// encryption import.
+const {
+  encryptXChaCha20Poly1305,
+  decryptXChaCha20Poly1305,
+  encryptChunk,
+  decryptChunk,
+  encryptFile,
+  decryptFile,
+  decryptFileRange,
+} = require("./utils/encryption");
+
+// errors import.
+const {
+  InvalidEncodingError,
+  InvalidCidError,
+  UnsupportedCidTypeError,
+} = require("./utils/errors");
+
 // file import.
 const { getFileMimeType, } = require("./utils/file");
 
+// hashcache import.
+const { HashCache } = require("./utils/hashcache");
+
+// mediametadata import.
+const { MediaDetails, MediaMetadata } = require("./utils/mediametadata");
+
+// metadata import.
+const { getMetadataType, generateMetadataCID, MetadataExtensions } = require("./utils/metadata");
+
+// metadataproofs import.
+const {
+  createSignatureProof,
+  encodeMetadataProofs,
+  decodeMetadataProofs,
+  verifyMetadataProofs,
+  signMetadata,
+} = require("./utils/metadataproofs");
+
+// msgpack import.
+const { encodeMsgpack, decodeMsgpack } = require("./utils/msgpack");
+
+// registry import.
+const {
+  getRegistryKeyPair,
+  encodeRegistryPublicKey,
+  getRegistryEntrySigningBytes,
+  signRegistryEntry,
+  verifyRegistryEntry,
+  serializeRegistryEntry,
+  deserializeRegistryEntry,
+  compareRegistryEntries,
+  encodeRegistryEntryCid,
+  decodeRegistryEntryCid,
+} = require("./utils/registry");
+
+// registrystore import.
+const { MemoryRegistryStore, FileRegistryStore } = require("./utils/registrystore");
+
+// resolver import.
+const { generateResolverCID, resolveCID } = require("./utils/resolver");
+
+// seed import.
+const {
+  generateSeedPhrase,
+  validateSeedPhrase,
+  deriveKey,
+  deriveRootKeyFromSeedPhrase,
+  deriveRegistryKeyPair,
+  deriveIdentityKeyPair,
+  deriveEncryptionKey,
+} = require("./utils/seed");
+
+// useridentity import.
+const { UserIdentity, createAuthPayload, decodeAuthPayload, verifyAuthPayload } = require("./utils/useridentity");
+
+// versionhistory import.
+const { getVersionHistory } = require("./utils/versionhistory");
+
+// webappmetadata import.
+const { encodeWebAppMetadata, decodeWebAppMetadata, buildWebAppMetadata } = require("./utils/webappmetadata");
+
 // url import.
 const {
   defaultS5PortalUrl,
@@ -142,13 +282,22 @@ module.exports = {
   decodeBase58BTC,
   encodeBase32RFC,
   decodeBase32RFC,
+  encodeBase32Hex,
+  decodeBase32Hex,
+  encodeBase16,
+  decodeBase16,
+  encodeBase36,
+  decodeBase36,
   encodeBase64URL,
   decodeBase64URL,
   // ### blake3tools exports.
   calculateB3hashFromFile,
+  calculateB3hashFromData,
   generateMHashFromB3hash,
   extractB3hashFromMHash,
   generateCIDFromMHash,
+  generateCIDFromMHashAndSize,
+  generateCIDFromData,
   extractMHashFromCID,
   extractRawSizeFromCID,
   extractB3hashFromCID,
@@ -159,9 +308,27 @@ module.exports = {
   convertS5CidToMHashB64url,
   convertS5CidToB3hashHex,
   getAllInfosFromCid,
+  verifyContentAgainstCid,
+  defaultEncryptionChunkSizeExponent,
+  getCidTypeName,
+  generateTypedCIDFromMHash,
+  extractCidTypeFromCID,
+  generateEncryptedCID,
+  extractEncryptionInfoFromCID,
+  S5Cid,
   // ### tools exports.
+  registerMultibase,
+  getMultibaseCodec,
+  encodeMultibase,
+  detectMultibase,
+  decodeMultibase,
+  convertMultibase,
   numToBuf,
   bufToNum,
+  bufToBigInt,
+  toFileSize,
+  encodeFileSize,
+  decodeFileSize,
   encodeCIDWithPrefixZ,
   decodeCIDWithPrefixZ,
   encodeCIDWithPrefixU,
@@ -177,8 +344,95 @@ module.exports = {
   convertDownloadDirectoryInputCid,
   addUrlSubdomain,
   getSubdomainFromUrl,
+  // ### bao exports.
+  generateBaoOutboard,
+  verifyBaoRange,
+  verifyBaoStream,
+  BaoVerifier,
+  // ### cidcollections exports.
+  normalizeCid,
+  cidEquals,
+  compareCids,
+  CidMap,
+  CidSet,
+  // ### cidinspect exports.
+  inspectCid,
+  // ### dirmetadata exports.
+  encodeDirectoryMetadata,
+  decodeDirectoryMetadata,
+  buildDirectoryMetadata,
+  // ### dirhash exports.
+  hashDirectory,
+  convertManifestToJSON,
+  convertManifestToText,
+  // ### encryption exports.
+  encryptXChaCha20Poly1305,
+  decryptXChaCha20Poly1305,
+  encryptChunk,
+  decryptChunk,
+  encryptFile,
+  decryptFile,
+  decryptFileRange,
+  // ### errors exports.
+  InvalidEncodingError,
+  InvalidCidError,
+  UnsupportedCidTypeError,
   // ### file exports.
   getFileMimeType,
+  // ### hashcache exports.
+  HashCache,
+  // ### mediametadata exports.
+  MediaDetails,
+  MediaMetadata,
+  // ### metadata exports.
+  getMetadataType,
+  generateMetadataCID,
+  MetadataExtensions,
+  // ### metadataproofs exports.
+  createSignatureProof,
+  encodeMetadataProofs,
+  decodeMetadataProofs,
+  verifyMetadataProofs,
+  signMetadata,
+  // ### msgpack exports.
+  encodeMsgpack,
+  decodeMsgpack,
+  // ### registry exports.
+  getRegistryKeyPair,
+  encodeRegistryPublicKey,
+  getRegistryEntrySigningBytes,
+  signRegistryEntry,
+  verifyRegistryEntry,
+  serializeRegistryEntry,
+  deserializeRegistryEntry,
+  compareRegistryEntries,
+  encodeRegistryEntryCid,
+  decodeRegistryEntryCid,
+  // ### registrystore exports.
+  MemoryRegistryStore,
+  FileRegistryStore,
+  // ### resolver exports.
+  generateResolverCID,
+  resolveCID,
+  // ### seed exports.
+  generateSeedPhrase,
+  validateSeedPhrase,
+  deriveKey,
+  deriveRootKeyFromSeedPhrase,
+  deriveRegistryKeyPair,
+  deriveIdentityKeyPair,
+  deriveEncryptionKey,
+  // ### useridentity exports.
+  UserIdentity,
+  createAuthPayload,
+  decodeAuthPayload,
+  verifyAuthPayload,
+  // ### versionhistory exports.
+  getVersionHistory,
+  // ### webappmetadata exports.
+  encodeWebAppMetadata,
+  decodeWebAppMetadata,
+  buildWebAppMetadata,
   // ### url exports.
   defaultS5PortalUrl,
   uriS5Prefix,
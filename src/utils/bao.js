@@ -0,0 +1,561 @@
+"use strict";
+
+const fs = require("fs");
+
+const { iterateDataChunks, S5Cid } = require("./blake3tools");
+
+const { mhashBlake3Default } = require("./constants");
+
+// ! BLAKE3 parameters
+
+// Size of a BLAKE3 chunk and block
+const blake3ChunkSize = 1024;
+const blake3BlockSize = 64;
+
+// BLAKE3 domain separation flags
+const flagChunkStart = 1 << 0;
+const flagChunkEnd = 1 << 1;
+const flagParent = 1 << 2;
+const flagRoot = 1 << 3;
+
+const blake3IV = new Uint32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+
+// Message word order of each of the 7 rounds
+const blake3MessageSchedule = (() => {
+  const permutation = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+  const schedule = [[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]];
+  for (let round = 1; round < 7; round++) {
+    schedule.push(permutation.map((i) => schedule[round - 1][i]));
+  }
+  return schedule;
+})();
+
+// Size of the Bao length header
+const baoHeaderSize = 8;
+
+// Size of a Bao parent node (left + right chaining value)
+const baoParentSize = 64;
+
+/**
+ * The BLAKE3 compression function, returning the new chaining value.
+ * The state is kept in local variables, this is the hot loop of the outboard generation.
+ *
+ * @param {Uint32Array} cv - The 8-word input chaining value.
+ * @param {Uint32Array} m - The 16-word message block.
+ * @param {number} counter - The chunk counter.
+ * @param {number} blockLen - The number of bytes in the block.
+ * @param {number} flags - The domain separation flags.
+ * @returns {Uint32Array} The 8-word output chaining value.
+ */
+function compress(cv, m, counter, blockLen, flags) {
+  let s0 = cv[0] | 0;
+  let s1 = cv[1] | 0;
+  let s2 = cv[2] | 0;
+  let s3 = cv[3] | 0;
+  let s4 = cv[4] | 0;
+  let s5 = cv[5] | 0;
+  let s6 = cv[6] | 0;
+  let s7 = cv[7] | 0;
+  let s8 = blake3IV[0] | 0;
+  let s9 = blake3IV[1] | 0;
+  let s10 = blake3IV[2] | 0;
+  let s11 = blake3IV[3] | 0;
+  let s12 = counter % 0x100000000 | 0;
+  let s13 = Math.floor(counter / 0x100000000) | 0;
+  let s14 = blockLen | 0;
+  let s15 = flags | 0;
+
+  for (let round = 0; round < 7; round++) {
+    const o = blake3MessageSchedule[round];
+    s0 = (s0 + s4 + m[o[0]]) | 0;
+    s12 ^= s0;
+    s12 = (s12 >>> 16) | (s12 << 16);
+    s8 = (s8 + s12) | 0;
+    s4 ^= s8;
+    s4 = (s4 >>> 12) | (s4 << 20);
+    s0 = (s0 + s4 + m[o[1]]) | 0;
+    s12 ^= s0;
+    s12 = (s12 >>> 8) | (s12 << 24);
+    s8 = (s8 + s12) | 0;
+    s4 ^= s8;
+    s4 = (s4 >>> 7) | (s4 << 25);
+    s1 = (s1 + s5 + m[o[2]]) | 0;
+    s13 ^= s1;
+    s13 = (s13 >>> 16) | (s13 << 16);
+    s9 = (s9 + s13) | 0;
+    s5 ^= s9;
+    s5 = (s5 >>> 12) | (s5 << 20);
+    s1 = (s1 + s5 + m[o[3]]) | 0;
+    s13 ^= s1;
+    s13 = (s13 >>> 8) | (s13 << 24);
+    s9 = (s9 + s13) | 0;
+    s5 ^= s9;
+    s5 = (s5 >>> 7) | (s5 << 25);
+    s2 = (s2 + s6 + m[o[4]]) | 0;
+    s14 ^= s2;
+    s14 = (s14 >>> 16) | (s14 << 16);
+    s10 = (s10 + s14) | 0;
+    s6 ^= s10;
+    s6 = (s6 >>> 12) | (s6 << 20);
+    s2 = (s2 + s6 + m[o[5]]) | 0;
+    s14 ^= s2;
+    s14 = (s14 >>> 8) | (s14 << 24);
+    s10 = (s10 + s14) | 0;
+    s6 ^= s10;
+    s6 = (s6 >>> 7) | (s6 << 25);
+    s3 = (s3 + s7 + m[o[6]]) | 0;
+    s15 ^= s3;
+    s15 = (s15 >>> 16) | (s15 << 16);
+    s11 = (s11 + s15) | 0;
+    s7 ^= s11;
+    s7 = (s7 >>> 12) | (s7 << 20);
+    s3 = (s3 + s7 + m[o[7]]) | 0;
+    s15 ^= s3;
+    s15 = (s15 >>> 8) | (s15 << 24);
+    s11 = (s11 + s15) | 0;
+    s7 ^= s11;
+    s7 = (s7 >>> 7) | (s7 << 25);
+    s0 = (s0 + s5 + m[o[8]]) | 0;
+    s15 ^= s0;
+    s15 = (s15 >>> 16) | (s15 << 16);
+    s10 = (s10 + s15) | 0;
+    s5 ^= s10;
+    s5 = (s5 >>> 12) | (s5 << 20);
+    s0 = (s0 + s5 + m[o[9]]) | 0;
+    s15 ^= s0;
+    s15 = (s15 >>> 8) | (s15 << 24);
+    s10 = (s10 + s15) | 0;
+    s5 ^= s10;
+    s5 = (s5 >>> 7) | (s5 << 25);
+    s1 = (s1 + s6 + m[o[10]]) | 0;
+    s12 ^= s1;
+    s12 = (s12 >>> 16) | (s12 << 16);
+    s11 = (s11 + s12) | 0;
+    s6 ^= s11;
+    s6 = (s6 >>> 12) | (s6 << 20);
+    s1 = (s1 + s6 + m[o[11]]) | 0;
+    s12 ^= s1;
+    s12 = (s12 >>> 8) | (s12 << 24);
+    s11 = (s11 + s12) | 0;
+    s6 ^= s11;
+    s6 = (s6 >>> 7) | (s6 << 25);
+    s2 = (s2 + s7 + m[o[12]]) | 0;
+    s13 ^= s2;
+    s13 = (s13 >>> 16) | (s13 << 16);
+    s8 = (s8 + s13) | 0;
+    s7 ^= s8;
+    s7 = (s7 >>> 12) | (s7 << 20);
+    s2 = (s2 + s7 + m[o[13]]) | 0;
+    s13 ^= s2;
+    s13 = (s13 >>> 8) | (s13 << 24);
+    s8 = (s8 + s13) | 0;
+    s7 ^= s8;
+    s7 = (s7 >>> 7) | (s7 << 25);
+    s3 = (s3 + s4 + m[o[14]]) | 0;
+    s14 ^= s3;
+    s14 = (s14 >>> 16) | (s14 << 16);
+    s9 = (s9 + s14) | 0;
+    s4 ^= s9;
+    s4 = (s4 >>> 12) | (s4 << 20);
+    s3 = (s3 + s4 + m[o[15]]) | 0;
+    s14 ^= s3;
+    s14 = (s14 >>> 8) | (s14 << 24);
+    s9 = (s9 + s14) | 0;
+    s4 ^= s9;
+    s4 = (s4 >>> 7) | (s4 << 25);
+  }
+
+  return Uint32Array.of(s0 ^ s8, s1 ^ s9, s2 ^ s10, s3 ^ s11, s4 ^ s12, s5 ^ s13, s6 ^ s14, s7 ^ s15);
+}
+
+// Message words of the current block, reused to avoid an allocation per block
+const blockWords = new Uint32Array(16);
+
+/**
+ * Reads a (zero padded) 64-byte block into 16 little-endian words.
+ *
+ * @param {Buffer} bytes - The bytes to read from.
+ * @param {number} offset - The offset of the block.
+ * @param {number} length - The number of bytes of the block.
+ * @returns {Uint32Array} The message words, valid until the next call.
+ */
+function readBlockWords(bytes, offset, length) {
+  const m = blockWords;
+  if (length === blake3BlockSize) {
+    for (let i = 0; i < 16; i++) {
+      m[i] = bytes.readUInt32LE(offset + i * 4);
+    }
+    return m;
+  }
+
+  const block = Buffer.alloc(blake3BlockSize);
+  bytes.copy(block, 0, offset, offset + length);
+  for (let i = 0; i < 16; i++) {
+    m[i] = block.readUInt32LE(i * 4);
+  }
+  return m;
+}
+
+/**
+ * Converts a chaining value from words to bytes.
+ *
+ * @param {Uint32Array} words - The 8-word chaining value.
+ * @returns {Buffer} The 32-byte chaining value.
+ */
+function wordsToBytes(words) {
+  const bytes = Buffer.alloc(32);
+  for (let i = 0; i < 8; i++) {
+    bytes.writeUInt32LE(words[i], i * 4);
+  }
+  return bytes;
+}
+
+/**
+ * Calculates the chaining value of a single BLAKE3 chunk.
+ *
+ * @param {Buffer} chunk - The chunk data (at most 1024 bytes).
+ * @param {number} counter - The index of the chunk in the file.
+ * @param {boolean} isRoot - True if the chunk is the whole file.
+ * @returns {Buffer} The 32-byte chaining value.
+ */
+function chunkCv(chunk, counter, isRoot) {
+  const blockCount = Math.max(1, Math.ceil(chunk.length / blake3BlockSize));
+
+  let cv = blake3IV;
+  for (let i = 0; i < blockCount; i++) {
+    const offset = i * blake3BlockSize;
+    const blockLen = Math.min(blake3BlockSize, chunk.length - offset);
+
+    let flags = 0;
+    if (i === 0) {
+      flags |= flagChunkStart;
+    }
+    if (i === blockCount - 1) {
+      flags |= flagChunkEnd;
+      if (isRoot) {
+        flags |= flagRoot;
+      }
+    }
+    cv = compress(cv, readBlockWords(chunk, offset, blockLen), counter, blockLen, flags);
+  }
+  return wordsToBytes(cv);
+}
+
+/**
+ * Calculates the chaining value of a BLAKE3 parent node.
+ *
+ * @param {Buffer} left - The 32-byte chaining value of the left child.
+ * @param {Buffer} right - The 32-byte chaining value of the right child.
+ * @param {boolean} isRoot - True if the parent node is the root of the tree.
+ * @returns {Buffer} The 32-byte chaining value.
+ */
+function parentCv(left, right, isRoot) {
+  const block = Buffer.concat([left, right]);
+  const flags = flagParent | (isRoot ? flagRoot : 0);
+  return wordsToBytes(compress(blake3IV, readBlockWords(block, 0, baoParentSize), 0, baoParentSize, flags));
+}
+
+/**
+ * Returns the number of chunks in the left subtree of a BLAKE3 tree node
+ * (the largest power of 2 smaller than the number of chunks).
+ *
+ * @param {number} count - The number of chunks (or chunk groups) of the node, at least 2.
+ * @returns {number} The number of chunks of the left subtree.
+ */
+function leftSubtreeCount(count) {
+  let left = 1;
+  while (left * 2 < count) {
+    left *= 2;
+  }
+  return left;
+}
+
+/**
+ * Calculates the chaining value of a subtree of whole chunks.
+ *
+ * @param {Buffer} data - The data of the subtree.
+ * @param {number} firstChunk - The index of the first chunk of the subtree in the file.
+ * @param {boolean} isRoot - True if the subtree is the whole file.
+ * @returns {Buffer} The 32-byte chaining value.
+ */
+function subtreeCv(data, firstChunk, isRoot) {
+  const chunkCount = Math.max(1, Math.ceil(data.length / blake3ChunkSize));
+  if (chunkCount === 1) {
+    return chunkCv(data, firstChunk, isRoot);
+  }
+
+  const left = leftSubtreeCount(chunkCount);
+  const leftCv = subtreeCv(data.slice(0, left * blake3ChunkSize), firstChunk, false);
+  const rightCv = subtreeCv(data.slice(left * blake3ChunkSize), firstChunk + left, false);
+  return parentCv(leftCv, rightCv, isRoot);
+}
+
+/**
+ * Reads the content length from the header of a Bao outboard.
+ *
+ * @param {Buffer} outboard - The Bao outboard.
+ * @returns {number} The content length.
+ * @throws {Error} - If the outboard is too short.
+ */
+function getBaoContentLength(outboard) {
+  if (outboard.length < baoHeaderSize) {
+    throw new Error("Invalid Bao outboard, missing length header");
+  }
+  return Number(outboard.readBigUInt64LE(0));
+}
+
+/**
+ * Generates the Bao outboard (the BLAKE3 hash tree without the content) of a file or data source.
+ *
+ * The outboard starts with the content length (8 bytes, little-endian) followed by the parent nodes
+ * of the tree in pre-order. With `chunkGroupLog` > 0 the leaves of the tree are groups of 2^chunkGroupLog
+ * chunks, which makes the outboard smaller at the cost of a coarser verification granularity.
+ *
+ * The tree is hashed in JavaScript, because the native BLAKE3 binding only returns root hashes and not the
+ * chaining values of the tree nodes. This runs at roughly 50 MB/s on one core, far below the native
+ * `calculateB3hashFromFile`: generate the outboard of a large file once and store it next to the file.
+ *
+ * @param {string|Buffer|ReadableStream|AsyncIterable<Uint8Array>} input - The file path or the data.
+ * @param {Object} [options] - The outboard options.
+ * @param {number} [options.chunkGroupLog=0] - The chunk group size as power of 2 chunks.
+ * @returns {Promise<{b3hash: Buffer, size: number, outboard: Buffer}>} - The root hash, content length and outboard.
+ */
+async function generateBaoOutboard(input, options = {}) {
+  const chunkGroupLog = options.chunkGroupLog || 0;
+  const groupSize = blake3ChunkSize * 2 ** chunkGroupLog;
+  const chunksPerGroup = 2 ** chunkGroupLog;
+
+  const source = typeof input === "string" ? fs.createReadStream(input) : input;
+
+  // Chaining values of the (non-root) chunk groups
+  const groupCvs = [];
+  let pending = Buffer.alloc(0);
+  let size = 0;
+
+  for await (const chunk of iterateDataChunks(source)) {
+    size += chunk.length;
+    pending = Buffer.concat([pending, chunk]);
+
+    // Keep the last group, it might be the root
+    while (pending.length > groupSize) {
+      groupCvs.push(subtreeCv(pending.slice(0, groupSize), groupCvs.length * chunksPerGroup, false));
+      pending = pending.slice(groupSize);
+    }
+  }
+  const lastGroup = pending;
+
+  const outboard = [];
+  const header = Buffer.alloc(baoHeaderSize);
+  header.writeBigUInt64LE(BigInt(size));
+
+  let b3hash;
+  if (groupCvs.length === 0) {
+    b3hash = subtreeCv(lastGroup, 0, true);
+  } else {
+    groupCvs.push(subtreeCv(lastGroup, groupCvs.length * chunksPerGroup, false));
+
+    // Build the parent nodes in pre-order
+    const build = (start, count, isRoot) => {
+      if (count === 1) {
+        return groupCvs[start];
+      }
+      const index = outboard.length;
+      outboard.push(null);
+      const left = leftSubtreeCount(count);
+      const leftCv = build(start, left, false);
+      const rightCv = build(start + left, count - left, false);
+      outboard[index] = Buffer.concat([leftCv, rightCv]);
+      return parentCv(leftCv, rightCv, isRoot);
+    };
+    b3hash = build(0, groupCvs.length, true);
+  }
+
+  return { b3hash: b3hash, size: size, outboard: Buffer.concat([header, ...outboard]) };
+}
+
+/**
+ * Converts a root hash input (a S5 CID or a Blake3 hash) into the 32-byte Blake3 hash.
+ *
+ * @param {S5Cid|Buffer|string} root - A S5 CID with a Blake3 hash, or the 32-byte Blake3 hash.
+ * @returns {Buffer} The Blake3 root hash.
+ * @throws {Error} - If the input does not contain a Blake3 hash.
+ */
+function getBaoRootHash(root) {
+  if (root instanceof Uint8Array && root.length === 32) {
+    return Buffer.from(root);
+  }
+  const cid = S5Cid.from(root);
+  if (cid.hashAlgorithm !== mhashBlake3Default) {
+    throw new Error("CID does not contain a Blake3 hash");
+  }
+  return cid.hash;
+}
+
+/**
+ * Verifies a Bao tree against a root hash and returns the expected chaining values of its leaves.
+ */
+class BaoVerifier {
+  /**
+   * Creates a new Bao verifier.
+   *
+   * @param {Buffer} outboard - The Bao outboard of the content.
+   * @param {S5Cid|Buffer|string} root - A S5 CID with a Blake3 hash, or the 32-byte Blake3 root hash.
+   * @param {Object} [options] - The outboard options.
+   * @param {number} [options.chunkGroupLog=0] - The chunk group size as power of 2 chunks.
+   * @throws {Error} - If the outboard does not have the expected size.
+   */
+  constructor(outboard, root, options = {}) {
+    this.outboard = Buffer.from(outboard);
+    this.rootHash = getBaoRootHash(root);
+    this.chunkGroupLog = options.chunkGroupLog || 0;
+    this.groupSize = blake3ChunkSize * 2 ** this.chunkGroupLog;
+    this.size = getBaoContentLength(this.outboard);
+    this.groupCount = Math.max(1, Math.ceil(this.size / this.groupSize));
+
+    if (this.outboard.length !== baoHeaderSize + (this.groupCount - 1) * baoParentSize) {
+      throw new Error("Invalid Bao outboard size");
+    }
+  }
+
+  /**
+   * Returns the verified chaining value expected for a chunk group, checking every parent node on its path.
+   *
+   * @param {number} groupIndex - The index of the chunk group.
+   * @returns {Buffer} The expected chaining value of the chunk group.
+   * @throws {Error} - If a parent node does not match.
+   */
+  expectedGroupCv(groupIndex) {
+    let expected = this.rootHash;
+    let start = 0;
+    let count = this.groupCount;
+    let position = 0;
+    let isRoot = true;
+
+    while (count > 1) {
+      const offset = baoHeaderSize + position * baoParentSize;
+      const left = this.outboard.slice(offset, offset + 32);
+      const right = this.outboard.slice(offset + 32, offset + baoParentSize);
+      if (!parentCv(left, right, isRoot).equals(expected)) {
+        throw new Error(`Bao verification failed, corrupted tree node at byte ${start * this.groupSize}`);
+      }
+
+      const leftCount = leftSubtreeCount(count);
+      if (groupIndex < start + leftCount) {
+        expected = left;
+        position += 1;
+        count = leftCount;
+      } else {
+        expected = right;
+        position += leftCount;
+        start += leftCount;
+        count -= leftCount;
+      }
+      isRoot = false;
+    }
+    return expected;
+  }
+
+  /**
+   * Verifies the data of one chunk group.
+   *
+   * @param {number} groupIndex - The index of the chunk group.
+   * @param {Buffer} data - The data of the chunk group.
+   * @throws {Error} - If the data does not match the tree.
+   */
+  verifyGroup(groupIndex, data) {
+    const groupStart = groupIndex * this.groupSize;
+    const expectedLength = Math.min(this.groupSize, this.size - groupStart);
+    if (groupIndex >= this.groupCount || data.length !== expectedLength) {
+      throw new Error(`Bao verification failed, unexpected data length at byte ${groupStart}`);
+    }
+
+    const cv = subtreeCv(data, groupIndex * 2 ** this.chunkGroupLog, this.groupCount === 1);
+    if (!cv.equals(this.expectedGroupCv(groupIndex))) {
+      throw new Error(`Bao verification failed, corrupted chunk at byte ${groupStart}`);
+    }
+  }
+}
+
+/**
+ * Verifies a byte range of the content against the Bao outboard and the root hash of a CID.
+ * The range must start at a chunk group boundary and end at a chunk group boundary or the end of the content.
+ *
+ * @param {Buffer} data - The data of the range.
+ * @param {Buffer} outboard - The Bao outboard of the content.
+ * @param {S5Cid|Buffer|string} root - A S5 CID with a Blake3 hash, or the 32-byte Blake3 root hash.
+ * @param {number} [start=0] - The offset of the range in the content.
+ * @param {Object} [options] - The outboard options.
+ * @param {number} [options.chunkGroupLog=0] - The chunk group size as power of 2 chunks.
+ * @returns {boolean} - True if the range is valid.
+ * @throws {Error} - At the first corrupted chunk group, or if the range is not aligned.
+ */
+function verifyBaoRange(data, outboard, root, start = 0, options = {}) {
+  const verifier = new BaoVerifier(outboard, root, options);
+  const end = start + data.length;
+
+  if (start % verifier.groupSize !== 0 || (end % verifier.groupSize !== 0 && end !== verifier.size)) {
+    throw new Error("Bao range must be aligned to the chunk group size");
+  }
+  if (end > verifier.size) {
+    throw new Error("Bao range is out of bounds");
+  }
+
+  for (let offset = 0; offset < data.length || (offset === 0 && verifier.size === 0); offset += verifier.groupSize) {
+    verifier.verifyGroup((start + offset) / verifier.groupSize, data.slice(offset, offset + verifier.groupSize));
+    if (data.length === 0) {
+      break;
+    }
+  }
+  return true;
+}
+
+/**
+ * Verifies a stream of content while it is read, yielding only verified data.
+ * The stream must start at `start` (a chunk group boundary) and fails at the first corrupted chunk group.
+ *
+ * @param {Buffer|ReadableStream|AsyncIterable<Uint8Array>} input - The content data source.
+ * @param {Buffer} outboard - The Bao outboard of the content.
+ * @param {S5Cid|Buffer|string} root - A S5 CID with a Blake3 hash, or the 32-byte Blake3 root hash.
+ * @param {Object} [options] - The verification options.
+ * @param {number} [options.start=0] - The offset of the stream in the content.
+ * @param {number} [options.chunkGroupLog=0] - The chunk group size as power of 2 chunks.
+ * @returns {AsyncGenerator<Buffer>} - The verified chunk groups.
+ * @throws {Error} - At the first corrupted chunk group.
+ */
+async function* verifyBaoStream(input, outboard, root, options = {}) {
+  const verifier = new BaoVerifier(outboard, root, options);
+  const start = options.start || 0;
+  if (start % verifier.groupSize !== 0 || start > verifier.size) {
+    throw new Error("Bao stream must start at a chunk group boundary");
+  }
+
+  let groupIndex = start / verifier.groupSize;
+  let pending = Buffer.alloc(0);
+
+  for await (const chunk of iterateDataChunks(input)) {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= verifier.groupSize) {
+      const group = pending.slice(0, verifier.groupSize);
+      verifier.verifyGroup(groupIndex++, group);
+      pending = pending.slice(verifier.groupSize);
+      yield group;
+    }
+  }
+
+  // The last chunk group is shorter, or the content is empty
+  if (pending.length > 0 || verifier.size === 0) {
+    verifier.verifyGroup(groupIndex, pending);
+    yield pending;
+  } else if (groupIndex * verifier.groupSize < verifier.size) {
+    throw new Error(`Bao verification failed, stream ended at byte ${groupIndex * verifier.groupSize}`);
+  }
+}
+
+module.exports = {
+  generateBaoOutboard,
+  verifyBaoRange,
+  verifyBaoStream,
+  BaoVerifier,
+};
@@ -1,16 +1,109 @@
 // Import the 'buffer' module for working with binary data
 const Buffer = require('buffer').Buffer;
 
+const { InvalidEncodingError } = require('./errors');
+
 // Define the Base58 alphabet used for Bitcoin addresses
 const ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
 
+// Inputs up to this length (in bytes or characters) are converted with the quadratic digit-array algorithm,
+// larger inputs with the BigInt-based divide-and-conquer conversion. Its running time follows the BigInt
+// multiplication of V8 (Karatsuba, Toom-Cook and FFT), about n^1.2 on Node.js 20 (`yarn benchmark`).
+const BASE58_SMALL_INPUT_LENGTH = 128;
+
+// The largest powers of 58 divide only once or twice per encoding, so they are divided directly
+// instead of computing their reciprocal for Barrett reduction
+const BASE58_DIRECT_DIVISION_LEVELS = 2;
+
+// Number of Base58 digits converted at once with Number arithmetic (58^8 < 2^53)
+const BASE58_CHUNK_DIGITS = 8;
+const BASE58_CHUNK_BASE = 58 ** BASE58_CHUNK_DIGITS;
+
 /**
- * Encodes a buffer of bytes using Base58 encoding (specifically designed for Bitcoin addresses).
+ * Counts the leading elements of an array or string that are equal to the given value.
  *
- * @param {Buffer} bytes - The buffer of bytes to encode.
- * @returns {string} The Base58-encoded string representation of the input bytes.
+ * @param {Buffer|string} input - The bytes or the string.
+ * @param {number|string} value - The value to count (0 for bytes, "1" for Base58 strings).
+ * @returns {number} - The number of leading elements equal to the value.
  */
-function encodeBase58BTC(bytes) {
+function countLeading(input, value) {
+  let count = 0;
+  while (count < input.length && input[count] === value) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Returns the powers 58^(BASE58_CHUNK_DIGITS * 2^i) needed to split a number of the given number of Base58 digits.
+ *
+ * @param {number} digitCount - The number of Base58 digits.
+ * @returns {bigint[]} - The powers, the i-th power covers BASE58_CHUNK_DIGITS * 2^i digits.
+ */
+function getBase58Powers(digitCount) {
+  const powers = [BigInt(BASE58_CHUNK_BASE)];
+  while (BASE58_CHUNK_DIGITS * 2 ** powers.length < digitCount) {
+    const last = powers[powers.length - 1];
+    powers.push(last * last);
+  }
+  return powers;
+}
+
+/**
+ * Returns the number of bits of a positive BigInt.
+ *
+ * @param {bigint} value - The value.
+ * @returns {bigint} - The number of bits.
+ */
+function getBitLength(value) {
+  const hex = value.toString(16);
+  return BigInt((hex.length - 1) * 4 + (32 - Math.clz32(parseInt(hex[0], 16))));
+}
+
+/**
+ * Computes the Barrett reciprocals floor(2^(2 * bits) / power) of the powers of 58, all but the largest ones.
+ * Every power is the square of the previous one, so the square of the previous reciprocal is a half-precision
+ * estimate that one Newton step refines. Only multiplications are needed apart from the first power.
+ *
+ * @param {bigint[]} powers - The powers of getBase58Powers.
+ * @returns {{bits: bigint, reciprocal: bigint}[]} - The bit length and the reciprocal of the powers.
+ */
+function getBase58Reciprocals(powers) {
+  const bits = getBitLength(powers[0]);
+  const reciprocals = [{ bits, reciprocal: (1n << (2n * bits)) / powers[0] }];
+
+  for (let level = 1; level < powers.length - BASE58_DIRECT_DIVISION_LEVELS; level++) {
+    const previous = reciprocals[level - 1];
+    const power = powers[level];
+    const powerBits = getBitLength(power);
+    const one = 1n << (2n * powerBits);
+
+    let reciprocal = (previous.reciprocal * previous.reciprocal) >> (4n * previous.bits - 2n * powerBits);
+    reciprocal += (reciprocal * (one - power * reciprocal)) >> (2n * powerBits);
+
+    // The Newton step leaves a small error, correct it until 0 <= one - power * reciprocal < power
+    let remainder = one - power * reciprocal;
+    while (remainder < 0n) {
+      reciprocal--;
+      remainder += power;
+    }
+    while (remainder >= power) {
+      reciprocal++;
+      remainder -= power;
+    }
+    reciprocals.push({ bits: powerBits, reciprocal });
+  }
+  return reciprocals;
+}
+
+/**
+ * Encodes bytes without leading zero bytes into Base58 digits with the digit-array algorithm.
+ * The running time grows quadratically, it is the fastest algorithm for short inputs like CIDs.
+ *
+ * @param {Buffer} bytes - The bytes to encode.
+ * @returns {string} - The Base58 string.
+ */
+function encodeBase58Small(bytes) {
   let digits = [0]; // Initialize an array of digits with a single 0
 
   for (let i = 0; i < bytes.length; i++) {
@@ -48,20 +141,98 @@ function encodeBase58BTC(bytes) {
 }
 
 /**
- * Decodes a Base58btc string into a Buffer object.
+ * Encodes bytes without leading zero bytes into Base58 digits by splitting the number recursively
+ * with the precomputed powers of 58. Below the largest powers, the divisions use Barrett reduction
+ * (two multiplications with the reciprocal of the power), which is faster than the BigInt division of V8.
  *
- * @param str The Base58btc encoded string to decode.
- * @returns A Buffer object containing the decoded bytes.
- * @throws Error if the input string is not a valid Base58btc string.
+ * @param {Buffer} bytes - The bytes to encode.
+ * @returns {string} - The Base58 string.
  */
-function decodeBase58BTC(str) {
+function encodeBase58Large(bytes) {
+  const value = BigInt(`0x${bytes.toString('hex')}`);
+  // log(256) / log(58) < 1.3658 Base58 digits per byte
+  const powers = getBase58Powers(Math.ceil(bytes.length * 1.3658));
+  const reciprocals = getBase58Reciprocals(powers);
+  const chunks = [];
+
+  // Divides a value below powers[level]^2 by powers[level]
+  const divide = (part, level) => {
+    const power = powers[level];
+    if (level >= reciprocals.length) {
+      const quotient = part / power;
+      return [quotient, part - quotient * power];
+    }
+
+    // The estimate is at most 2 below the quotient
+    const { bits, reciprocal } = reciprocals[level];
+    let quotient = ((part >> (bits - 1n)) * reciprocal) >> (bits + 1n);
+    let remainder = part - quotient * power;
+    while (remainder >= power) {
+      quotient++;
+      remainder -= power;
+    }
+    return [quotient, remainder];
+  };
+
+  // Appends the digits of the value, zero-padded to the digit count of the given power level
+  const appendDigits = (part, level, pad) => {
+    if (level < 0) {
+      let chunk = '';
+      let number = Number(part);
+      for (let i = 0; i < BASE58_CHUNK_DIGITS; i++) {
+        chunk = ALPHABET[number % 58] + chunk;
+        number = Math.floor(number / 58);
+      }
+      chunks.push(chunk);
+      return;
+    }
+    if (!pad && part < powers[level]) {
+      appendDigits(part, level - 1, false);
+      return;
+    }
+    const [quotient, remainder] = divide(part, level);
+    appendDigits(quotient, level - 1, pad);
+    appendDigits(remainder, level - 1, true);
+  };
+  appendDigits(value, powers.length - 1, false);
+
+  // Remove the zero digits in front of the number
+  const result = chunks.join('');
+  return result.substring(countLeading(result, ALPHABET[0]));
+}
+
+/**
+ * Encodes a buffer of bytes using Base58 encoding (specifically designed for Bitcoin addresses).
+ * Every leading zero byte is encoded as a leading "1" character.
+ *
+ * @param {Buffer} bytes - The buffer of bytes to encode.
+ * @returns {string} The Base58-encoded string representation of the input bytes.
+ */
+function encodeBase58BTC(bytes) {
+  const input = Buffer.from(bytes);
+  const zeros = countLeading(input, 0);
+  const rest = input.subarray(zeros);
+
+  const digits = rest.length <= BASE58_SMALL_INPUT_LENGTH ? encodeBase58Small(rest) : encodeBase58Large(rest);
+  return ALPHABET[0].repeat(zeros) + digits;
+}
+
+/**
+ * Decodes Base58 digits without leading "1" characters with the digit-array algorithm.
+ *
+ * @param {string} str - The Base58 string.
+ * @param {number} offset - The position of the string in the decoded input, used in errors.
+ * @returns {Buffer} - The decoded bytes.
+ * @throws {InvalidEncodingError} - If the string contains an invalid character.
+ */
+function decodeBase58Small(str, offset) {
   const bytes = []; // Initialize an empty array for the decoded bytes
 
   for (let i = 0; i < str.length; i++) {
     // Convert each character in the input string to its corresponding value in the ALPHABET string
     let value = ALPHABET.indexOf(str[i]);
     if (value === -1) {
-      throw new Error('Invalid Base58Bitcoin string');
+      throw new InvalidEncodingError('Invalid character', 'base58btc', offset + i);
     }
 
     // Perform a base conversion from base 58 to base 256
@@ -79,13 +250,112 @@ function decodeBase58BTC(str) {
 
   // Reverse the order of the bytes in the array and return as a Buffer
   bytes.reverse();
-//  return new Uint8Array(bytes);
   return Buffer.from(bytes);
 }
 
+/**
+ * Decodes Base58 digits without leading "1" characters by combining chunks of digits recursively
+ * with the precomputed powers of 58.
+ *
+ * @param {string} str - The Base58 string.
+ * @param {number} offset - The position of the string in the decoded input, used in errors.
+ * @returns {Buffer} - The decoded bytes.
+ * @throws {InvalidEncodingError} - If the string contains an invalid character.
+ */
+function decodeBase58Large(str, offset) {
+  // Convert the chunks of digits with Number arithmetic, the first chunk holds the remaining digits
+  const chunks = [];
+  const firstLength = str.length % BASE58_CHUNK_DIGITS || BASE58_CHUNK_DIGITS;
+  for (let start = 0, end = firstLength; end <= str.length; start = end, end += BASE58_CHUNK_DIGITS) {
+    let number = 0;
+    for (let i = start; i < end; i++) {
+      const value = ALPHABET.indexOf(str[i]);
+      if (value === -1) {
+        throw new InvalidEncodingError('Invalid character', 'base58btc', offset + i);
+      }
+      number = number * 58 + value;
+    }
+    chunks.push(BigInt(number));
+  }
+
+  // Combine the chunks pairwise, from the least significant end, until one value remains
+  const powers = getBase58Powers(str.length);
+  let parts = chunks;
+  for (let level = 0; parts.length > 1; level++) {
+    const combined = [];
+    let i = parts.length % 2;
+    if (i === 1) {
+      combined.push(parts[0]);
+    }
+    for (; i < parts.length; i += 2) {
+      combined.push(parts[i] * powers[level] + parts[i + 1]);
+    }
+    parts = combined;
+  }
+
+  let hex = parts[0].toString(16);
+  if (hex.length % 2 === 1) {
+    hex = `0${hex}`;
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Decodes a Base58btc string into a Buffer object.
+ * Every leading "1" character is decoded as a leading zero byte.
+ *
+ * @param str The Base58btc encoded string to decode.
+ * @returns A Buffer object containing the decoded bytes.
+ * @throws InvalidEncodingError if the input string is not a valid Base58btc string.
+ */
+function decodeBase58BTC(str) {
+  const zeros = countLeading(str, ALPHABET[0]);
+  const rest = str.substring(zeros);
+
+  const bytes =
+    rest.length <= BASE58_SMALL_INPUT_LENGTH ? decodeBase58Small(rest, zeros) : decodeBase58Large(rest, zeros);
+  return Buffer.concat([Buffer.alloc(zeros), bytes]);
+}
+
+/**
+ * Validates the optional padding of a Base32 or Base64 string in strict mode and removes it.
+ * Padding is canonical if it only appears at the end and fills up exactly the last group.
+ *
+ * @param {string} encoded - The encoded string.
+ * @param {number} groupSize - The number of characters per group (8 for Base32, 4 for Base64).
+ * @param {number[]} validRemainders - The valid lengths of the last group without padding.
+ * @param {string} encoding - The name of the encoding, used in errors.
+ * @returns {string} - The encoded string without padding.
+ * @throws {InvalidEncodingError} - If the padding or the length is not canonical.
+ */
+function stripCanonicalPadding(encoded, groupSize, validRemainders, encoding) {
+  let unpadded = encoded;
+
+  const paddingStart = encoded.indexOf('=');
+  if (paddingStart !== -1) {
+    for (let i = paddingStart; i < encoded.length; i++) {
+      if (encoded[i] !== '=') {
+        throw new InvalidEncodingError('Unexpected character after padding', encoding, i);
+      }
+    }
+    unpadded = encoded.substring(0, paddingStart);
+    if (encoded.length % groupSize !== 0 || unpadded.length % groupSize === 0) {
+      throw new InvalidEncodingError('Non-canonical padding', encoding, paddingStart);
+    }
+  }
+
+  if (!validRemainders.includes(unpadded.length % groupSize)) {
+    throw new InvalidEncodingError('Invalid length', encoding, unpadded.length);
+  }
+  return unpadded;
+}
+
 // Base32 RFC 4648 Alphabet
 const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
 
+// Base32hex RFC 4648 Alphabet (extended hex)
+const BASE32HEX_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+
 /**
  * Encodes data using the Base32 encoding scheme based on the RFC 4648 specification.
  *
@@ -93,6 +363,17 @@ const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
  * @returns The Base32 encoded string.
  */
 function encodeBase32RFC(data) {
+  return encodeBase32WithAlphabet(data, BASE32_ALPHABET);
+}
+
+/**
+ * Encodes data using Base32 (without padding) with the given 32-character alphabet.
+ *
+ * @param data - The input data to be encoded as a Buffer object.
+ * @param {string} alphabet - The Base32 alphabet.
+ * @returns The Base32 encoded string.
+ */
+function encodeBase32WithAlphabet(data, alphabet) {
   let result = '';
   let bits = 0;
   let value = 0;
@@ -105,7 +386,7 @@ function encodeBase32RFC(data) {
     // While there are at least 5 bits in the value, extract the 5 most significant bits
     while (bits >= 5) {
       const index = (value >>> (bits - 5)) & 31; // Mask the 5 most significant bits
-      result += BASE32_ALPHABET.charAt(index); // Append the corresponding character to the result
+      result += alphabet.charAt(index); // Append the corresponding character to the result
       bits -= 5; // Remove the 5 bits from the value
     }
   }
@@ -113,7 +394,7 @@ function encodeBase32RFC(data) {
   // If there are any remaining bits in the value, append the final character to the result
   if (bits > 0) {
     const index = (value << (5 - bits)) & 31; // Pad the remaining bits with 0s and mask the 5 most significant bits
-    result += BASE32_ALPHABET.charAt(index); // Append the corresponding character to the result
+    result += alphabet.charAt(index); // Append the corresponding character to the result
   }
 
   return result;
@@ -123,10 +404,34 @@ function encodeBase32RFC(data) {
  * Decodes a string encoded in Base32 RFC 4648 format into a Buffer object.
  *
  * @param {string} encoded - The Base32 encoded string to decode.
+ * @param {Object} [options] - The decoding options.
+ * @param {boolean} [options.strict=false] - Reject invalid characters, non-canonical padding and leftover bits.
  * @returns {Buffer} - A Buffer containing the decoded bytes.
+ * @throws {InvalidEncodingError} - In strict mode, if the input is not canonical Base32.
  */
-function decodeBase32RFC(encoded) {
-  const result = Buffer.alloc(Math.ceil(encoded.length * 5 / 8)); // Allocate the result buffer
+function decodeBase32RFC(encoded, options = {}) {
+  return decodeBase32WithAlphabet(encoded, BASE32_ALPHABET, 'base32', options);
+}
+
+/**
+ * Decodes a Base32 string with the given 32-character alphabet into a Buffer object.
+ * Without strict mode, invalid characters are not detected and produce wrong bytes.
+ *
+ * @param {string} encoded - The Base32 encoded string to decode.
+ * @param {string} alphabet - The Base32 alphabet.
+ * @param {string} encoding - The name of the encoding, used in errors.
+ * @param {Object} [options] - The decoding options.
+ * @param {boolean} [options.strict=false] - Reject invalid characters, non-canonical padding and leftover bits.
+ * @returns {Buffer} - A Buffer containing the decoded bytes.
+ * @throws {InvalidEncodingError} - In strict mode, if the input is not canonical Base32.
+ */
+function decodeBase32WithAlphabet(encoded, alphabet, encoding, options = {}) {
+  const strict = options.strict === true;
+  if (strict) {
+    encoded = stripCanonicalPadding(encoded, 8, [0, 2, 4, 5, 7], encoding);
+  }
+
+  const result = Buffer.alloc(Math.ceil((encoded.length * 5) / 8)); // Allocate the result buffer
 
   let bits = 0;
   let value = 0;
@@ -134,7 +439,10 @@ function decodeBase32RFC(encoded) {
 
   for (let i = 0; i < encoded.length; i++) {
     const c = encoded.charAt(i);
-    const charIndex = BASE32_ALPHABET.indexOf(c);
+    const charIndex = alphabet.indexOf(c);
+    if (strict && charIndex === -1) {
+      throw new InvalidEncodingError('Invalid character', encoding, i);
+    }
 
     // Append the bits corresponding to the character to the value
     value = (value << 5) | charIndex;
@@ -147,10 +455,123 @@ function decodeBase32RFC(encoded) {
     }
   }
 
+  // The bits left over after the last full byte must be zero
+  if (strict && (value & ((1 << bits) - 1)) !== 0) {
+    throw new InvalidEncodingError('Non-zero leftover bits', encoding, encoded.length - 1);
+  }
+
   // Return the Buffer
   return result.slice(0, index);
 }
 
+/**
+ * Encodes data using the Base32hex encoding scheme (RFC 4648, extended hex alphabet).
+ *
+ * @param {Buffer} data - The input data to be encoded.
+ * @returns {string} The Base32hex encoded string (uppercase, without padding).
+ */
+function encodeBase32Hex(data) {
+  return encodeBase32WithAlphabet(data, BASE32HEX_ALPHABET);
+}
+
+/**
+ * Decodes a Base32hex string (RFC 4648, extended hex alphabet) into a Buffer object.
+ *
+ * @param {string} encoded - The Base32hex encoded string to decode (uppercase).
+ * @param {Object} [options] - The decoding options.
+ * @param {boolean} [options.strict=false] - Reject invalid characters, non-canonical padding and leftover bits.
+ * @returns {Buffer} - A Buffer containing the decoded bytes.
+ * @throws {InvalidEncodingError} - In strict mode, if the input is not canonical Base32hex.
+ */
+function decodeBase32Hex(encoded, options = {}) {
+  return decodeBase32WithAlphabet(encoded, BASE32HEX_ALPHABET, 'base32hex', options);
+}
+
+/**
+ * Encodes a buffer into a lowercase Base16 (hexadecimal) string.
+ *
+ * @param {Buffer} bytes - The buffer to be encoded.
+ * @returns {string} The Base16-encoded string.
+ */
+function encodeBase16(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Decodes a Base16 (hexadecimal) string into a Buffer object.
+ *
+ * @param {string} str - The Base16-encoded string (either case).
+ * @returns {Buffer} - A Buffer containing the decoded bytes.
+ * @throws InvalidEncodingError if the input string is not a valid Base16 string.
+ */
+function decodeBase16(str) {
+  const invalid = str.search(/[^0-9a-fA-F]/);
+  if (invalid !== -1) {
+    throw new InvalidEncodingError('Invalid character', 'base16', invalid);
+  }
+  if (str.length % 2 !== 0) {
+    throw new InvalidEncodingError('Invalid length', 'base16', str.length);
+  }
+  return Buffer.from(str, 'hex');
+}
+
+// Base36 alphabet (lowercase)
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Encodes a buffer of bytes using lowercase Base36 encoding, leading zero bytes are kept as '0' characters.
+ *
+ * @param {Buffer} bytes - The buffer of bytes to encode.
+ * @returns {string} The Base36-encoded string.
+ */
+function encodeBase36(bytes) {
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) {
+    zeros++;
+  }
+
+  let value = BigInt('0x' + (Buffer.from(bytes.slice(zeros)).toString('hex') || '0'));
+  let result = '';
+  while (value > 0n) {
+    result = BASE36_ALPHABET[Number(value % 36n)] + result;
+    value /= 36n;
+  }
+
+  return '0'.repeat(zeros) + result;
+}
+
+/**
+ * Decodes a lowercase Base36 string into a Buffer object.
+ *
+ * @param {string} str - The Base36 encoded string to decode.
+ * @returns {Buffer} A Buffer object containing the decoded bytes.
+ * @throws InvalidEncodingError if the input string is not a valid Base36 string.
+ */
+function decodeBase36(str) {
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === '0') {
+    zeros++;
+  }
+
+  let value = 0n;
+  for (let i = zeros; i < str.length; i++) {
+    const digit = BASE36_ALPHABET.indexOf(str[i]);
+    if (digit === -1) {
+      throw new InvalidEncodingError('Invalid character', 'base36', i);
+    }
+    value = value * 36n + BigInt(digit);
+  }
+
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2 !== 0) {
+    hex = '0' + hex;
+  }
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
+
+// Base64URL RFC 4648 Alphabet
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
 /**
  * Encodes a buffer into a Base64URL string.
  *
@@ -167,11 +588,33 @@ function encodeBase64URL(input) {
 
 /**
  * Decodes a Base64 URL-encoded string into a Buffer object.
+ * Without strict mode, any input is accepted and invalid characters are skipped.
  *
  * @param {string} input - The Base64 URL-encoded string to decode.
+ * @param {Object} [options] - The decoding options.
+ * @param {boolean} [options.strict=false] - Reject invalid characters, non-canonical padding and leftover bits.
  * @returns {Buffer} - A Buffer object containing the decoded binary data.
+ * @throws {InvalidEncodingError} - In strict mode, if the input is not canonical Base64URL.
  */
-function decodeBase64URL(input) {
+function decodeBase64URL(input, options = {}) {
+  if (options.strict === true) {
+    input = stripCanonicalPadding(input, 4, [0, 2, 3], 'base64url');
+
+    const invalid = input.search(/[^A-Za-z0-9\-_]/);
+    if (invalid !== -1) {
+      throw new InvalidEncodingError('Invalid character', 'base64url', invalid);
+    }
+
+    // The bits left over after the last full byte must be zero
+    const leftoverBits = (input.length * 6) % 8;
+    if (leftoverBits > 0) {
+      const lastValue = BASE64URL_ALPHABET.indexOf(input[input.length - 1]);
+      if ((lastValue & ((1 << leftoverBits) - 1)) !== 0) {
+        throw new InvalidEncodingError('Non-zero leftover bits', 'base64url', input.length - 1);
+      }
+    }
+  }
+
   // Replace characters '-' with '+' and '_' with '/' in the input string
   input = input.replace(/-/g, '+').replace(/_/g, '/');
 
@@ -199,6 +642,12 @@ module.exports = {
   decodeBase58BTC,
   encodeBase32RFC,
   decodeBase32RFC,
+  encodeBase32Hex,
+  decodeBase32Hex,
+  encodeBase16,
+  decodeBase16,
+  encodeBase36,
+  decodeBase36,
   encodeBase64URL,
   decodeBase64URL,
 };
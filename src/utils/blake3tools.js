@@ -7,25 +7,71 @@ const { Blake3Hasher } = require("@napi-rs/blake-hash");
 const Buffer = require('buffer').Buffer;
 
 const {
-  numToBuf,
-  bufToNum,
-  encodeCIDWithPrefixZ,
-  encodeCIDWithPrefixU,
-  encodeCIDWithPrefixB,
-  decodeCIDWithPrefixZ,
-  decodeCIDWithPrefixU,
-  decodeCIDWithPrefixB,
+  toFileSize,
+  encodeFileSize,
+  decodeFileSize,
+  getSubdomainFromUrl,
+  encodeMultibase,
+  decodeMultibase,
 } = require("./tools");
 
-const { mhashBlake3Default, cidTypeRaw } = require("./constants");
+const { uriS5Prefix } = require("./url");
+const { InvalidEncodingError, InvalidCidError, UnsupportedCidTypeError } = require("./errors");
+
+const {
+  mhashBlake3Default,
+  mkeyEd25519,
+  cidTypeRaw,
+  cidTypeMetadataMedia,
+  cidTypeMetadataWebApp,
+  cidTypeResolver,
+  cidTypeUserIdentity,
+  cidTypeBridge,
+  cidTypeEncrypted,
+  encryptionAlgorithmXChaCha20Poly1305,
+} = require("./constants");
+
+/**
+ * The default chunk size of encrypted files as power of 2 (256 KiB).
+ */
+const defaultEncryptionChunkSizeExponent = 18;
+
+/**
+ * The names of the known S5 CID types, by CID type byte.
+ */
+const cidTypeNames = {
+  [cidTypeRaw]: 'raw',
+  [cidTypeMetadataMedia]: 'metadataMedia',
+  [cidTypeMetadataWebApp]: 'metadataWebApp',
+  [cidTypeResolver]: 'resolver',
+  [cidTypeUserIdentity]: 'userIdentity',
+  [cidTypeBridge]: 'bridge',
+  [cidTypeEncrypted]: 'encrypted',
+};
+
+/**
+ * Returns the name of a S5 CID type.
+ *
+ * @param {number} cidType - The CID type byte.
+ * @returns {string|undefined} - The CID type name, or undefined for an unknown CID type.
+ */
+function getCidTypeName(cidType) {
+  return cidTypeNames[cidType];
+}
 
 /**
  * Calculates the Blake3 hash of a file given its path.
  *
  * @param {string} path - The path to the file.
+ * @param {Object} [options] - The hashing options.
+ * @param {HashCache} [options.cache] - A hash cache, the stored hash is reused if the file is unchanged.
  * @returns {Promise<Buffer>} - A promise that resolves with the hash value as a Buffer, or rejects with an error.
  */
-async function calculateB3hashFromFile(path) {
+async function calculateB3hashFromFile(path, options = {}) {
+  if (options.cache) {
+    return options.cache.getB3hash(path);
+  }
+
   // Create a readable stream from the file
   const stream = fs.createReadStream(path);
 
@@ -44,6 +90,68 @@ async function calculateB3hashFromFile(path) {
   });
 }
 
+/**
+ * Iterates over the chunks of a Buffer, a Node Readable, a WHATWG ReadableStream or an (async) iterable.
+ *
+ * @param {Buffer|Uint8Array|ReadableStream|AsyncIterable<Uint8Array>|Iterable<Uint8Array>} input - The data source.
+ * @returns {AsyncGenerator<Buffer>} - The chunks of the data source as Buffers.
+ * @throws {Error} - If the input is not a supported data source.
+ */
+async function* iterateDataChunks(input) {
+  if (input instanceof Uint8Array) {
+    yield Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    return;
+  }
+
+  if (input != null && typeof input.getReader === 'function') {
+    // WHATWG ReadableStream
+    const reader = input.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        yield Buffer.from(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  const isIterable =
+    input != null && (typeof input[Symbol.asyncIterator] === 'function' || typeof input[Symbol.iterator] === 'function');
+  if (isIterable && typeof input !== 'string') {
+    // Node Readable, async iterable or iterable of chunks
+    for await (const chunk of input) {
+      yield Buffer.from(chunk);
+    }
+    return;
+  }
+
+  throw new Error('Unsupported data input, expected a Buffer, a stream or an iterable');
+}
+
+/**
+ * Calculates the Blake3 hash of a Buffer, a Node Readable, a WHATWG ReadableStream or an (async) iterable of chunks.
+ *
+ * @param {Buffer|Uint8Array|ReadableStream|AsyncIterable<Uint8Array>|Iterable<Uint8Array>} input - The data to hash.
+ * @returns {Promise<{b3hash: Buffer, size: bigint}>} - The hash value as a Buffer and the number of bytes hashed.
+ * @throws {Error} - If the input is not a supported data source.
+ */
+async function calculateB3hashFromData(input) {
+  // Create an instance of Blake3Hasher
+  const hasher = new Blake3Hasher();
+  let size = 0n;
+
+  for await (const chunk of iterateDataChunks(input)) {
+    hasher.update(chunk);
+    size += BigInt(chunk.length);
+  }
+
+  return { b3hash: hasher.digestBuffer(), size: size };
+}
+
 /**
  * Generates an S5 mHash by prepending a given Blake3 hash with a default value.
  *
@@ -80,65 +188,131 @@ function extractB3hashFromMHash(mHash) {
  * @returns {Buffer} The generated CID as a Buffer object.
  */
 function generateCIDFromMHash(mHash, filePath) {
-  // Buffer size for storing the file size
-  const bufSize = 16;
-
-  // Read the file size synchronously
-  const fileSize = fs.statSync(filePath).size;
+  // Read the exact file size synchronously
+  const fileSize = fs.statSync(filePath, { bigint: true }).size;
 
   // Concatenate the CID parts
   const cid = Buffer.concat([
     Buffer.alloc(1, cidTypeRaw), // CID type (assuming `cidTypeRaw` is defined)
     mHash, // Hash
-    numToBuf(fileSize, bufSize) // File size converted to buffer
+    encodeFileSize(fileSize) // File size converted to buffer
   ]);
 
   return cid;
 }
 
+// CID types that consist of a multihash (or multicoded public key), see generateTypedCIDFromMHash
+const mhashCidTypes = [
+  cidTypeRaw,
+  cidTypeMetadataMedia,
+  cidTypeMetadataWebApp,
+  cidTypeResolver,
+  cidTypeUserIdentity,
+  cidTypeBridge,
+];
+
+/**
+ * Generates a raw S5 CID (Content Identifier) from a hash and an explicit file size - into a Buffer.
+ *
+ * @param {Buffer} mHash - The hash value as a Buffer object.
+ * @param {number|bigint} fileSize - The file size.
+ * @returns {Buffer} The generated CID as a Buffer object.
+ */
+function generateCIDFromMHashAndSize(mHash, fileSize) {
+  return Buffer.concat([Buffer.alloc(1, cidTypeRaw), mHash, encodeFileSize(fileSize)]);
+}
+
+/**
+ * Calculates the raw S5 CID of a Buffer, a Node Readable, a WHATWG ReadableStream or an (async) iterable of chunks.
+ *
+ * @param {Buffer|Uint8Array|ReadableStream|AsyncIterable<Uint8Array>|Iterable<Uint8Array>} input - The data to hash.
+ * @returns {Promise<Buffer>} - The generated CID as a Buffer object.
+ */
+async function generateCIDFromData(input) {
+  const { b3hash, size } = await calculateB3hashFromData(input);
+  return generateCIDFromMHashAndSize(generateMHashFromB3hash(b3hash), size);
+}
+
+/**
+ * Generates a S5 CID of the given CID type from a multihash (or multicoded public key) - into a Buffer.
+ *
+ * @param {number} cidType - The CID type byte (e.g. cidTypeMetadataMedia).
+ * @param {Buffer} mHash - The multihash, or the multicoded ed25519 public key for resolver CIDs.
+ * @param {number|bigint} [fileSize] - The file size, only used by raw CIDs.
+ * @returns {Buffer} The generated CID as a Buffer object.
+ * @throws {UnsupportedCidTypeError} - If the CID type is not built from a multihash, e.g. cidTypeEncrypted
+ * (use generateEncryptedCID) or an unknown type.
+ * @throws {InvalidCidError} - If the multihash does not fit the CID type.
+ */
+function generateTypedCIDFromMHash(cidType, mHash, fileSize) {
+  if (!mhashCidTypes.includes(cidType)) {
+    throw new UnsupportedCidTypeError(cidType);
+  }
+  const mhashBytes = Buffer.from(mHash);
+
+  const cid = new S5Cid(cidType, mhashBytes[0], mhashBytes.slice(1), fileSize);
+
+  // Round-trip through the decoder to validate the layout of the CID type
+  return S5Cid.fromBytes(cid.toBytes()).toBytes();
+}
+
+/**
+ * Extracts the CID type byte from a CID buffer.
+ *
+ * @param {Buffer} cid - The CID buffer.
+ * @returns {number} - The CID type byte.
+ */
+function extractCidTypeFromCID(cid) {
+  return cid[0];
+}
+
 /**
  * Extracts the mHash from a CID buffer.
+ * For resolver CIDs this is the multicoded ed25519 public key.
  * 
  * @param {Buffer} cid - The CID buffer.
  * @returns {Buffer} - The extracted mHash as a Buffer.
  */
 function extractMHashFromCID(cid) {
-  // Size of the CID type (assuming 1 byte)
-  const cidTypeSize = 1;
-
-  // Size of the hash (assuming hash size matches mHash)
-  let hashSize = cid.length - cidTypeSize; // Initialize hashSize with a value
-  let i = 0;
-  while (hashSize !== 33) {
-    // Update the variables for the next iteration
-    i++;
-    hashSize = cid.length - i;
-  }
-
-  // Extract the mHash from the CID buffer
-  const mHash = cid.slice(cidTypeSize, cidTypeSize + hashSize);
-
-  return mHash;
+  return S5Cid.fromBytes(cid).mhash;
 }
 
 /**
  * Extracts the raw file size from a CID (Content Identifier) buffer.
+ * CIDs other than raw CIDs carry no file size, for them 0n is returned.
  * 
  * @param cid - The CID buffer containing the file size information.
- * @returns The extracted file size as a number.
+ * @returns The extracted exact file size as a BigInt.
+ * @throws {InvalidCidError} - If the CID is too short or the encoded file size is invalid.
  */
 function extractRawSizeFromCID(cid) {
-  let sliceLength = 0;
-
-  sliceLength = cid.length >= 34 ? 34 : 33;
-
-  // Extract the portion of the CID buffer containing the file size information
-  const rawfilesizeBuffer = cid.slice(sliceLength);
+  if (cid[0] !== cidTypeRaw) {
+    return 0n;
+  }
 
-  const rawfilesize = bufToNum(rawfilesizeBuffer);
+  // CID type (1 byte) + blake3 multihash (33 bytes)
+  if (cid.length < 34) {
+    throw new InvalidCidError('truncated multihash', cid.length);
+  }
 
   // Return the file size
-  return rawfilesize;
+  return decodeCidFileSize(cid, 34);
+}
+
+/**
+ * Decodes the little-endian file size at the end of the CID bytes.
+ *
+ * @param {Buffer} cidBytes - The CID bytes.
+ * @param {number} offset - The index of the first file size byte.
+ * @returns {bigint} - The file size.
+ * @throws {InvalidCidError} - If the encoded file size is invalid.
+ */
+function decodeCidFileSize(cidBytes, offset) {
+  try {
+    return decodeFileSize(cidBytes.slice(offset));
+  } catch (err) {
+    throw new InvalidCidError('invalid file size', offset);
+  }
 }
 
 /**
@@ -148,20 +322,13 @@ function extractRawSizeFromCID(cid) {
  * @returns {Buffer} - The extracted Blake3 hash as a buffer.
  */
 function extractB3hashFromCID(cid) {
-  // Size of the CID type (assuming 1 byte)
-  const cidTypeSize = 1;
+  // Extract the mHash from the CID buffer
+  const mHash = extractMHashFromCID(cid);
 
-  let hashSize = cid.length - cidTypeSize; // Initialize hashSize with a value
-  let i = 0;
-  while (hashSize !== 33) {
-    // Update the variables for the next iteration
-    i++;
-    hashSize = cid.length - i;
+  if (mHash[0] !== mhashBlake3Default) {
+    throw new Error('CID does not contain a Blake3 hash');
   }
 
-  // Extract the mHash from the CID buffer
-  const mHash = cid.slice(cidTypeSize, cidTypeSize + hashSize);
-
   // Call the extractB3hashFromMHash function to obtain the Blake3 hash
   const b3hash = extractB3hashFromMHash(mHash);
 
@@ -190,52 +357,35 @@ function convertMHashToB64url(mHash) {
 /**
  * Converts a S5 CID (Content Identifier) to an mHash.
  * 
- * @param {string} cid - The CID string to convert.
+ * @param {string} cid - The CID string to convert, in any multibase, as s5:// URI or gateway URL.
  * @returns {Buffer} - The mHash as a Buffer.
- * @throws {Error} - If the CID input address is invalid.
+ * @throws {InvalidCidError} - If the CID input address is invalid.
  */
 function convertS5CidToMHash(cid) {
-  let mhash;
-
-  if (cid[0] === 'z') {
-    const cidBytes = decodeCIDWithPrefixZ(cid);
-    mhash = extractMHashFromCID(cidBytes);
-  } else if (cid[0] === 'u') {
-    const cidBytes = decodeCIDWithPrefixU(cid);
-    mhash = extractMHashFromCID(cidBytes);
-  } else if (cid[0] === 'b') {
-    const cidBytes = decodeCIDWithPrefixB(cid);
-    mhash = extractMHashFromCID(cidBytes);
-  } else {
-    throw new Error('Invalid CID input address');
-  }
-
-  return Buffer.from(mhash);
+  return Buffer.from(extractMHashFromCID(decodeS5CidInput(cid)));
 }
 
 /**
- * Convert the S5 CID to CID bytes.
+ * Convert the S5 CID, in any registered multibase encoding, to CID bytes.
+ * The CID string is decoded strictly, non-canonical encodings are rejected.
  * @param {string} cid - The S5 CID to be converted.
  * @returns {string} - The CID bytes.
- * @throws {Error} - Throws an error if the input CID is invalid.
+ * @throws {InvalidCidError} - If the input is not a valid multibase string, with the offending position.
  */
 function convertS5CidToCIDBytes(cid) {
-  let cidBytes;
-
-  if (cid[0] === 'z') {
-    cidBytes = decodeCIDWithPrefixZ(cid);
-  }
-  if (cid[0] === 'u') {
-    cidBytes = decodeCIDWithPrefixU(cid);
-  }
-  if (cid[0] === 'b') {
-    cidBytes = decodeCIDWithPrefixB(cid);
+  // The base is detected from the multibase prefix (z, u, b, B, v, f, k, ...)
+  if (typeof cid !== 'string' || cid.length === 0) {
+    throw new InvalidCidError('empty input');
   }
 
-  if (cidBytes != null) {
-    return cidBytes;
-  } else {
-    throw new Error('Invalid CID input address');
+  try {
+    return decodeMultibase(cid, { strict: true });
+  } catch (err) {
+    if (err instanceof InvalidEncodingError) {
+      const reason = err.encoding !== undefined ? `${err.reason} for ${err.encoding}` : err.reason;
+      throw new InvalidCidError(reason.charAt(0).toLowerCase() + reason.slice(1), err.position);
+    }
+    throw err;
   }
 }
 
@@ -288,133 +438,543 @@ function convertS5CidToMHashB64url(cid) {
 /**
  * Converts an S5 CID (Content Identifier) to a Blake3 hash in hexadecimal format.
  * 
- * @param {string} cid - The S5 CID to convert.
+ * @param {string} cid - The S5 CID to convert, in any multibase, as s5:// URI or gateway URL.
  * @returns {string} - The Blake3 hash of the CID in hexadecimal format.
- * @throws {Error} - If the input CID is invalid.
+ * @throws {InvalidCidError} - If the input CID is invalid or not a raw CID.
  */
 function convertS5CidToB3hashHex(cid) {
-  let b3hash = null;
-
-  if (cid[0] === 'z') {
-    // Decode the CID using decodeCIDWithPrefixZ function
-    const zcidBytes = decodeCIDWithPrefixZ(cid);
-    const b3FilesSize = extractRawSizeFromCID(zcidBytes);
-    if (b3FilesSize != 0) {
-      b3hash = extractB3hashFromCID(zcidBytes);
-    } else {
-      b3hash = null;
-    }
-  }
-  if (cid[0] === 'u') {
-    // Decode the CID using decodeCIDWithPrefixU function
-    const ucidBytes = decodeCIDWithPrefixU(cid);
-    const b3FilesSize = extractRawSizeFromCID(ucidBytes);
-    if (b3FilesSize != 0) {
-      b3hash = extractB3hashFromCID(ucidBytes);
-    } else {
-      b3hash = null;
-    }
-  }
-  if (cid[0] === 'b') {
-    // Decode the CID using decodeCIDWithPrefixB function
-    const bcidBytes = decodeCIDWithPrefixB(cid);
-    const b3FilesSize = extractRawSizeFromCID(bcidBytes);
-    if (b3FilesSize != 0) {
-      b3hash = extractB3hashFromCID(bcidBytes);
-    } else {
-      b3hash = null;
-    }
-  }
-
-  if (b3hash != null) {
-    return b3hash.toString('hex');
-  } else {
-    throw new Error('Invalid CID input address');
+  const cidBytes = decodeS5CidInput(cid);
+  if (extractRawSizeFromCID(cidBytes) == 0) {
+    throw new InvalidCidError('not a raw CID');
   }
+  return extractB3hashFromCID(cidBytes).toString('hex');
 }
 
 /**
  * Retrieves various information from a CID (Content Identifier).
  * 
  * @param {string} cid - The CID string.
- * @returns {Object} - An object containing different representations and extracted information from the CID.
+ * @returns {Object} - An object containing different representations and extracted information from the CID,
+ * the file size is an exact BigInt.
  * @throws {Error} - If the CID input address is invalid.
  */
 function getAllInfosFromCid(cid) {
-  let zCid; // CID encoded with the "z" prefix
-  let uCid; // CID encoded with the "u" prefix
-  let bCid; // CID encoded with the "b" prefix
   let mHashBase64url; // CID converted to Base64URL-encoded multihash
   let b3hashHex; // CID converted to hexadecimal B3 hash
   let b3FilesSize; // Raw size extracted from the CID
+  let publicKeyHex; // ed25519 public key of a resolver CID
+  let encryptionInfos; // encryption parameters of an encrypted CID
+
+  const s5Cid = S5Cid.fromBytes(convertS5CidToCIDBytes(cid));
+
+  if (s5Cid.type === cidTypeRaw) {
+    b3FilesSize = s5Cid.size;
+  } else if (s5Cid.type === cidTypeEncrypted) {
+    // The size of the unencrypted content
+    b3FilesSize = s5Cid.encryption.originalCid.type === cidTypeRaw ? s5Cid.encryption.originalCid.size : 0n;
+    encryptionInfos = {
+      algorithm: s5Cid.encryption.algorithm,
+      chunksize: 2 ** s5Cid.encryption.chunkSizeExponent,
+      padding: s5Cid.encryption.padding,
+      encryptionkeyhex: s5Cid.encryption.encryptionKey.toString('hex'),
+      originalcid: s5Cid.encryption.originalCid.toString('z'),
+    };
+  } else {
+    b3FilesSize = 0n;
+  }
 
-  // Check the first character of the CID string
-  if (cid[0] === 'z') {
-    // Decode the CID using decodeCIDWithPrefixZ function
-    const zcidBytes = decodeCIDWithPrefixZ(cid);
-
-    zCid = encodeCIDWithPrefixZ(zcidBytes);
-    uCid = encodeCIDWithPrefixU(zcidBytes);
-    bCid = encodeCIDWithPrefixB(zcidBytes);
-    b3FilesSize = extractRawSizeFromCID(zcidBytes);
-
-    if (b3FilesSize != 0) {
-      mHashBase64url = convertS5CidToMHashB64url(cid);
-      b3hashHex = convertS5CidToB3hashHex(cid);
-    } else {
-      mHashBase64url = "It is not possible!";
-      b3hashHex = "It is not possible!";
-    }
-  } else if (cid[0] === 'u') {
-    // Decode the CID using decodeCIDWithPrefixU function
-    const ucidBytes = decodeCIDWithPrefixU(cid);
-
-    zCid = encodeCIDWithPrefixZ(ucidBytes);
-    uCid = encodeCIDWithPrefixU(ucidBytes);
-    bCid = encodeCIDWithPrefixB(ucidBytes);
-    b3FilesSize = extractRawSizeFromCID(ucidBytes);
-    if (b3FilesSize != 0) {
-      mHashBase64url = convertS5CidToMHashB64url(cid);
-      b3hashHex = convertS5CidToB3hashHex(cid);
-    } else {
-      mHashBase64url = "It is not possible!";
-      b3hashHex = "It is not possible!";
-    }
-  } else if (cid[0] === 'b') {
-    // Decode the CID using decodeCIDWithPrefixB function
-    const bcidBytes = decodeCIDWithPrefixB(cid);
-
-    zCid = encodeCIDWithPrefixZ(bcidBytes);
-    uCid = encodeCIDWithPrefixU(bcidBytes);
-    bCid = encodeCIDWithPrefixB(bcidBytes);
-    b3FilesSize = extractRawSizeFromCID(bcidBytes);
-    if (b3FilesSize != 0) {
-      mHashBase64url = convertS5CidToMHashB64url(cid);
-      b3hashHex = convertS5CidToB3hashHex(cid);
-    } else {
-      mHashBase64url = "It is not possible!";
-      b3hashHex = "It is not possible!";
-    }
+  if (s5Cid.type === cidTypeResolver) {
+    publicKeyHex = s5Cid.publicKey.toString('hex');
+  }
+
+  // For encrypted CIDs these are the hashes of the encrypted blob
+  if (s5Cid.hashAlgorithm === mhashBlake3Default && (s5Cid.type !== cidTypeRaw || b3FilesSize != 0)) {
+    mHashBase64url = convertMHashToB64url(s5Cid.mhash);
+    b3hashHex = s5Cid.hash.toString('hex');
   } else {
-    // Invalid CID input address
-    throw new Error('Invalid CID input address');
+    mHashBase64url = "It is not possible!";
+    b3hashHex = "It is not possible!";
   }
 
   return {
-    zcid: zCid,
-    ucid: uCid,
-    bcid: bCid,
+    zcid: s5Cid.toString('z'),
+    ucid: s5Cid.toString('u'),
+    bcid: s5Cid.toString('b'),
+    cidtype: s5Cid.type,
+    cidtypename: s5Cid.typeName,
     mhashb64url: mHashBase64url,
     b3hashhex: b3hashHex,
-    b3filesize: b3FilesSize
+    b3filesize: b3FilesSize,
+    publickeyhex: publicKeyHex,
+    encryption: encryptionInfos,
   };
 }
 
+/**
+ * Verifies that a file, a buffer or a stream is exactly the content named by a S5 CID.
+ * Hashing stops early as soon as the content is known to have the wrong size.
+ *
+ * For raw CIDs the Blake3 hash and the file size are checked. Media, web app, user identity, bridge
+ * and encrypted CIDs carry no file size, so only the hash is checked (for encrypted CIDs the hash of the encrypted blob).
+ *
+ * @param {S5Cid|Buffer|string} cid - The CID in any encoding.
+ * @param {string|Buffer|ReadableStream|AsyncIterable<Uint8Array>} input - A file path or the content.
+ * @returns {Promise<Object>} - The verification result with `valid`, `hashMatch`, `sizeMatch`, the expected
+ * and actual hash and size, and the CID type. When hashing stopped early, `actualHash` is null and `actualSize`
+ * is the number of bytes read so far.
+ * @throws {Error} - If the CID is invalid or does not contain a Blake3 hash.
+ */
+async function verifyContentAgainstCid(cid, input) {
+  const s5Cid = S5Cid.from(cid);
+  if (s5Cid.hashAlgorithm !== mhashBlake3Default) {
+    throw new Error('CID does not contain a Blake3 hash');
+  }
+
+  const cidBytes = s5Cid.toBytes();
+  const expectedHash = s5Cid.hash.toString('hex');
+  const expectedSize = s5Cid.type === cidTypeRaw ? extractRawSizeFromCID(cidBytes) : null;
+
+  const result = {
+    valid: false,
+    hashMatch: false,
+    sizeMatch: expectedSize === null ? null : false,
+    expectedHash: expectedHash,
+    actualHash: null,
+    expectedSize: expectedSize,
+    actualSize: null,
+    cidType: s5Cid.type,
+    cidTypeName: s5Cid.typeName,
+  };
+
+  let source = input;
+  if (typeof input === 'string') {
+    // Compare the file size before reading the file
+    const fileSize = (await fs.promises.stat(input, { bigint: true })).size;
+    if (expectedSize !== null && fileSize !== expectedSize) {
+      result.actualSize = fileSize;
+      return result;
+    }
+    source = fs.createReadStream(input);
+  } else if (input instanceof Uint8Array && expectedSize !== null && BigInt(input.length) !== expectedSize) {
+    result.actualSize = BigInt(input.length);
+    return result;
+  }
+
+  const hasher = new Blake3Hasher();
+  let size = 0n;
+  for await (const chunk of iterateDataChunks(source)) {
+    size += BigInt(chunk.length);
+    if (expectedSize !== null && size > expectedSize) {
+      // The content is already too long, stop reading (this also destroys the stream)
+      result.actualSize = size;
+      return result;
+    }
+    hasher.update(chunk);
+  }
+
+  result.actualSize = size;
+  result.actualHash = hasher.digestBuffer().toString('hex');
+  result.hashMatch = result.actualHash === expectedHash;
+  if (expectedSize !== null) {
+    result.sizeMatch = size === expectedSize;
+  }
+  result.valid = result.hashMatch && result.sizeMatch !== false;
+
+  return result;
+}
+
+/**
+ * Decodes a S5 CID string, a s5:// URI or a gateway URL into CID bytes.
+ *
+ * @param {string} input - The CID string, s5:// URI or gateway URL.
+ * @returns {Buffer} - The decoded CID bytes.
+ * @throws {InvalidCidError} - If no CID can be found in the input.
+ */
+function decodeS5CidInput(input) {
+  let cid = input.trim();
+
+  if (cid.startsWith(uriS5Prefix)) {
+    // s5://<cid>[/path] -> <cid>
+    cid = cid.substring(uriS5Prefix.length).split(/[/?#]/)[0];
+  } else if (/^https?:\/\//i.test(cid)) {
+    // Gateway URL, either https://<cid>.portal/... or https://portal/.../<cid>
+    const url = new URL(cid);
+    const subdomain = getSubdomainFromUrl(cid);
+    const candidates = url.pathname.split('/').filter((segment) => segment !== '').reverse();
+    if (subdomain !== null) {
+      candidates.unshift(subdomain);
+    }
+    for (const candidate of candidates) {
+      try {
+        const cidBytes = convertS5CidToCIDBytes(candidate);
+        if (cidBytes.length >= 34) {
+          return cidBytes;
+        }
+      } catch (e) {
+        // Not a CID, try the next candidate.
+      }
+    }
+    throw new InvalidCidError('no CID in the URL');
+  }
+
+  return convertS5CidToCIDBytes(cid);
+}
+
+/**
+ * Decodes the bytes of an encrypted CID.
+ *
+ * The layout is: CID type (1 byte), encryption algorithm (1 byte), chunk size as power of 2 (1 byte),
+ * multihash of the encrypted blob (33 bytes), encryption key (32 bytes), padding (4 bytes, little-endian)
+ * and the CID of the unencrypted content.
+ *
+ * @param {Buffer} cidBytes - The encrypted CID bytes.
+ * @returns {S5Cid} - The parsed encrypted CID.
+ * @throws {InvalidCidError} - If the bytes are not a valid encrypted CID.
+ */
+function decodeEncryptedCID(cidBytes) {
+  if (cidBytes[0] !== cidTypeEncrypted) {
+    throw new InvalidCidError('not an encrypted CID', 0);
+  }
+  if (cidBytes.length < 72 + 34) {
+    throw new InvalidCidError('truncated encrypted CID', cidBytes.length);
+  }
+
+  const algorithm = cidBytes[1];
+  if (algorithm !== encryptionAlgorithmXChaCha20Poly1305) {
+    throw new InvalidCidError(`unsupported encryption algorithm 0x${algorithm.toString(16)}`, 1);
+  }
+
+  let originalCid;
+  try {
+    originalCid = S5Cid.fromBytes(cidBytes.slice(72));
+  } catch (err) {
+    // Report the position within the encrypted CID
+    if (err instanceof InvalidCidError && err.position !== undefined) {
+      throw new InvalidCidError(`${err.reason} in the original CID`, err.position + 72);
+    }
+    throw err;
+  }
+
+  return new S5Cid(cidTypeEncrypted, cidBytes[3], cidBytes.slice(4, 36), originalCid.size, {
+    algorithm: algorithm,
+    chunkSizeExponent: cidBytes[2],
+    encryptionKey: cidBytes.slice(36, 68),
+    padding: cidBytes.readUInt32LE(68),
+    originalCid: originalCid,
+  });
+}
+
+/**
+ * Encodes an encrypted CID into its bytes.
+ *
+ * @param {S5Cid} cid - The encrypted CID.
+ * @returns {Buffer} - The encrypted CID bytes.
+ * @throws {Error} - If the encryption parameters are invalid.
+ */
+function encodeEncryptedCID(cid) {
+  const { algorithm, chunkSizeExponent, encryptionKey, padding, originalCid } = cid.encryption;
+
+  if (encryptionKey.length !== 32) {
+    throw new Error('Invalid encryption key length');
+  }
+  if (originalCid.type === cidTypeEncrypted) {
+    throw new Error('Encrypted CIDs can not be nested');
+  }
+
+  const paddingBytes = Buffer.alloc(4);
+  paddingBytes.writeUInt32LE(padding);
+
+  return Buffer.concat([
+    Buffer.from([cidTypeEncrypted, algorithm, chunkSizeExponent]),
+    cid.mhash,
+    encryptionKey,
+    paddingBytes,
+    originalCid.toBytes(),
+  ]);
+}
+
+/**
+ * Generates an encrypted S5 CID - into a Buffer.
+ *
+ * @param {Object} options - The encrypted CID parameters.
+ * @param {Buffer} options.encryptedBlobHash - The blake3 multihash of the encrypted blob.
+ * @param {Buffer} options.encryptionKey - The 32-byte encryption key.
+ * @param {S5Cid|Buffer|string} options.originalCid - The CID of the unencrypted content.
+ * @param {number} [options.chunkSizeExponent=defaultEncryptionChunkSizeExponent] - The chunk size as power of 2.
+ * @param {number} [options.padding=0] - The number of padding bytes appended before encryption.
+ * @param {number} [options.algorithm=encryptionAlgorithmXChaCha20Poly1305] - The encryption algorithm byte.
+ * @returns {Buffer} - The encrypted CID as a Buffer object.
+ * @throws {Error} - If the encryption parameters are invalid.
+ */
+function generateEncryptedCID(options) {
+  const encryptedBlobHash = Buffer.from(options.encryptedBlobHash);
+  const originalCid = S5Cid.from(options.originalCid);
+
+  const cid = new S5Cid(cidTypeEncrypted, encryptedBlobHash[0], encryptedBlobHash.slice(1), originalCid.size, {
+    algorithm: options.algorithm !== undefined ? options.algorithm : encryptionAlgorithmXChaCha20Poly1305,
+    chunkSizeExponent: options.chunkSizeExponent !== undefined ? options.chunkSizeExponent : defaultEncryptionChunkSizeExponent,
+    encryptionKey: options.encryptionKey,
+    padding: options.padding || 0,
+    originalCid: originalCid,
+  });
+
+  // Round-trip through the decoder to validate the encrypted CID
+  return S5Cid.fromBytes(cid.toBytes()).toBytes();
+}
+
+/**
+ * Extracts the encryption parameters from an encrypted CID buffer.
+ *
+ * @param {Buffer} cid - The encrypted CID buffer.
+ * @returns {Object} - The encryption algorithm, chunk size, padding, encryption key, encrypted blob hash and original CID.
+ * @throws {Error} - If the CID is not a valid encrypted CID.
+ */
+function extractEncryptionInfoFromCID(cid) {
+  const s5Cid = S5Cid.fromBytes(cid);
+  if (s5Cid.type !== cidTypeEncrypted) {
+    throw new Error('CID is not an encrypted CID');
+  }
+
+  return {
+    algorithm: s5Cid.encryption.algorithm,
+    chunkSizeExponent: s5Cid.encryption.chunkSizeExponent,
+    chunkSize: 2 ** s5Cid.encryption.chunkSizeExponent,
+    padding: s5Cid.encryption.padding,
+    encryptionKey: s5Cid.encryption.encryptionKey,
+    encryptedBlobHash: s5Cid.mhash,
+    originalCid: s5Cid.encryption.originalCid,
+  };
+}
+
+/**
+ * A parsed S5 CID (Content Identifier).
+ *
+ * Can be built from a CID string in any of the supported encodings, a s5:// URI,
+ * a gateway URL or the raw CID bytes.
+ */
+class S5Cid {
+  /**
+   * Creates a new S5 CID.
+   *
+   * @param {number} type - The CID type byte (e.g. cidTypeRaw).
+   * @param {number} hashAlgorithm - The multihash type byte (e.g. mhashBlake3Default), or mkeyEd25519 for resolver CIDs.
+   * @param {Buffer} hash - The hash bytes (or the public key), without the multihash type byte.
+   * @param {number|bigint} [size] - The file size, only used by raw CIDs. Stored as an exact BigInt.
+   * @param {Object} [encryption] - The encryption parameters, only used by encrypted CIDs.
+   * @param {number} encryption.algorithm - The encryption algorithm byte (e.g. encryptionAlgorithmXChaCha20Poly1305).
+   * @param {number} encryption.chunkSizeExponent - The chunk size as power of 2.
+   * @param {Buffer} encryption.encryptionKey - The 32-byte encryption key.
+   * @param {number} encryption.padding - The number of padding bytes appended before encryption.
+   * @param {S5Cid} encryption.originalCid - The CID of the unencrypted content.
+   */
+  constructor(type, hashAlgorithm, hash, size, encryption) {
+    this.type = type;
+    this.hashAlgorithm = hashAlgorithm;
+    this.hash = Buffer.from(hash);
+    this.size = size !== undefined ? toFileSize(size) : undefined;
+    if (encryption !== undefined) {
+      this.encryption = {
+        algorithm: encryption.algorithm,
+        chunkSizeExponent: encryption.chunkSizeExponent,
+        encryptionKey: Buffer.from(encryption.encryptionKey),
+        padding: encryption.padding,
+        originalCid: S5Cid.from(encryption.originalCid),
+      };
+    }
+  }
+
+  /**
+   * Creates a S5 CID from any supported input.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} input - A S5Cid, CID bytes, CID string, s5:// URI or gateway URL.
+   * @returns {S5Cid} - The parsed CID.
+   * @throws {InvalidCidError} - If the input is not a valid CID.
+   */
+  static from(input) {
+    if (input instanceof S5Cid) {
+      return input;
+    }
+    if (input instanceof Uint8Array) {
+      return S5Cid.fromBytes(input);
+    }
+    if (typeof input === 'string') {
+      return S5Cid.fromString(input);
+    }
+    throw new InvalidCidError('unsupported input type');
+  }
+
+  /**
+   * Creates a S5 CID from a CID string, s5:// URI or gateway URL.
+   *
+   * @param {string} cid - The CID string.
+   * @returns {S5Cid} - The parsed CID.
+   * @throws {InvalidCidError} - If the input is not a valid CID.
+   */
+  static fromString(cid) {
+    return S5Cid.fromBytes(decodeS5CidInput(cid));
+  }
+
+  /**
+   * Creates a S5 CID from the CID bytes.
+   *
+   * @param {Buffer|Uint8Array} bytes - The CID bytes.
+   * @returns {S5Cid} - The parsed CID.
+   * @throws {InvalidCidError} - If the bytes are not a valid CID, UnsupportedCidTypeError for unknown CID types.
+   */
+  static fromBytes(bytes) {
+    const cidBytes = Buffer.from(bytes);
+
+    // CID type (1 byte) + multihash type (1 byte) + at least one hash byte
+    if (cidBytes.length < 3) {
+      throw new InvalidCidError('truncated CID', cidBytes.length);
+    }
+
+    const type = cidBytes[0];
+    const hashAlgorithm = cidBytes[1];
+
+    switch (type) {
+      case cidTypeRaw:
+        // CID type + blake3 multihash (33 bytes) + little-endian file size
+        if (cidBytes.length < 34) {
+          throw new InvalidCidError('truncated multihash', cidBytes.length);
+        }
+        return new S5Cid(type, hashAlgorithm, cidBytes.slice(2, 34), decodeCidFileSize(cidBytes, 34));
+      case cidTypeMetadataMedia:
+      case cidTypeMetadataWebApp:
+      case cidTypeUserIdentity:
+        // CID type + blake3 multihash (33 bytes)
+        if (hashAlgorithm !== mhashBlake3Default) {
+          throw new InvalidCidError(`unsupported hash type 0x${hashAlgorithm.toString(16)}`, 1);
+        }
+        if (cidBytes.length !== 34) {
+          throw new InvalidCidError('invalid length', Math.min(cidBytes.length, 34));
+        }
+        return new S5Cid(type, hashAlgorithm, cidBytes.slice(2));
+      case cidTypeResolver:
+        // CID type + multicoded ed25519 public key (33 bytes)
+        if (hashAlgorithm !== mkeyEd25519) {
+          throw new InvalidCidError(`unsupported key type 0x${hashAlgorithm.toString(16)}`, 1);
+        }
+        if (cidBytes.length !== 34) {
+          throw new InvalidCidError('invalid length', Math.min(cidBytes.length, 34));
+        }
+        return new S5Cid(type, hashAlgorithm, cidBytes.slice(2));
+      case cidTypeBridge:
+        // CID type + multihash of any hash function
+        return new S5Cid(type, hashAlgorithm, cidBytes.slice(2));
+      case cidTypeEncrypted:
+        return decodeEncryptedCID(cidBytes);
+      default:
+        throw new UnsupportedCidTypeError(type);
+    }
+  }
+
+  /**
+   * The name of the CID type (e.g. "raw" or "resolver").
+   *
+   * @returns {string|undefined} - The CID type name.
+   */
+  get typeName() {
+    return getCidTypeName(this.type);
+  }
+
+  /**
+   * The multihash (multihash type byte + hash) of this CID.
+   * For resolver CIDs this is the multicoded ed25519 public key.
+   *
+   * @returns {Buffer} - The multihash bytes.
+   */
+  get mhash() {
+    return Buffer.concat([Buffer.alloc(1, this.hashAlgorithm), this.hash]);
+  }
+
+  /**
+   * The ed25519 public key of a resolver CID.
+   *
+   * @returns {Buffer|undefined} - The public key, or undefined if this is not a resolver CID.
+   */
+  get publicKey() {
+    if (this.type !== cidTypeResolver) {
+      return undefined;
+    }
+    return this.hash;
+  }
+
+  /**
+   * Serializes the CID into its bytes.
+   *
+   * @returns {Buffer} - The CID bytes.
+   */
+  toBytes() {
+    if (this.type === cidTypeEncrypted) {
+      return encodeEncryptedCID(this);
+    }
+
+    const parts = [Buffer.alloc(1, this.type), this.mhash];
+    if (this.type === cidTypeRaw) {
+      parts.push(encodeFileSize(this.size !== undefined ? this.size : 0n));
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Encodes the CID as a string.
+   *
+   * @param {string} [encoding="base58btc"] - A multibase name (e.g. "base58btc", "base64url", "base32")
+   * or prefix character (e.g. "z", "u", "b").
+   * @returns {string} - The encoded CID.
+   * @throws {Error} - If the encoding is not supported.
+   */
+  toString(encoding = 'base58btc') {
+    return encodeMultibase(this.toBytes(), encoding);
+  }
+
+  /**
+   * Checks if this CID names the same content as another CID.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} other - The CID to compare with.
+   * @returns {boolean} - True if both CIDs have the same bytes.
+   */
+  equals(other) {
+    let otherCid;
+    try {
+      otherCid = S5Cid.from(other);
+    } catch (e) {
+      return false;
+    }
+    return this.toBytes().equals(otherCid.toBytes());
+  }
+
+  /**
+   * Compares the bytes of this CID with another CID, independent of their string encodings.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} other - The CID to compare with.
+   * @returns {number} - -1, 0 or 1 if this CID sorts before, equal to or after the other CID.
+   * @throws {InvalidCidError} - If the other CID is not valid.
+   */
+  compare(other) {
+    return Buffer.compare(this.toBytes(), S5Cid.from(other).toBytes());
+  }
+
+  /**
+   * Returns the base58btc string of the CID, so it can be used with JSON.stringify.
+   *
+   * @returns {string} - The base58btc-encoded CID.
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
 module.exports = {
   calculateB3hashFromFile,
+  iterateDataChunks,
+  calculateB3hashFromData,
   generateMHashFromB3hash,
   extractB3hashFromMHash,
   generateCIDFromMHash,
+  generateCIDFromMHashAndSize,
+  generateCIDFromData,
   extractMHashFromCID,
   extractRawSizeFromCID,
   extractB3hashFromCID,
@@ -425,4 +985,12 @@ module.exports = {
   convertS5CidToMHashB64url,
   convertS5CidToB3hashHex,
   getAllInfosFromCid,
+  verifyContentAgainstCid,
+  defaultEncryptionChunkSizeExponent,
+  getCidTypeName,
+  generateTypedCIDFromMHash,
+  extractCidTypeFromCID,
+  generateEncryptedCID,
+  extractEncryptionInfoFromCID,
+  S5Cid,
 };
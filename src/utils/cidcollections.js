@@ -0,0 +1,331 @@
+"use strict";
+
+const { S5Cid } = require("./blake3tools");
+
+/**
+ * Normalises a CID in any encoding, a s5:// URI or a gateway URL into its canonical string.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+ * @param {string} [encoding="base58btc"] - The multibase name or prefix character of the canonical string.
+ * @returns {string} - The CID string in the given encoding.
+ * @throws {InvalidCidError} - If the input is not a valid CID.
+ */
+function normalizeCid(cid, encoding = "base58btc") {
+  return S5Cid.from(cid).toString(encoding);
+}
+
+/**
+ * Checks if two CIDs have the same bytes, independent of their encodings.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} a - The first CID.
+ * @param {S5Cid|Buffer|Uint8Array|string} b - The second CID.
+ * @returns {boolean} - True if both CIDs are valid and have the same bytes.
+ */
+function cidEquals(a, b) {
+  let cid;
+  try {
+    cid = S5Cid.from(a);
+  } catch (err) {
+    return false;
+  }
+  return cid.equals(b);
+}
+
+/**
+ * Compares two CIDs by their bytes, independent of their encodings. Usable as sort comparator.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} a - The first CID.
+ * @param {S5Cid|Buffer|Uint8Array|string} b - The second CID.
+ * @returns {number} - -1, 0 or 1 if the first CID sorts before, equal to or after the second CID.
+ * @throws {InvalidCidError} - If one of the CIDs is not valid.
+ */
+function compareCids(a, b) {
+  return S5Cid.from(a).compare(b);
+}
+
+/**
+ * Returns the key of a CID in the collections: the hexadecimal CID bytes.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+ * @returns {{key: string, cid: S5Cid}} - The key and the parsed CID.
+ * @throws {InvalidCidError} - If the input is not a valid CID.
+ */
+function toCidKey(cid) {
+  const s5Cid = S5Cid.from(cid);
+  return { key: s5Cid.toBytes().toString("hex"), cid: s5Cid };
+}
+
+/**
+ * A Map keyed by CIDs. The same CID in different encodings, as bytes or inside a URL is the same key.
+ * Keys are returned as S5Cid objects.
+ */
+class CidMap {
+  /**
+   * Creates a new CID map.
+   *
+   * @param {Iterable<Array>} [entries] - The initial `[cid, value]` entries.
+   * @throws {InvalidCidError} - If a key is not a valid CID.
+   */
+  constructor(entries) {
+    this.map = new Map();
+    if (entries !== undefined && entries !== null) {
+      for (const [cid, value] of entries) {
+        this.set(cid, value);
+      }
+    }
+  }
+
+  /**
+   * The number of entries.
+   *
+   * @returns {number} - The number of entries.
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Returns the value stored for a CID.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {*} - The value, or undefined if the CID is not in the map or not valid.
+   */
+  get(cid) {
+    const entry = this.findEntry(cid);
+    return entry !== undefined ? entry.value : undefined;
+  }
+
+  /**
+   * Stores a value for a CID, replacing the value stored for the same CID in any encoding.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @param {*} value - The value.
+   * @returns {CidMap} - This map.
+   * @throws {InvalidCidError} - If the CID is not valid.
+   */
+  set(cid, value) {
+    const { key, cid: s5Cid } = toCidKey(cid);
+    this.map.set(key, { cid: s5Cid, value });
+    return this;
+  }
+
+  /**
+   * Checks if the map contains a CID.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {boolean} - True if the CID is in the map, false if not or if it is not valid.
+   */
+  has(cid) {
+    return this.findEntry(cid) !== undefined;
+  }
+
+  /**
+   * Removes a CID from the map.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {boolean} - True if the CID was in the map.
+   */
+  delete(cid) {
+    let key;
+    try {
+      key = toCidKey(cid).key;
+    } catch (err) {
+      return false;
+    }
+    return this.map.delete(key);
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Returns the entry of a CID.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {Object|undefined} - The entry with `cid` and `value`, or undefined.
+   */
+  findEntry(cid) {
+    try {
+      return this.map.get(toCidKey(cid).key);
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Iterates over the CIDs in insertion order.
+   *
+   * @returns {Iterator<S5Cid>} - The CIDs.
+   */
+  *keys() {
+    for (const entry of this.map.values()) {
+      yield entry.cid;
+    }
+  }
+
+  /**
+   * Iterates over the values in insertion order.
+   *
+   * @returns {Iterator<*>} - The values.
+   */
+  *values() {
+    for (const entry of this.map.values()) {
+      yield entry.value;
+    }
+  }
+
+  /**
+   * Iterates over the `[cid, value]` entries in insertion order.
+   *
+   * @returns {Iterator<Array>} - The entries.
+   */
+  *entries() {
+    for (const entry of this.map.values()) {
+      yield [entry.cid, entry.value];
+    }
+  }
+
+  /**
+   * Calls a function for every entry in insertion order.
+   *
+   * @param {Function} callback - Called with `(value, cid, map)`.
+   * @param {*} [thisArg] - The `this` value of the callback.
+   */
+  forEach(callback, thisArg) {
+    for (const entry of this.map.values()) {
+      callback.call(thisArg, entry.value, entry.cid, this);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * A Set of CIDs. The same CID in different encodings, as bytes or inside a URL is only stored once.
+ * Values are returned as S5Cid objects.
+ */
+class CidSet {
+  /**
+   * Creates a new CID set.
+   *
+   * @param {Iterable<S5Cid|Buffer|Uint8Array|string>} [cids] - The initial CIDs.
+   * @throws {InvalidCidError} - If a CID is not valid.
+   */
+  constructor(cids) {
+    this.map = new CidMap();
+    if (cids !== undefined && cids !== null) {
+      for (const cid of cids) {
+        this.add(cid);
+      }
+    }
+  }
+
+  /**
+   * The number of CIDs.
+   *
+   * @returns {number} - The number of CIDs.
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Adds a CID, it is ignored if the set already contains it in any encoding.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {CidSet} - This set.
+   * @throws {InvalidCidError} - If the CID is not valid.
+   */
+  add(cid) {
+    if (!this.map.has(cid)) {
+      this.map.set(cid, true);
+    }
+    return this;
+  }
+
+  /**
+   * Checks if the set contains a CID.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {boolean} - True if the CID is in the set, false if not or if it is not valid.
+   */
+  has(cid) {
+    return this.map.has(cid);
+  }
+
+  /**
+   * Removes a CID from the set.
+   *
+   * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+   * @returns {boolean} - True if the CID was in the set.
+   */
+  delete(cid) {
+    return this.map.delete(cid);
+  }
+
+  /**
+   * Removes all CIDs.
+   */
+  clear() {
+    this.map.clear();
+  }
+
+  /**
+   * Iterates over the CIDs in insertion order.
+   *
+   * @returns {Iterator<S5Cid>} - The CIDs.
+   */
+  values() {
+    return this.map.keys();
+  }
+
+  /**
+   * Iterates over the CIDs in insertion order, same as `values()`.
+   *
+   * @returns {Iterator<S5Cid>} - The CIDs.
+   */
+  keys() {
+    return this.map.keys();
+  }
+
+  /**
+   * Iterates over `[cid, cid]` entries in insertion order, like Set.
+   *
+   * @returns {Iterator<Array>} - The entries.
+   */
+  *entries() {
+    for (const cid of this.map.keys()) {
+      yield [cid, cid];
+    }
+  }
+
+  /**
+   * Calls a function for every CID in insertion order.
+   *
+   * @param {Function} callback - Called with `(cid, cid, set)`.
+   * @param {*} [thisArg] - The `this` value of the callback.
+   */
+  forEach(callback, thisArg) {
+    for (const cid of this.map.keys()) {
+      callback.call(thisArg, cid, cid, this);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+}
+
+module.exports = {
+  normalizeCid,
+  cidEquals,
+  compareCids,
+  CidMap,
+  CidSet,
+};
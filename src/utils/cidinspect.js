@@ -0,0 +1,332 @@
+"use strict";
+
+const { S5Cid, getCidTypeName, getAllInfosFromCid } = require("./blake3tools");
+const { detectMultibase, decodeMultibase, encodeMultibase, decodeFileSize, getSubdomainFromUrl } = require("./tools");
+const { InvalidEncodingError } = require("./errors");
+const { uriS5Prefix } = require("./url");
+const {
+  cidTypeRaw,
+  cidTypeMetadataMedia,
+  cidTypeMetadataWebApp,
+  cidTypeResolver,
+  cidTypeUserIdentity,
+  cidTypeBridge,
+  cidTypeEncrypted,
+  mhashBlake3Default,
+  mkeyEd25519,
+  encryptionAlgorithmXChaCha20Poly1305,
+} = require("./constants");
+
+// Names of the multihash and multikey types used in S5 CIDs
+const hashAlgorithmNames = {
+  [mhashBlake3Default]: "blake3",
+  [mkeyEd25519]: "ed25519",
+};
+
+/**
+ * Formats a byte as a hexadecimal number (e.g. "0x1f").
+ *
+ * @param {number} byte - The byte.
+ * @returns {string} - The formatted byte.
+ */
+function toHexByte(byte) {
+  return `0x${byte.toString(16).padStart(2, "0")}`;
+}
+
+/**
+ * Picks the CID string of a s5:// URI or a gateway URL, the same way as `S5Cid.fromString`.
+ *
+ * @param {string} input - The trimmed input string.
+ * @returns {string|null} - The CID string, or null if no part of the URL is a CID.
+ */
+function extractCidString(input) {
+  if (input.startsWith(uriS5Prefix)) {
+    return input.substring(uriS5Prefix.length).split(/[/?#]/)[0];
+  }
+  if (!/^https?:\/\//i.test(input)) {
+    return input;
+  }
+
+  let url;
+  try {
+    url = new URL(input);
+  } catch (err) {
+    return null;
+  }
+  const candidates = url.pathname
+    .split("/")
+    .filter((segment) => segment !== "")
+    .reverse();
+  const subdomain = getSubdomainFromUrl(input);
+  if (subdomain !== null) {
+    candidates.unshift(subdomain);
+  }
+  for (const candidate of candidates) {
+    try {
+      if (decodeMultibase(candidate, { strict: true }).length >= 34) {
+        return candidate;
+      }
+    } catch (err) {
+      // Not a CID, try the next candidate.
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the length of CID bytes that have a fixed length.
+ *
+ * @param {Buffer} bytes - The CID bytes.
+ * @param {number} expectedLength - The expected number of bytes.
+ * @param {string} typeName - The CID type name, used in the problems.
+ * @param {string[]} problems - Receives the problems.
+ */
+function checkFixedLength(bytes, expectedLength, typeName, problems) {
+  if (bytes.length < expectedLength) {
+    problems.push(`Truncated ${typeName} CID: expected ${expectedLength} bytes, found ${bytes.length}`);
+  } else if (bytes.length > expectedLength) {
+    problems.push(
+      `Bad length for a ${typeName} CID: expected ${expectedLength} bytes, found ${bytes.length} ` +
+        `(${bytes.length - expectedLength} unexpected trailing bytes)`
+    );
+  }
+}
+
+/**
+ * Checks the multihash or multikey type byte of CID bytes.
+ *
+ * @param {Buffer} bytes - The CID bytes.
+ * @param {number} expected - The expected type byte.
+ * @param {string} typeName - The CID type name, used in the problems.
+ * @param {string[]} problems - Receives the problems.
+ */
+function checkHashAlgorithm(bytes, expected, typeName, problems) {
+  if (bytes[1] !== expected) {
+    problems.push(
+      `Unsupported ${expected === mkeyEd25519 ? "key" : "multihash"} type ${toHexByte(bytes[1])} for a ` +
+        `${typeName} CID, expected ${toHexByte(expected)} (${hashAlgorithmNames[expected]})`
+    );
+  }
+}
+
+/**
+ * Inspects CID bytes without throwing, fills in the fields that can be read and collects all problems.
+ * Only what `S5Cid.fromBytes` rejects is a problem, anything else that is unusual is a warning.
+ *
+ * @param {Buffer} bytes - The CID bytes.
+ * @param {Object} result - The inspection result to fill in.
+ */
+function inspectCidBytes(bytes, result) {
+  const problems = result.problems;
+  if (bytes.length === 0) {
+    problems.push("The CID is empty");
+    return;
+  }
+
+  const type = bytes[0];
+  result.cidType = type;
+  result.cidTypeName = getCidTypeName(type) || null;
+  if (result.cidTypeName === null) {
+    problems.push(`Unknown CID type byte ${toHexByte(type)}`);
+    // Cutting off a base58 CID changes all bytes, so a short CID hints at truncation rather than a wrong type
+    if (bytes.length < 34) {
+      problems.push(`The CID is too short (${bytes.length} bytes), it may be truncated`);
+    }
+    return;
+  }
+  if (bytes.length < 2) {
+    problems.push(`Truncated ${result.cidTypeName} CID: the multihash is missing`);
+    return;
+  }
+
+  const typeName = result.cidTypeName;
+  result.hashAlgorithm = bytes[1];
+  result.hashAlgorithmName = hashAlgorithmNames[bytes[1]] || null;
+
+  switch (type) {
+    case cidTypeRaw:
+      // Raw CIDs may carry other multihashes, but they can not be verified with Blake3
+      if (bytes[1] !== mhashBlake3Default) {
+        result.warnings.push(`Unusual multihash type ${toHexByte(bytes[1])} for a raw CID, expected 0x1f (blake3)`);
+      }
+      if (bytes.length < 34) {
+        problems.push(`Truncated raw CID: expected at least 34 bytes, found ${bytes.length}`);
+      } else {
+        try {
+          result.size = decodeFileSize(bytes.slice(34));
+        } catch (err) {
+          problems.push(`Invalid file size at byte 34: ${err.message}`);
+        }
+      }
+      break;
+    case cidTypeMetadataMedia:
+    case cidTypeMetadataWebApp:
+    case cidTypeUserIdentity:
+      checkHashAlgorithm(bytes, mhashBlake3Default, typeName, problems);
+      checkFixedLength(bytes, 34, typeName, problems);
+      break;
+    case cidTypeResolver:
+      checkHashAlgorithm(bytes, mkeyEd25519, typeName, problems);
+      checkFixedLength(bytes, 34, typeName, problems);
+      break;
+    case cidTypeBridge:
+      if (bytes.length < 3) {
+        problems.push("Truncated bridge CID: the hash is missing");
+      }
+      break;
+    case cidTypeEncrypted:
+      inspectEncryptedCidBytes(bytes, result);
+      break;
+  }
+}
+
+/**
+ * Inspects the bytes of an encrypted CID, including the CID of the unencrypted content.
+ *
+ * @param {Buffer} bytes - The encrypted CID bytes.
+ * @param {Object} result - The inspection result to fill in.
+ */
+function inspectEncryptedCidBytes(bytes, result) {
+  const problems = result.problems;
+
+  // The multihash of the encrypted blob follows the encryption algorithm and the chunk size
+  result.hashAlgorithm = bytes.length > 3 ? bytes[3] : null;
+  result.hashAlgorithmName = bytes.length > 3 ? hashAlgorithmNames[bytes[3]] || null : null;
+
+  if (bytes[1] !== encryptionAlgorithmXChaCha20Poly1305) {
+    problems.push(`Unsupported encryption algorithm ${toHexByte(bytes[1])}`);
+  }
+  if (bytes.length < 72 + 34) {
+    problems.push(`Truncated encrypted CID: expected at least ${72 + 34} bytes, found ${bytes.length}`);
+    return;
+  }
+  if (bytes[3] !== mhashBlake3Default) {
+    result.warnings.push(
+      `Unusual multihash type ${toHexByte(bytes[3])} for the encrypted blob, expected 0x1f (blake3)`
+    );
+  }
+
+  const original = { cidType: null, cidTypeName: null, size: null, problems: [], warnings: [] };
+  inspectCidBytes(bytes.slice(72), original);
+  if (original.cidType === cidTypeEncrypted) {
+    result.warnings.push("The original CID is encrypted as well");
+  }
+  for (const problem of original.problems) {
+    problems.push(`Original CID: ${problem}`);
+  }
+  for (const warning of original.warnings) {
+    result.warnings.push(`Original CID: ${warning}`);
+  }
+  result.size = original.size;
+}
+
+/**
+ * Formats an error thrown while parsing a CID as a problem.
+ *
+ * @param {Error} err - The error, e.g. an InvalidCidError.
+ * @returns {string} - The problem.
+ */
+function formatCidError(err) {
+  return `Invalid CID: ${err.reason !== undefined ? err.reason : err.message}`;
+}
+
+/**
+ * Inspects a CID pasted by a user and reports everything that is wrong with it. Never throws.
+ *
+ * Accepts CID strings in any registered multibase, s5:// URIs, gateway URLs (subdomain or path),
+ * CID bytes and S5Cid objects. The input is valid exactly if `S5Cid.from` accepts it.
+ *
+ * @param {*} input - The CID input.
+ * @returns {Object} - The inspection result: `valid`, the detected `encoding` (multibase name or "bytes"),
+ * `cidType`, `cidTypeName`, `hashAlgorithm`, `hashAlgorithmName`, `size` (BigInt for raw and encrypted CIDs),
+ * the human-readable `problems` (why `S5Cid.from` rejects the input) and `warnings` (what is unusual about an
+ * accepted input, e.g. surrounding whitespace) and, for valid CIDs, the `infos` of getAllInfosFromCid.
+ */
+function inspectCid(input) {
+  const result = {
+    valid: false,
+    encoding: null,
+    cidType: null,
+    cidTypeName: null,
+    hashAlgorithm: null,
+    hashAlgorithmName: null,
+    size: null,
+    problems: [],
+    warnings: [],
+    infos: null,
+  };
+
+  try {
+    let bytes = null;
+
+    if (input instanceof S5Cid) {
+      bytes = input.toBytes();
+      result.encoding = "bytes";
+    } else if (input instanceof Uint8Array) {
+      bytes = Buffer.from(input);
+      result.encoding = "bytes";
+    } else if (typeof input === "string") {
+      const trimmed = input.trim();
+      if (trimmed !== input) {
+        result.warnings.push("The input has leading or trailing whitespace, it is ignored");
+      }
+
+      const cid = trimmed === "" ? null : extractCidString(trimmed);
+      if (cid === null || cid === "") {
+        result.problems.push(trimmed === "" ? "The input is empty" : "No CID found in the URL");
+      } else {
+        try {
+          result.encoding = detectMultibase(cid);
+        } catch (err) {
+          result.problems.push(`Unknown multibase prefix '${cid[0]}', S5 CIDs usually start with 'z', 'u' or 'b'`);
+        }
+        if (result.encoding !== null) {
+          try {
+            bytes = decodeMultibase(cid, { strict: true });
+          } catch (err) {
+            if (!(err instanceof InvalidEncodingError)) {
+              throw err;
+            }
+            const position = err.position !== undefined && err.position < cid.length ? err.position : undefined;
+            const character = position !== undefined ? ` '${cid[position]}'` : "";
+            const at = err.position !== undefined ? ` at position ${err.position}` : "";
+            result.problems.push(`${err.reason}${character} for ${result.encoding}${at}`);
+          }
+        }
+      }
+    } else {
+      result.problems.push(
+        `Unsupported input type ${input === null ? "null" : typeof input}, expected a string or bytes`
+      );
+    }
+
+    if (bytes !== null) {
+      inspectCidBytes(bytes, result);
+    }
+  } catch (err) {
+    result.problems.push(formatCidError(err));
+  }
+
+  // The verdict is the one of S5Cid, the checks above only explain it
+  let cid = null;
+  try {
+    cid = S5Cid.from(input);
+  } catch (err) {
+    if (result.problems.length === 0) {
+      result.problems.push(formatCidError(err));
+    }
+  }
+
+  result.valid = cid !== null;
+  if (cid !== null) {
+    result.infos = getAllInfosFromCid(encodeMultibase(cid.toBytes()));
+    if (result.size === null && (result.cidType === cidTypeRaw || result.cidType === cidTypeEncrypted)) {
+      result.size = cid.size;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  inspectCid,
+};
@@ -0,0 +1,190 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const { generateMHashFromB3hash, generateCIDFromMHashAndSize } = require("./blake3tools");
+const { encodeCIDWithPrefixZ } = require("./tools");
+const { walkDirectory } = require("./utilsbox");
+const { getFileMimeType } = require("./file");
+
+// Version of the directory manifest format
+const directoryManifestVersion = 1;
+
+// Escape sequences of the characters that can not appear verbatim in a text manifest path
+const manifestPathEscapes = {
+  "\\": "\\\\",
+  "\n": "\\n",
+  "\r": "\\r",
+};
+
+/**
+ * Converts a file path into a manifest path, relative to the directory and with "/" separators.
+ *
+ * @param {string} dirPath - The hashed directory.
+ * @param {string} filePath - The file path.
+ * @returns {string} - The relative manifest path.
+ */
+function toManifestPath(dirPath, filePath) {
+  return path.relative(dirPath, filePath).split(path.sep).join("/");
+}
+
+/**
+ * Hashes all files of a directory in parallel with worker threads and builds a CID manifest.
+ *
+ * @param {string} dirPath - The directory to hash.
+ * @param {Object} [options] - The hashing options.
+ * @param {number} [options.concurrency] - The number of worker threads, defaults to the number of CPUs.
+ * @param {Function} [options.onProgress] - Called after every file with `{ completed, total, path, size }`.
+ * If it throws, the hashing stops and the promise rejects with the error.
+ * @param {AbortSignal} [options.signal] - Cancels the hashing, the promise then rejects with an AbortError.
+ * @returns {Promise<Object>} - The manifest, mapping each relative path to its CID, size and MIME type.
+ */
+async function hashDirectory(dirPath, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || os.cpus().length);
+  const { onProgress, signal } = options;
+
+  const filePaths = walkDirectory(dirPath).sort();
+  const files = {};
+
+  if (filePaths.length === 0) {
+    return { version: directoryManifestVersion, files };
+  }
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let nextIndex = 0;
+    let completed = 0;
+    let finished = false;
+
+    const finish = (err) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      for (const worker of workers) {
+        worker.terminate();
+      }
+      if (err) {
+        reject(err);
+      } else {
+        // Sort the manifest by path, independent of the completion order
+        const sortedFiles = {};
+        for (const filePath of filePaths) {
+          const manifestPath = toManifestPath(dirPath, filePath);
+          sortedFiles[manifestPath] = files[manifestPath];
+        }
+        resolve({ version: directoryManifestVersion, files: sortedFiles });
+      }
+    };
+
+    const onAbort = () => {
+      const err = new Error("Directory hashing was cancelled");
+      err.name = "AbortError";
+      finish(err);
+    };
+
+    const dispatch = (worker) => {
+      if (nextIndex < filePaths.length) {
+        const id = nextIndex++;
+        worker.postMessage({ id, filePath: filePaths[id] });
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort);
+    }
+
+    for (let i = 0; i < Math.min(concurrency, filePaths.length); i++) {
+      const worker = new Worker(path.join(__dirname, "dirhashworker.js"));
+      workers.push(worker);
+
+      worker.on("error", (err) => finish(err));
+      // A worker only exits on its own if it crashed, e.g. after process.exit or when it was killed
+      worker.on("exit", (code) =>
+        finish(new Error(`A hashing worker exited with code ${code} before all files were hashed`))
+      );
+      worker.on("message", ({ id, b3hash, size, error }) => {
+        if (finished) {
+          return;
+        }
+        const filePath = filePaths[id];
+        if (error !== undefined) {
+          finish(new Error(`Could not hash '${filePath}': ${error}`));
+          return;
+        }
+
+        const manifestPath = toManifestPath(dirPath, filePath);
+        const cid = generateCIDFromMHashAndSize(generateMHashFromB3hash(Buffer.from(b3hash)), size);
+        files[manifestPath] = {
+          cid: encodeCIDWithPrefixZ(cid),
+          size: size,
+          mimeType: getFileMimeType(filePath),
+        };
+
+        completed++;
+        if (onProgress) {
+          // A throwing callback would otherwise escape the event handler as an uncaught exception
+          try {
+            onProgress({ completed, total: filePaths.length, path: manifestPath, size });
+          } catch (err) {
+            finish(err);
+            return;
+          }
+        }
+
+        if (completed === filePaths.length) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Serializes a directory manifest as JSON.
+ *
+ * @param {Object} manifest - The manifest returned by hashDirectory.
+ * @returns {string} - The JSON manifest, with file sizes as decimal strings.
+ */
+function convertManifestToJSON(manifest) {
+  return JSON.stringify(manifest, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+/**
+ * Serializes a directory manifest in the line-based text format,
+ * one `<cid> <size> <mimeType> <path>` line per file (the MIME type is "-" if unknown).
+ *
+ * Like the checksum files of sha256sum, a path with a backslash, line feed or carriage return is escaped
+ * (`\\`, `\n`, `\r`) and its line starts with a backslash, so every file takes exactly one line.
+ *
+ * @param {Object} manifest - The manifest returned by hashDirectory.
+ * @returns {string} - The text manifest.
+ */
+function convertManifestToText(manifest) {
+  return Object.entries(manifest.files)
+    .map(([filePath, file]) => {
+      const escapedPath = filePath.replace(/[\\\n\r]/g, (char) => manifestPathEscapes[char]);
+      const prefix = escapedPath !== filePath ? "\\" : "";
+      return `${prefix}${file.cid} ${file.size} ${file.mimeType || "-"} ${escapedPath}\n`;
+    })
+    .join("");
+}
+
+module.exports = {
+  hashDirectory,
+  convertManifestToJSON,
+  convertManifestToText,
+};
@@ -0,0 +1,18 @@
+"use strict";
+
+// Worker thread of hashDirectory, hashes the files it receives from the main thread.
+
+const fs = require("fs");
+const { parentPort } = require("worker_threads");
+
+const { calculateB3hashFromData } = require("./blake3tools");
+
+parentPort.on("message", async ({ id, filePath }) => {
+  try {
+    // The size is counted while hashing, so both always describe the same bytes
+    const { b3hash, size } = await calculateB3hashFromData(fs.createReadStream(filePath));
+    parentPort.postMessage({ id, b3hash, size });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
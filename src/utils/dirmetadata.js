@@ -0,0 +1,280 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  S5Cid,
+  calculateB3hashFromFile,
+  generateMHashFromB3hash,
+  generateCIDFromMHashAndSize,
+  generateCIDFromData,
+} = require("./blake3tools");
+const { CidMap } = require("./cidcollections");
+const { walkDirectory } = require("./utilsbox");
+const { getFileMimeType } = require("./file");
+const { encodeMetadataBlob, decodeMetadataBlob, splitMetadataMap, joinMetadataMap } = require("./metadata");
+const { metadataTypeDirectory } = require("./constants");
+
+// Layout of a directory metadata blob, as in the reference implementation (lib5 DirectoryMetadata):
+// [metadataMagicByte, metadataTypeDirectory, msgpack([details, directories, files, extraMetadata])]
+// `directories` and `files` map the names to the references below, with integer keys. The keys are listed
+// in the order the reference implementation writes them, so decoded blobs are re-encoded byte for byte.
+const directoryReferenceKeys = {
+  name: 1,
+  created: 2,
+  encryptedWriteKey: 4,
+  publicKey: 3,
+  encryptionKey: 5,
+  ext: 6,
+};
+
+const fileReferenceKeys = {
+  name: 1,
+  created: 2,
+  file: 4,
+  version: 5,
+  mimeType: 6,
+  ext: 7,
+};
+
+const fileVersionKeys = {
+  timestamp: 8,
+  encryptedCid: 1,
+  cid: 2,
+};
+
+// Directory references of the reference implementation point to a registry key (publicKey). Immutable
+// snapshots from buildDirectoryMetadata point to the CID of the subdirectory blob instead, kept in `ext`.
+const directoryReferenceExtCid = "cid";
+
+/**
+ * Decodes optional CID bytes. Null (written by the reference implementation for empty fields) is kept,
+ * so it survives a round trip.
+ *
+ * @param {Buffer|null|undefined} bytes - The CID bytes.
+ * @returns {S5Cid|null|undefined} - The CID.
+ */
+function decodeOptionalCid(bytes) {
+  return bytes === undefined || bytes === null ? bytes : S5Cid.fromBytes(bytes);
+}
+
+/**
+ * Encodes an optional CID, see decodeOptionalCid.
+ *
+ * @param {S5Cid|Buffer|string|null|undefined} cid - The CID.
+ * @returns {Buffer|null|undefined} - The CID bytes.
+ */
+function encodeOptionalCid(cid) {
+  return cid === undefined || cid === null ? cid : S5Cid.from(cid).toBytes();
+}
+
+/**
+ * Decodes a directory reference.
+ *
+ * @param {Map} map - The encoded reference.
+ * @returns {Object} - The reference with `name`, `created`, `publicKey`, `encryptedWriteKey`, `encryptionKey`,
+ * `ext`, `cid` (from `ext`, for snapshots) and `unknown`.
+ */
+function decodeDirectoryReference(map) {
+  const { fields, unknown } = splitMetadataMap(map, directoryReferenceKeys, "directory reference");
+  const extCid = fields.ext instanceof Map ? fields.ext.get(directoryReferenceExtCid) : undefined;
+  return {
+    name: fields.name,
+    created: fields.created,
+    cid: decodeOptionalCid(extCid),
+    publicKey: fields.publicKey,
+    encryptedWriteKey: fields.encryptedWriteKey,
+    encryptionKey: fields.encryptionKey,
+    ext: fields.ext,
+    unknown,
+  };
+}
+
+/**
+ * Encodes a directory reference.
+ *
+ * @param {Object} reference - The reference, see decodeDirectoryReference.
+ * @returns {Map} - The encoded reference.
+ */
+function encodeDirectoryReference(reference) {
+  let ext = reference.ext;
+  if (reference.cid !== undefined && reference.cid !== null) {
+    ext = new Map(ext instanceof Map ? ext : Object.entries(ext || {}));
+    ext.set(directoryReferenceExtCid, encodeOptionalCid(reference.cid));
+  }
+  return joinMetadataMap({ ...reference, ext }, directoryReferenceKeys, reference.unknown);
+}
+
+/**
+ * Decodes a file reference. The file size is read from the raw CID.
+ *
+ * @param {Map} map - The encoded reference.
+ * @returns {Object} - The reference with `name`, `created`, `version`, `mimeType`, `cid`, `encryptedCid`, `size`,
+ * `timestamp`, `ext` and `unknown`.
+ */
+function decodeFileReference(map) {
+  const { fields, unknown } = splitMetadataMap(map, fileReferenceKeys, "file reference");
+  const version = splitMetadataMap(fields.file || new Map(), fileVersionKeys, "file version");
+  const cid = decodeOptionalCid(version.fields.cid);
+  return {
+    name: fields.name,
+    created: fields.created,
+    version: fields.version,
+    mimeType: fields.mimeType,
+    cid,
+    encryptedCid: decodeOptionalCid(version.fields.encryptedCid),
+    size: cid instanceof S5Cid ? cid.size : undefined,
+    timestamp: version.fields.timestamp,
+    ext: fields.ext,
+    unknown,
+    fileUnknown: version.unknown,
+  };
+}
+
+/**
+ * Encodes a file reference.
+ *
+ * @param {Object} reference - The reference, see decodeFileReference.
+ * @returns {Map} - The encoded reference.
+ */
+function encodeFileReference(reference) {
+  const file = joinMetadataMap(
+    {
+      timestamp: reference.timestamp,
+      encryptedCid: encodeOptionalCid(reference.encryptedCid),
+      cid: encodeOptionalCid(reference.cid),
+    },
+    fileVersionKeys,
+    reference.fileUnknown
+  );
+  return joinMetadataMap({ ...reference, file }, fileReferenceKeys, reference.unknown);
+}
+
+/**
+ * Serializes directory metadata into a metadataTypeDirectory blob.
+ *
+ * @param {Object} metadata - The directory metadata.
+ * @param {Map<string, Object>} [metadata.directories] - The subdirectory references by name, each with
+ * `publicKey` (a registry key) or `cid` (the CID of the subdirectory metadata of a snapshot), and optional
+ * `created` (Unix ms), `encryptedWriteKey`, `encryptionKey` and `ext`.
+ * @param {Map<string, Object>} [metadata.files] - The file references by name, each with `cid` and/or
+ * `encryptedCid`, and optional `mimeType`, `created` and `timestamp` (Unix ms), `version` and `ext`.
+ * @param {Map} [metadata.details] - The directory details.
+ * @param {Map} [metadata.extraMetadata] - The extension fields of the directory.
+ * @returns {Buffer} - The metadata blob.
+ * @throws {Error} - If a reference contains an invalid CID or value.
+ */
+function encodeDirectoryMetadata(metadata) {
+  const directories = new Map();
+  for (const [name, reference] of metadata.directories || new Map()) {
+    directories.set(name, encodeDirectoryReference({ ...reference, name }));
+  }
+  const files = new Map();
+  for (const [name, reference] of metadata.files || new Map()) {
+    files.set(name, encodeFileReference({ ...reference, name }));
+  }
+
+  return encodeMetadataBlob(metadataTypeDirectory, [
+    metadata.details || new Map(),
+    directories,
+    files,
+    metadata.extraMetadata || new Map(),
+  ]);
+}
+
+/**
+ * Parses a metadataTypeDirectory blob. Unknown keys of the references are kept in `unknown`,
+ * so they survive a round trip through encodeDirectoryMetadata.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @returns {Object} - The directory metadata with `details`, `directories`, `files` and `extraMetadata`,
+ * see encodeDirectoryMetadata.
+ * @throws {Error} - If the blob is not valid directory metadata.
+ */
+function decodeDirectoryMetadata(blob) {
+  const content = decodeMetadataBlob(blob, metadataTypeDirectory);
+  if (!Array.isArray(content) || content.length < 4 || !(content[1] instanceof Map) || !(content[2] instanceof Map)) {
+    throw new Error("Invalid directory metadata");
+  }
+
+  const directories = new Map();
+  for (const [name, reference] of content[1]) {
+    directories.set(name, decodeDirectoryReference(reference));
+  }
+  const files = new Map();
+  for (const [name, reference] of content[2]) {
+    files.set(name, decodeFileReference(reference));
+  }
+
+  return {
+    details: content[0],
+    directories,
+    files,
+    extraMetadata: content[3],
+  };
+}
+
+/**
+ * Builds the directory metadata of a local folder and of all its subfolders.
+ * Every folder gets its own metadata blob; subfolders are referenced by the raw CID of their blob.
+ * Empty folders are left out.
+ *
+ * @param {string} dirPath - The folder.
+ * @param {Object} [options] - The build options.
+ * @param {HashCache} [options.cache] - A hash cache for the file hashes.
+ * @returns {Promise<{metadata: Object, blob: Buffer, cid: S5Cid, blobs: CidMap}>} - The metadata, blob and CID
+ * of the folder, and the blobs of the folder and all subfolders by CID, ready to upload.
+ */
+async function buildDirectoryMetadata(dirPath, options = {}) {
+  const root = { path: path.resolve(dirPath), files: [], directories: new Map() };
+  for (const filePath of walkDirectory(root.path).sort()) {
+    const segments = path.relative(root.path, filePath).split(path.sep);
+    let node = root;
+    for (const segment of segments.slice(0, -1)) {
+      if (!node.directories.has(segment)) {
+        node.directories.set(segment, { path: path.join(node.path, segment), files: [], directories: new Map() });
+      }
+      node = node.directories.get(segment);
+    }
+    node.files.push(filePath);
+  }
+
+  const blobs = new CidMap();
+
+  const buildNode = async (node) => {
+    const metadata = { details: new Map(), directories: new Map(), files: new Map(), extraMetadata: new Map() };
+
+    for (const [name, child] of node.directories) {
+      const childResult = await buildNode(child);
+      const stat = await fs.promises.stat(child.path, { bigint: true });
+      metadata.directories.set(name, { cid: childResult.cid, created: Number(stat.mtimeMs) });
+    }
+
+    for (const filePath of node.files) {
+      const stat = await fs.promises.stat(filePath, { bigint: true });
+      const b3hash = await calculateB3hashFromFile(filePath, { cache: options.cache });
+      const mimeType = getFileMimeType(filePath);
+      metadata.files.set(path.basename(filePath), {
+        cid: S5Cid.fromBytes(generateCIDFromMHashAndSize(generateMHashFromB3hash(b3hash), stat.size)),
+        mimeType: mimeType !== "" ? mimeType : undefined,
+        created: Number(stat.birthtimeMs),
+        timestamp: Number(stat.mtimeMs),
+      });
+    }
+
+    const blob = encodeDirectoryMetadata(metadata);
+    const cid = S5Cid.fromBytes(await generateCIDFromData(blob));
+    blobs.set(cid, blob);
+    return { metadata: decodeDirectoryMetadata(blob), blob, cid };
+  };
+
+  const result = await buildNode(root);
+  return { ...result, blobs };
+}
+
+module.exports = {
+  encodeDirectoryMetadata,
+  decodeDirectoryMetadata,
+  buildDirectoryMetadata,
+};
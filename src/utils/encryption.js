@@ -0,0 +1,463 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { Blake3Hasher } = require("@napi-rs/blake-hash");
+
+const {
+  generateMHashFromB3hash,
+  generateTypedCIDFromMHash,
+  generateEncryptedCID,
+  defaultEncryptionChunkSizeExponent,
+  S5Cid,
+} = require("./blake3tools");
+
+const {
+  cidTypeRaw,
+  cidTypeEncrypted,
+  encryptionAlgorithmXChaCha20Poly1305,
+  encryptionAlgorithmXChaCha20Poly1305NonceSize,
+} = require("./constants");
+
+// Size of the Poly1305 authentication tag appended to every encrypted chunk
+const encryptionTagSize = 16;
+
+// Size of the XChaCha20-Poly1305 key
+const encryptionKeySize = 32;
+
+// Range of the chunk size exponent accepted for encryption (1 KiB to 1 GiB chunks, a chunk is held in one Buffer)
+const minEncryptionChunkSizeExponent = 10;
+const maxEncryptionChunkSizeExponent = 30;
+
+/**
+ * Rotates a 32-bit word to the left.
+ *
+ * @param {number} value - The 32-bit word.
+ * @param {number} shift - The number of bits to rotate.
+ * @returns {number} The rotated word.
+ */
+function rotl32(value, shift) {
+  return ((value << shift) | (value >>> (32 - shift))) >>> 0;
+}
+
+/**
+ * Applies the ChaCha quarter round to four words of the state.
+ *
+ * @param {Uint32Array} x - The ChaCha state.
+ * @param {number} a - Index of the first word.
+ * @param {number} b - Index of the second word.
+ * @param {number} c - Index of the third word.
+ * @param {number} d - Index of the fourth word.
+ */
+function quarterRound(x, a, b, c, d) {
+  x[a] = (x[a] + x[b]) >>> 0;
+  x[d] = rotl32(x[d] ^ x[a], 16);
+  x[c] = (x[c] + x[d]) >>> 0;
+  x[b] = rotl32(x[b] ^ x[c], 12);
+  x[a] = (x[a] + x[b]) >>> 0;
+  x[d] = rotl32(x[d] ^ x[a], 8);
+  x[c] = (x[c] + x[d]) >>> 0;
+  x[b] = rotl32(x[b] ^ x[c], 7);
+}
+
+/**
+ * Derives a XChaCha20 subkey from a key and the first 16 bytes of the nonce (HChaCha20).
+ *
+ * @param {Buffer} key - The 32-byte key.
+ * @param {Buffer} nonce - The 16-byte nonce prefix.
+ * @returns {Buffer} The 32-byte subkey.
+ */
+function hchacha20(key, nonce) {
+  const x = new Uint32Array(16);
+  x[0] = 0x61707865;
+  x[1] = 0x3320646e;
+  x[2] = 0x79622d32;
+  x[3] = 0x6b206574;
+  for (let i = 0; i < 8; i++) {
+    x[4 + i] = key.readUInt32LE(i * 4);
+  }
+  for (let i = 0; i < 4; i++) {
+    x[12 + i] = nonce.readUInt32LE(i * 4);
+  }
+
+  for (let i = 0; i < 10; i++) {
+    // Column rounds
+    quarterRound(x, 0, 4, 8, 12);
+    quarterRound(x, 1, 5, 9, 13);
+    quarterRound(x, 2, 6, 10, 14);
+    quarterRound(x, 3, 7, 11, 15);
+    // Diagonal rounds
+    quarterRound(x, 0, 5, 10, 15);
+    quarterRound(x, 1, 6, 11, 12);
+    quarterRound(x, 2, 7, 8, 13);
+    quarterRound(x, 3, 4, 9, 14);
+  }
+
+  const subkey = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) {
+    subkey.writeUInt32LE(x[i], i * 4);
+    subkey.writeUInt32LE(x[12 + i], 16 + i * 4);
+  }
+  return subkey;
+}
+
+/**
+ * Creates the 24-byte XChaCha20 nonce of a chunk (the chunk index, little-endian).
+ *
+ * @param {number} index - The chunk index.
+ * @returns {Buffer} The nonce.
+ */
+function getChunkNonce(index) {
+  const nonce = Buffer.alloc(encryptionAlgorithmXChaCha20Poly1305NonceSize);
+  nonce.writeBigUInt64LE(BigInt(index));
+  return nonce;
+}
+
+/**
+ * Encrypts data with XChaCha20-Poly1305.
+ *
+ * @param {Buffer} key - The 32-byte key.
+ * @param {Buffer} nonce - The 24-byte nonce.
+ * @param {Buffer} plaintext - The data to encrypt.
+ * @param {Buffer} [aad] - Additional data that is authenticated but not encrypted.
+ * @returns {Buffer} The ciphertext followed by the 16-byte authentication tag.
+ */
+function encryptXChaCha20Poly1305(key, nonce, plaintext, aad) {
+  const subkey = hchacha20(key, nonce.slice(0, 16));
+  const ietfNonce = Buffer.concat([Buffer.alloc(4), nonce.slice(16, 24)]);
+
+  const cipher = crypto.createCipheriv("chacha20-poly1305", subkey, ietfNonce, { authTagLength: encryptionTagSize });
+  if (aad !== undefined) {
+    cipher.setAAD(aad, { plaintextLength: plaintext.length });
+  }
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts data encrypted with XChaCha20-Poly1305.
+ *
+ * @param {Buffer} key - The 32-byte key.
+ * @param {Buffer} nonce - The 24-byte nonce.
+ * @param {Buffer} ciphertext - The ciphertext followed by the 16-byte authentication tag.
+ * @param {Buffer} [aad] - The additional data given to encryptXChaCha20Poly1305.
+ * @returns {Buffer} The decrypted data.
+ * @throws {Error} - If the authentication tag does not match.
+ */
+function decryptXChaCha20Poly1305(key, nonce, ciphertext, aad) {
+  if (ciphertext.length < encryptionTagSize) {
+    throw new Error("Encrypted chunk is too short");
+  }
+  const subkey = hchacha20(key, nonce.slice(0, 16));
+  const ietfNonce = Buffer.concat([Buffer.alloc(4), nonce.slice(16, 24)]);
+
+  const decipher = crypto.createDecipheriv("chacha20-poly1305", subkey, ietfNonce, {
+    authTagLength: encryptionTagSize,
+  });
+  decipher.setAuthTag(ciphertext.slice(ciphertext.length - encryptionTagSize));
+  if (aad !== undefined) {
+    decipher.setAAD(aad, { plaintextLength: ciphertext.length - encryptionTagSize });
+  }
+  try {
+    return Buffer.concat([
+      decipher.update(ciphertext.slice(0, ciphertext.length - encryptionTagSize)),
+      decipher.final(),
+    ]);
+  } catch (e) {
+    throw new Error("Could not decrypt chunk, the data or the key is invalid");
+  }
+}
+
+/**
+ * Encrypts one chunk of a file.
+ *
+ * @param {Buffer} chunk - The plaintext chunk.
+ * @param {Buffer} key - The 32-byte encryption key.
+ * @param {number} index - The chunk index, used as nonce.
+ * @returns {Buffer} The encrypted chunk (ciphertext + authentication tag).
+ */
+function encryptChunk(chunk, key, index) {
+  return encryptXChaCha20Poly1305(Buffer.from(key), getChunkNonce(index), chunk);
+}
+
+/**
+ * Decrypts one chunk of an encrypted file.
+ *
+ * @param {Buffer} encryptedChunk - The encrypted chunk (ciphertext + authentication tag).
+ * @param {Buffer} key - The 32-byte encryption key.
+ * @param {number} index - The chunk index, used as nonce.
+ * @returns {Buffer} The plaintext chunk.
+ * @throws {Error} - If the chunk can not be authenticated.
+ */
+function decryptChunk(encryptedChunk, key, index) {
+  return decryptXChaCha20Poly1305(Buffer.from(key), getChunkNonce(index), encryptedChunk);
+}
+
+/**
+ * Reads up to `length` bytes from a file handle at the given position.
+ *
+ * @param {fs.promises.FileHandle} fileHandle - The file handle.
+ * @param {Buffer} buffer - The buffer to read into.
+ * @param {number} length - The number of bytes to read.
+ * @param {number} position - The position in the file.
+ * @returns {Promise<Buffer>} The bytes read, shorter than `length` at the end of the file.
+ */
+async function readFully(fileHandle, buffer, length, position) {
+  let offset = 0;
+  while (offset < length) {
+    const { bytesRead } = await fileHandle.read(buffer, offset, length - offset, position + offset);
+    if (bytesRead === 0) {
+      break;
+    }
+    offset += bytesRead;
+  }
+  return buffer.slice(0, offset);
+}
+
+/**
+ * Writes a file through a temporary file next to it, that is renamed to the output path once `write` succeeded.
+ * On failure the temporary file is removed, so no partial output is left behind.
+ *
+ * @param {string} outputPath - The path of the file.
+ * @param {Function} write - `async (fileHandle) => result`, writes the file content.
+ * @returns {Promise<*>} - The result of `write`.
+ */
+async function writeFileAtomically(outputPath, write) {
+  const tmpPath = `${outputPath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  const output = await fs.promises.open(tmpPath, "wx");
+  try {
+    let result;
+    try {
+      result = await write(output);
+    } finally {
+      await output.close();
+    }
+    await fs.promises.rename(tmpPath, outputPath);
+    return result;
+  } catch (err) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Encrypts a file chunk by chunk with XChaCha20-Poly1305, so that large files are processed with constant memory.
+ * Every chunk is encrypted with its index as nonce; `padding` zero bytes are appended to the plaintext first.
+ * The output file is only created once the whole file is encrypted.
+ *
+ * @param {string} inputPath - The path of the file to encrypt.
+ * @param {string} outputPath - The path the encrypted blob is written to.
+ * @param {Object} [options] - The encryption options.
+ * @param {Buffer} [options.encryptionKey] - The 32-byte encryption key, a random key is generated by default.
+ * @param {number} [options.chunkSizeExponent=defaultEncryptionChunkSizeExponent] - The chunk size as power of 2.
+ * @param {number} [options.padding=0] - The number of zero bytes appended to the file before encryption.
+ * @returns {Promise<Object>} - The encryption key, chunk size, padding, sizes, hashes and the encrypted CID.
+ * @throws {Error} - If the key, the chunk size exponent (10 to 30) or the padding (below 2^32) is invalid.
+ */
+async function encryptFile(inputPath, outputPath, options = {}) {
+  const encryptionKey = options.encryptionKey
+    ? Buffer.from(options.encryptionKey)
+    : crypto.randomBytes(encryptionKeySize);
+  const chunkSizeExponent =
+    options.chunkSizeExponent !== undefined ? options.chunkSizeExponent : defaultEncryptionChunkSizeExponent;
+  const padding = options.padding !== undefined ? options.padding : 0;
+
+  if (encryptionKey.length !== encryptionKeySize) {
+    throw new Error("Invalid encryption key length");
+  }
+  if (
+    !Number.isInteger(chunkSizeExponent) ||
+    chunkSizeExponent < minEncryptionChunkSizeExponent ||
+    chunkSizeExponent > maxEncryptionChunkSizeExponent
+  ) {
+    throw new Error(
+      `Invalid chunk size exponent, expected an integer from ${minEncryptionChunkSizeExponent} to ${maxEncryptionChunkSizeExponent}`
+    );
+  }
+  // The padding is stored as unsigned 32-bit integer in the encrypted CID
+  if (!Number.isInteger(padding) || padding < 0 || padding >= 2 ** 32) {
+    throw new Error("Invalid padding, expected an integer from 0 to 2^32 - 1");
+  }
+  const chunkSize = 2 ** chunkSizeExponent;
+
+  const originalHasher = new Blake3Hasher();
+  const encryptedHasher = new Blake3Hasher();
+
+  const input = await fs.promises.open(inputPath, "r");
+  try {
+    return await writeFileAtomically(outputPath, async (output) => {
+      const originalSize = (await input.stat()).size;
+      const paddedSize = originalSize + padding;
+      const chunkBuffer = Buffer.alloc(chunkSize);
+
+      let encryptedSize = 0;
+      for (let index = 0, position = 0; position < paddedSize || index === 0; index++, position += chunkSize) {
+        const length = Math.min(chunkSize, paddedSize - position);
+        const chunk = Buffer.alloc(length);
+
+        // Read the file part of the chunk, the rest stays zero padding
+        const fileBytes = await readFully(
+          input,
+          chunkBuffer,
+          Math.max(0, Math.min(length, originalSize - position)),
+          position
+        );
+        fileBytes.copy(chunk);
+        originalHasher.update(fileBytes);
+
+        const encryptedChunk = encryptChunk(chunk, encryptionKey, index);
+        encryptedHasher.update(encryptedChunk);
+        await output.write(encryptedChunk);
+        encryptedSize += encryptedChunk.length;
+      }
+
+      const originalMHash = generateMHashFromB3hash(originalHasher.digestBuffer());
+      const encryptedBlobHash = generateMHashFromB3hash(encryptedHasher.digestBuffer());
+      const originalCid = generateTypedCIDFromMHash(cidTypeRaw, originalMHash, originalSize);
+
+      const encryptedCid = generateEncryptedCID({
+        encryptedBlobHash: encryptedBlobHash,
+        encryptionKey: encryptionKey,
+        originalCid: originalCid,
+        chunkSizeExponent: chunkSizeExponent,
+        padding: padding,
+        algorithm: encryptionAlgorithmXChaCha20Poly1305,
+      });
+
+      return {
+        algorithm: encryptionAlgorithmXChaCha20Poly1305,
+        encryptionKey: encryptionKey,
+        chunkSizeExponent: chunkSizeExponent,
+        padding: padding,
+        originalSize: originalSize,
+        encryptedSize: encryptedSize,
+        originalCid: originalCid,
+        encryptedBlobHash: encryptedBlobHash,
+        encryptedCid: encryptedCid,
+      };
+    });
+  } finally {
+    await input.close();
+  }
+}
+
+/**
+ * Reads the decryption parameters from an encrypted CID.
+ *
+ * @param {S5Cid|Buffer|string} cid - The encrypted CID.
+ * @returns {Object} - The encryption key, chunk size and the size of the unencrypted file.
+ * @throws {Error} - If the CID is not an encrypted CID.
+ */
+function getDecryptionParams(cid) {
+  const s5Cid = S5Cid.from(cid);
+  if (s5Cid.type !== cidTypeEncrypted) {
+    throw new Error("CID is not an encrypted CID");
+  }
+  if (s5Cid.encryption.algorithm !== encryptionAlgorithmXChaCha20Poly1305) {
+    throw new Error(`Unsupported encryption algorithm 0x${s5Cid.encryption.algorithm.toString(16)}`);
+  }
+
+  // File offsets are numbers, so the file must fit into the safe integer range
+  const originalSize = s5Cid.encryption.originalCid.size;
+  if (originalSize === undefined || originalSize > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error("Unsupported file size of the encrypted file");
+  }
+
+  return {
+    encryptionKey: s5Cid.encryption.encryptionKey,
+    chunkSize: 2 ** s5Cid.encryption.chunkSizeExponent,
+    padding: s5Cid.encryption.padding,
+    originalSize: Number(originalSize),
+  };
+}
+
+/**
+ * Decrypts a byte range of an encrypted file. Only the chunks overlapping the range are read and decrypted,
+ * so it can be used to seek into large encrypted files.
+ *
+ * @param {string} inputPath - The path of the encrypted blob.
+ * @param {S5Cid|Buffer|string} cid - The encrypted CID of the file.
+ * @param {number|bigint} [start=0] - The first plaintext byte of the range.
+ * @param {number|bigint} [end] - The plaintext byte after the range, defaults to the end of the file.
+ * @returns {Promise<Buffer>} - The decrypted bytes of the range.
+ * @throws {Error} - If the range is invalid or a chunk can not be authenticated.
+ */
+async function decryptFileRange(inputPath, cid, start = 0, end) {
+  const { encryptionKey, chunkSize, originalSize } = getDecryptionParams(cid);
+  // CID sizes are BigInts, so the range may be given as BigInt as well
+  start = Number(start);
+  end = end === undefined ? originalSize : Number(end);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > originalSize || start > end) {
+    throw new Error("Invalid decryption range");
+  }
+  if (start === end) {
+    return Buffer.alloc(0);
+  }
+
+  const encryptedChunkSize = chunkSize + encryptionTagSize;
+  const firstChunk = Math.floor(start / chunkSize);
+  const lastChunk = Math.floor((end - 1) / chunkSize);
+
+  const input = await fs.promises.open(inputPath, "r");
+  try {
+    const chunkBuffer = Buffer.alloc(encryptedChunkSize);
+    const parts = [];
+    for (let index = firstChunk; index <= lastChunk; index++) {
+      const encryptedChunk = await readFully(input, chunkBuffer, encryptedChunkSize, index * encryptedChunkSize);
+      const chunk = decryptChunk(encryptedChunk, encryptionKey, index);
+
+      const chunkStart = index * chunkSize;
+      parts.push(chunk.slice(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart)));
+    }
+    return Buffer.concat(parts);
+  } finally {
+    await input.close();
+  }
+}
+
+/**
+ * Decrypts an encrypted file chunk by chunk and writes the plaintext (without padding) to a file.
+ * The output file is only created once every chunk is authenticated.
+ *
+ * @param {string} inputPath - The path of the encrypted blob.
+ * @param {string} outputPath - The path the decrypted file is written to.
+ * @param {S5Cid|Buffer|string} cid - The encrypted CID of the file.
+ * @returns {Promise<number>} - The size of the decrypted file.
+ * @throws {Error} - If a chunk can not be authenticated.
+ */
+async function decryptFile(inputPath, outputPath, cid) {
+  const { encryptionKey, chunkSize, originalSize } = getDecryptionParams(cid);
+  const encryptedChunkSize = chunkSize + encryptionTagSize;
+
+  const input = await fs.promises.open(inputPath, "r");
+  try {
+    return await writeFileAtomically(outputPath, async (output) => {
+      const chunkBuffer = Buffer.alloc(encryptedChunkSize);
+      let written = 0;
+      for (let index = 0; written < originalSize; index++) {
+        const encryptedChunk = await readFully(input, chunkBuffer, encryptedChunkSize, index * encryptedChunkSize);
+        if (encryptedChunk.length === 0) {
+          throw new Error("Encrypted file is truncated");
+        }
+        const chunk = decryptChunk(encryptedChunk, encryptionKey, index);
+
+        // Drop the padding at the end of the file
+        const part = chunk.slice(0, Math.min(chunk.length, originalSize - written));
+        await output.write(part);
+        written += part.length;
+      }
+      return written;
+    });
+  } finally {
+    await input.close();
+  }
+}
+
+module.exports = {
+  encryptXChaCha20Poly1305,
+  decryptXChaCha20Poly1305,
+  encryptChunk,
+  decryptChunk,
+  encryptFile,
+  decryptFile,
+  decryptFileRange,
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Thrown when a string is not valid in the base encoding it is decoded with.
+ */
+class InvalidEncodingError extends Error {
+  /**
+   * Creates a new invalid encoding error.
+   *
+   * @param {string} message - The error message.
+   * @param {string} encoding - The name of the base encoding (e.g. "base32").
+   * @param {number} [position] - The index of the offending character in the decoded string.
+   */
+  constructor(message, encoding, position) {
+    super(position !== undefined ? `${message} at position ${position}` : message);
+    this.name = "InvalidEncodingError";
+    this.reason = message;
+    this.encoding = encoding;
+    this.position = position;
+  }
+}
+
+/**
+ * Thrown when an input is not a valid S5 CID.
+ */
+class InvalidCidError extends Error {
+  /**
+   * Creates a new invalid CID error.
+   *
+   * @param {string} [reason] - What is wrong with the CID.
+   * @param {number} [position] - The index of the offending character (CID strings) or byte (CID bytes).
+   */
+  constructor(reason, position) {
+    let message = "Invalid CID input address";
+    if (reason !== undefined) {
+      message += `: ${reason}`;
+    }
+    if (position !== undefined) {
+      message += ` at position ${position}`;
+    }
+    super(message);
+    this.name = "InvalidCidError";
+    this.reason = reason;
+    this.position = position;
+  }
+}
+
+/**
+ * Thrown when a CID has a CID type byte that is not supported.
+ */
+class UnsupportedCidTypeError extends InvalidCidError {
+  /**
+   * Creates a new unsupported CID type error.
+   *
+   * @param {number} cidType - The unsupported CID type byte.
+   */
+  constructor(cidType) {
+    super(`unsupported CID type 0x${cidType.toString(16).padStart(2, "0")}`, 0);
+    this.name = "UnsupportedCidTypeError";
+    this.cidType = cidType;
+  }
+}
+
+module.exports = {
+  InvalidEncodingError,
+  InvalidCidError,
+  UnsupportedCidTypeError,
+};
@@ -0,0 +1,464 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { calculateB3hashFromFile, generateMHashFromB3hash, generateCIDFromMHashAndSize } = require("./blake3tools");
+
+// Version of the cache file format
+const hashCacheVersion = 1;
+
+// A lock that was not refreshed for this long is left over from a crashed process and is removed.
+// The holder refreshes the modification time of its lock four times within this period.
+const hashCacheStaleLockMs = 10000;
+
+// How long to wait for the lock of another process
+const hashCacheLockTimeoutMs = 30000;
+const hashCacheLockRetryMs = 50;
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms - The time to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the cache key of a file stat: device, inode, size and modification time.
+ *
+ * @param {fs.BigIntStats} stat - The file stat, read with `{ bigint: true }`.
+ * @returns {Object} - The stat fields stored in the cache, as decimal strings.
+ */
+function getStatKey(stat) {
+  return {
+    dev: stat.dev.toString(),
+    ino: stat.ino.toString(),
+    size: stat.size.toString(),
+    mtimeNs: stat.mtimeNs.toString(),
+  };
+}
+
+/**
+ * Checks if a cache entry was created for the file with the given stat.
+ *
+ * @param {Object} entry - The cache entry.
+ * @param {fs.BigIntStats} stat - The current file stat.
+ * @returns {boolean} - True if device, inode, size and modification time are unchanged.
+ */
+function entryMatchesStat(entry, stat) {
+  const key = getStatKey(stat);
+  return entry.dev === key.dev && entry.ino === key.ino && entry.size === key.size && entry.mtimeNs === key.mtimeNs;
+}
+
+/**
+ * A persistent cache of the Blake3 hashes of files, keyed by device, inode, size and modification time.
+ *
+ * The cache is a JSON file. Changes are kept in memory until `save()` merges them into the file;
+ * `save()`, `invalidate()`, `prune()` and `clear()` hold a lock file, so several processes can share one cache.
+ */
+class HashCache {
+  /**
+   * Creates a new hash cache.
+   *
+   * @param {string} cachePath - The path of the cache file, it is created on the first save.
+   * @param {Object} [options] - The cache options.
+   * @param {number} [options.staleLockMs=10000] - The time after which a lock that is no longer refreshed is
+   * removed. All processes sharing the cache must use the same value.
+   */
+  constructor(cachePath, options = {}) {
+    this.cachePath = path.resolve(cachePath);
+    this.lockPath = `${this.cachePath}.lock`;
+    this.staleLockMs = options.staleLockMs !== undefined ? options.staleLockMs : hashCacheStaleLockMs;
+    // Content of the lock file while this cache holds the lock
+    this.lockToken = null;
+    this.entries = null;
+    // Entries added or removed since the last save (null marks a removed entry)
+    this.changes = new Map();
+  }
+
+  /**
+   * Reads the entries of the cache file.
+   *
+   * @returns {Promise<Object>} - The entries by absolute file path.
+   */
+  async readEntries() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.cachePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return {};
+      }
+      throw err;
+    }
+
+    try {
+      const data = JSON.parse(content);
+      if (data.version !== hashCacheVersion || typeof data.entries !== "object") {
+        return {};
+      }
+      return data.entries;
+    } catch (err) {
+      // A corrupted cache is treated as empty, it is rebuilt by the next save
+      return {};
+    }
+  }
+
+  /**
+   * Loads the cache file into memory, pending changes are kept.
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.entries = this.applyChanges(await this.readEntries());
+  }
+
+  /**
+   * Applies the pending changes to entries read from the cache file.
+   *
+   * @param {Object} entries - The entries by absolute file path, they are modified.
+   * @returns {Object} - The entries.
+   */
+  applyChanges(entries) {
+    for (const [filePath, entry] of this.changes) {
+      if (entry === null) {
+        delete entries[filePath];
+      } else {
+        entries[filePath] = entry;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Removes the lock file if it is still the expected one. The lock is first renamed, so a lock that another
+   * process created in the meantime is never deleted; it is put back instead.
+   *
+   * @param {string} expectedContent - The content of the expected lock file.
+   * @param {bigint} expectedIno - The inode of the expected lock file.
+   * @returns {Promise<boolean>} - True if the expected lock was removed or no lock exists anymore.
+   */
+  async removeLock(expectedContent, expectedIno) {
+    const movedPath = `${this.lockPath}.${crypto.randomBytes(8).toString("hex")}.old`;
+    try {
+      await fs.promises.rename(this.lockPath, movedPath);
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return true;
+      }
+      throw err;
+    }
+
+    const movedContent = await fs.promises.readFile(movedPath, "utf8");
+    const movedStat = await fs.promises.stat(movedPath, { bigint: true });
+    if (movedContent === expectedContent && movedStat.ino === expectedIno) {
+      await fs.promises.unlink(movedPath);
+      return true;
+    }
+
+    // Another process holds the lock now, put its lock back unless a third one already created a new lock
+    await fs.promises.link(movedPath, this.lockPath).catch(() => {});
+    await fs.promises.unlink(movedPath);
+    return false;
+  }
+
+  /**
+   * Removes the lock file of another process if it was not refreshed within the stale lock time.
+   *
+   * @returns {Promise<boolean>} - True if the lock was removed or released, false if it is still held.
+   */
+  async removeStaleLock() {
+    let content;
+    let lockStat;
+    try {
+      content = await fs.promises.readFile(this.lockPath, "utf8");
+      lockStat = await fs.promises.stat(this.lockPath, { bigint: true });
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return true;
+      }
+      throw err;
+    }
+    if (Date.now() - Number(lockStat.mtimeMs) <= this.staleLockMs) {
+      return false;
+    }
+    return this.removeLock(content, lockStat.ino);
+  }
+
+  /**
+   * Throws if the lock of this cache was removed by another process, e.g. after this process was suspended
+   * for longer than the stale lock time. Called before the cache file is replaced.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} - If the lock file does not belong to this cache anymore.
+   */
+  async checkLock() {
+    const content = await fs.promises.readFile(this.lockPath, "utf8").catch(() => null);
+    if (this.lockToken === null || content !== this.lockToken) {
+      throw new Error(`Lost the lock of the hash cache '${this.cachePath}'`);
+    }
+  }
+
+  /**
+   * Runs a function while holding the lock file of the cache. The lock file contains a random token and
+   * its modification time is refreshed while the function runs, so other processes do not consider it stale.
+   *
+   * @param {Function} fn - The async function to run.
+   * @returns {Promise<*>} - The result of the function.
+   * @throws {Error} - If the lock can not be acquired in time.
+   */
+  async withLock(fn) {
+    await fs.promises.mkdir(path.dirname(this.cachePath), { recursive: true });
+
+    const token = `${process.pid}:${crypto.randomBytes(16).toString("hex")}`;
+    const deadline = Date.now() + hashCacheLockTimeoutMs;
+    let lock;
+    while (lock === undefined) {
+      try {
+        lock = await fs.promises.open(this.lockPath, "wx");
+      } catch (err) {
+        if (err.code !== "EEXIST") {
+          throw err;
+        }
+        if (await this.removeStaleLock()) {
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Could not lock the hash cache '${this.cachePath}'`);
+        }
+        await sleep(hashCacheLockRetryMs);
+      }
+    }
+
+    const refresh = setInterval(() => {
+      const now = new Date();
+      lock.utimes(now, now).catch(() => {});
+    }, this.staleLockMs / 4);
+    let lockIno;
+    try {
+      await lock.writeFile(token);
+      lockIno = (await lock.stat({ bigint: true })).ino;
+      this.lockToken = token;
+      return await fn();
+    } finally {
+      clearInterval(refresh);
+      this.lockToken = null;
+      await lock.close();
+      if (lockIno !== undefined) {
+        await this.removeLock(token, lockIno).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Writes the entries atomically to the cache file, the caller must hold the lock.
+   *
+   * @param {Object} entries - The entries by absolute file path.
+   * @returns {Promise<void>}
+   */
+  async writeEntries(entries) {
+    await this.checkLock();
+    const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ version: hashCacheVersion, entries }));
+    await fs.promises.rename(tmpPath, this.cachePath);
+  }
+
+  /**
+   * Merges the pending changes into the cache file, keeping the entries written by other processes.
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.changes.size === 0) {
+      return;
+    }
+    await this.withLock(async () => {
+      this.entries = this.applyChanges(await this.readEntries());
+      await this.writeEntries(this.entries);
+      this.changes.clear();
+    });
+  }
+
+  /**
+   * Hashes a file and stores the hash in memory.
+   *
+   * @param {string} filePath - The absolute file path.
+   * @param {fs.BigIntStats} stat - The file stat before hashing.
+   * @returns {Promise<Buffer>} - The Blake3 hash of the file.
+   */
+  async hashAndStore(filePath, stat) {
+    const b3hash = await calculateB3hashFromFile(filePath);
+
+    // Only cache the hash if the file did not change while it was hashed
+    const statAfter = await fs.promises.stat(filePath, { bigint: true });
+    if (entryMatchesStat(getStatKey(stat), statAfter)) {
+      const entry = { ...getStatKey(stat), b3hash: b3hash.toString("hex") };
+      this.entries[filePath] = entry;
+      this.changes.set(filePath, entry);
+    }
+    return b3hash;
+  }
+
+  /**
+   * Returns the Blake3 hash of a file, from the cache if device, inode, size and modification time are unchanged.
+   *
+   * @param {string} filePath - The path of the file.
+   * @returns {Promise<Buffer>} - The Blake3 hash of the file.
+   */
+  async getB3hash(filePath) {
+    return (await this.getB3hashAndStat(filePath)).b3hash;
+  }
+
+  /**
+   * Returns the Blake3 hash of a file together with the stat that validated the cached hash or preceded hashing.
+   *
+   * @param {string} filePath - The path of the file.
+   * @returns {Promise<{b3hash: Buffer, stat: fs.BigIntStats}>} - The Blake3 hash and the file stat.
+   */
+  async getB3hashAndStat(filePath) {
+    if (this.entries === null) {
+      await this.load();
+    }
+    const absolutePath = path.resolve(filePath);
+    const stat = await fs.promises.stat(absolutePath, { bigint: true });
+
+    const entry = this.entries[absolutePath];
+    if (entry !== undefined && entryMatchesStat(entry, stat)) {
+      return { b3hash: Buffer.from(entry.b3hash, "hex"), stat };
+    }
+    return { b3hash: await this.hashAndStore(absolutePath, stat), stat };
+  }
+
+  /**
+   * Returns the raw S5 CID of a file, using the cached hash if the file is unchanged.
+   *
+   * @param {string} filePath - The path of the file.
+   * @returns {Promise<Buffer>} - The CID as a Buffer object.
+   */
+  async generateCID(filePath) {
+    const { b3hash, stat } = await this.getB3hashAndStat(filePath);
+    return generateCIDFromMHashAndSize(generateMHashFromB3hash(b3hash), stat.size);
+  }
+
+  /**
+   * Removes the entries of the given files from the cache file.
+   *
+   * @param {...string} filePaths - The paths of the files.
+   * @returns {Promise<void>}
+   */
+  async invalidate(...filePaths) {
+    if (this.entries === null) {
+      await this.load();
+    }
+    for (const filePath of filePaths) {
+      const absolutePath = path.resolve(filePath);
+      delete this.entries[absolutePath];
+      this.changes.set(absolutePath, null);
+    }
+    await this.save();
+  }
+
+  /**
+   * Removes the entries of files that were deleted or changed from the cache file and saves the pending changes.
+   * The files are checked before the lock is taken, entries that another process changed in the meantime are kept.
+   *
+   * @returns {Promise<number>} - The number of removed entries.
+   */
+  async prune() {
+    const outdated = new Map();
+    for (const [filePath, entry] of Object.entries(await this.readEntries())) {
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath, { bigint: true });
+      } catch (err) {
+        stat = null;
+      }
+      if (stat === null || !entryMatchesStat(entry, stat)) {
+        outdated.set(filePath, entry);
+      }
+    }
+
+    let removed = 0;
+    await this.withLock(async () => {
+      this.entries = this.applyChanges(await this.readEntries());
+      for (const [filePath, entry] of outdated) {
+        const current = this.entries[filePath];
+        if (current !== undefined && JSON.stringify(current) === JSON.stringify(entry)) {
+          delete this.entries[filePath];
+          removed++;
+        }
+      }
+      await this.writeEntries(this.entries);
+      this.changes.clear();
+    });
+    return removed;
+  }
+
+  /**
+   * Rehashes a random sample of the cached files, ignoring the cache, and replaces wrong entries.
+   * Entries of files that changed since they were cached are skipped.
+   *
+   * @param {Object} [options] - The verify options.
+   * @param {number} [options.sampleSize=10] - The number of entries to rehash, Infinity rehashes all of them.
+   * @returns {Promise<{checked: number, mismatches: string[]}>} - The number of rehashed files and the mismatching paths.
+   */
+  async verify(options = {}) {
+    const sampleSize = options.sampleSize !== undefined ? options.sampleSize : 10;
+    await this.load();
+
+    // Fisher-Yates shuffle to pick a random sample
+    const filePaths = Object.keys(this.entries);
+    for (let i = filePaths.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [filePaths[i], filePaths[j]] = [filePaths[j], filePaths[i]];
+    }
+
+    let checked = 0;
+    const mismatches = [];
+    for (const filePath of filePaths) {
+      if (checked >= sampleSize) {
+        break;
+      }
+      const entry = this.entries[filePath];
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath, { bigint: true });
+      } catch (err) {
+        continue;
+      }
+      if (!entryMatchesStat(entry, stat)) {
+        continue;
+      }
+
+      checked++;
+      const b3hash = await this.hashAndStore(filePath, stat);
+      if (b3hash.toString("hex") !== entry.b3hash) {
+        mismatches.push(filePath);
+      }
+    }
+    await this.save();
+
+    return { checked, mismatches };
+  }
+
+  /**
+   * Removes all entries from the cache file.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.withLock(async () => {
+      this.entries = {};
+      this.changes.clear();
+      await this.writeEntries(this.entries);
+    });
+  }
+}
+
+module.exports = {
+  HashCache,
+};
@@ -0,0 +1,243 @@
+"use strict";
+
+const { S5Cid } = require("./blake3tools");
+const {
+  encodeMetadataBlob,
+  decodeMetadataBlob,
+  generateMetadataCID,
+  splitMetadataMap,
+  joinMetadataMap,
+  MetadataExtensions,
+} = require("./metadata");
+const {
+  cidTypeMetadataMedia,
+  cidTypeUserIdentity,
+  metadataTypeMedia,
+  metadataMediaDetailsDuration,
+  metadataMediaDetailsIsLive,
+  parentLinkTypeUserIdentity,
+} = require("./constants");
+
+// Layout of a media metadata blob:
+// [metadataMagicByte, metadataTypeMedia, msgpack([name, details, parents, mediaTypes, links, extraMetadata])]
+// `details` and `extraMetadata` are maps with integer keys, `mediaTypes` maps a media type (e.g. "video")
+// to its list of formats. Every parent link is a map with the keys below; a parentLinkTypeUserIdentity
+// link names the user identity the media object belongs to, `signed` tells that the identity key signed it.
+// Links in another layout are kept as `{ raw }` and written back unchanged.
+const parentLinkKeys = {
+  type: 0,
+  cid: 1,
+  role: 2,
+  signed: 3,
+};
+
+/**
+ * Sets a map entry, or removes it if the value is undefined.
+ *
+ * @param {Map} map - The map.
+ * @param {*} key - The key.
+ * @param {*} value - The value.
+ */
+function setOrDelete(map, key, value) {
+  if (value === undefined) {
+    map.delete(key);
+  } else {
+    map.set(key, value);
+  }
+}
+
+/**
+ * Typed access to the details of a media object (duration, live state).
+ * Keys without an accessor are kept in the wrapped map.
+ */
+class MediaDetails {
+  /**
+   * Wraps the details map of a media object.
+   *
+   * @param {Map} [map] - The details map, by metadataMediaDetails key.
+   */
+  constructor(map) {
+    this.map = map instanceof Map ? map : new Map();
+  }
+
+  /** @returns {number|undefined} - The duration in milliseconds. */
+  get duration() {
+    return this.map.get(metadataMediaDetailsDuration);
+  }
+
+  set duration(value) {
+    setOrDelete(this.map, metadataMediaDetailsDuration, value);
+  }
+
+  /** @returns {boolean|undefined} - True for a live stream. */
+  get isLive() {
+    return this.map.get(metadataMediaDetailsIsLive);
+  }
+
+  set isLive(value) {
+    setOrDelete(this.map, metadataMediaDetailsIsLive, value);
+  }
+}
+
+/**
+ * Normalises a parent link of a media object.
+ *
+ * @param {Object} link - The parent link.
+ * @param {number} link.type - The parentLinkType, e.g. parentLinkTypeUserIdentity.
+ * @param {S5Cid|string|Buffer} link.cid - The CID of the parent.
+ * @param {string} [link.role] - The role of the parent.
+ * @param {boolean} [link.signed=false] - True if the parent signed the media object.
+ * @param {Map} [link.unknown] - The entries without a known key, kept from fromBytes.
+ * @param {*} [link.raw] - A link fromBytes could not parse, it is kept as it is.
+ * @returns {Object} - The parent link with `type`, `cid` (S5Cid), `role`, `signed` and `unknown`, or with `raw`.
+ * @throws {Error} - If the type or the CID is invalid, or an identity link does not point to a user identity.
+ */
+function createParentLink({ type, cid, role, signed = false, unknown, raw }) {
+  if (raw !== undefined) {
+    return { raw };
+  }
+  if (!Number.isInteger(type)) {
+    throw new Error(`Invalid parent link type ${type}`);
+  }
+  const parentCid = S5Cid.from(cid);
+  if (type === parentLinkTypeUserIdentity && parentCid.type !== cidTypeUserIdentity) {
+    throw new Error(`Invalid identity parent link of type ${parentCid.typeName}, expected a user identity CID`);
+  }
+  return { type, cid: parentCid, role, signed: signed === true, unknown: unknown instanceof Map ? unknown : new Map() };
+}
+
+/**
+ * Parses a parent link of a media metadata blob.
+ *
+ * @param {*} link - The decoded parent link, a map by parentLinkKeys.
+ * @returns {Object} - The parent link, see createParentLink; `{ raw }` if it is not a map with a valid type and CID.
+ */
+function parseParentLink(link) {
+  try {
+    const { fields, unknown } = splitMetadataMap(link, parentLinkKeys, "parent link");
+    return createParentLink({ ...fields, cid: S5Cid.fromBytes(fields.cid), unknown });
+  } catch (err) {
+    return { raw: link };
+  }
+}
+
+/**
+ * The metadata of a media object (video, audio, image, ...) in the S5 metadataTypeMedia format.
+ *
+ * The optional extensions are available through `extensions` (licenses, tags, previous versions, ...)
+ * and the media details through `details`. Unknown keys of both are kept, so fields added by newer
+ * versions survive a round trip through fromBytes and toBytes.
+ */
+class MediaMetadata {
+  /**
+   * Creates new media metadata.
+   *
+   * @param {Object} [options] - The metadata.
+   * @param {string} [options.name] - The name of the media object.
+   * @param {Map} [options.details] - The media details, by metadataMediaDetails key.
+   * @param {Object[]} [options.parents] - The parent links, see createParentLink.
+   * @param {Map<string, Array>} [options.mediaTypes] - The formats by media type, e.g. "video" or "thumbnail".
+   * @param {*} [options.links] - The links to other media objects.
+   * @param {Map} [options.extraMetadata] - The extensions, by metadataExtension key.
+   */
+  constructor({ name = "", details, parents, mediaTypes, links = null, extraMetadata } = {}) {
+    this.name = name;
+    this.details = new MediaDetails(details);
+    this.parents = (parents || []).map((link) => createParentLink(link));
+    this.mediaTypes = mediaTypes instanceof Map ? mediaTypes : new Map();
+    this.links = links;
+    this.extensions = new MetadataExtensions(extraMetadata);
+  }
+
+  /**
+   * Parses a metadataTypeMedia blob.
+   *
+   * @param {Buffer|Uint8Array} blob - The metadata blob.
+   * @returns {MediaMetadata} - The media metadata.
+   * @throws {Error} - If the blob is not valid media metadata.
+   */
+  static fromBytes(blob) {
+    const content = decodeMetadataBlob(blob, metadataTypeMedia);
+    if (!Array.isArray(content) || content.length < 6) {
+      throw new Error("Invalid media metadata");
+    }
+    const [name, details, parents, mediaTypes, links, extraMetadata] = content;
+    if (
+      typeof name !== "string" ||
+      !(details instanceof Map) ||
+      !Array.isArray(parents) ||
+      !(mediaTypes instanceof Map) ||
+      !(extraMetadata instanceof Map)
+    ) {
+      throw new Error("Invalid media metadata");
+    }
+    const parentLinks = parents.map((link) => parseParentLink(link));
+    return new MediaMetadata({ name, details, parents: parentLinks, mediaTypes, links, extraMetadata });
+  }
+
+  /** @returns {S5Cid[]} - The CIDs of the user identities the media object belongs to. */
+  get identityParents() {
+    return this.parents.filter((link) => link.type === parentLinkTypeUserIdentity).map((link) => link.cid);
+  }
+
+  /**
+   * Links the media object to a user identity, e.g. the identity of the publisher.
+   *
+   * @param {S5Cid|string|Buffer} identityCid - The cidTypeUserIdentity CID.
+   * @param {Object} [options] - The link options.
+   * @param {string} [options.role] - The role of the identity.
+   * @param {boolean} [options.signed=false] - True if the metadata is signed with the identity key.
+   * @throws {Error} - If the CID is not a user identity CID.
+   */
+  addIdentityParent(identityCid, { role, signed = false } = {}) {
+    const link = createParentLink({ type: parentLinkTypeUserIdentity, cid: identityCid, role, signed });
+    // A second link to the same identity replaces the first one
+    const index = this.parents.findIndex(
+      (other) => other.raw === undefined && other.type === link.type && other.cid.equals(link.cid)
+    );
+    if (index === -1) {
+      this.parents.push(link);
+    } else {
+      this.parents[index] = link;
+    }
+  }
+
+  /**
+   * Serializes the media metadata into a metadataTypeMedia blob.
+   *
+   * @returns {Buffer} - The metadata blob.
+   * @throws {Error} - If a field contains a value that can not be encoded.
+   */
+  toBytes() {
+    return encodeMetadataBlob(metadataTypeMedia, [
+      this.name,
+      this.details.map,
+      this.parents.map((link) =>
+        link.raw !== undefined
+          ? link.raw
+          : joinMetadataMap(
+              { type: link.type, cid: link.cid.toBytes(), role: link.role, signed: link.signed || undefined },
+              parentLinkKeys,
+              link.unknown
+            )
+      ),
+      this.mediaTypes,
+      this.links,
+      this.extensions.map,
+    ]);
+  }
+
+  /**
+   * Generates the cidTypeMetadataMedia CID of the serialized media metadata.
+   *
+   * @returns {Promise<Buffer>} - The CID bytes.
+   */
+  async generateCID() {
+    return generateMetadataCID(cidTypeMetadataMedia, this.toBytes());
+  }
+}
+
+module.exports = {
+  MediaDetails,
+  MediaMetadata,
+};
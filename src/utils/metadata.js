@@ -0,0 +1,301 @@
+"use strict";
+
+const { S5Cid, calculateB3hashFromData, generateMHashFromB3hash, generateTypedCIDFromMHash } = require("./blake3tools");
+const { encodeMsgpack, decodeMsgpack } = require("./msgpack");
+const {
+  metadataMagicByte,
+  metadataExtensionLicenses,
+  metadataExtensionDonationKeys,
+  metadataExtensionWikidataClaims,
+  metadataExtensionLanguages,
+  metadataExtensionSourceUris,
+  metadataExtensionUpdateCID,
+  metadataExtensionPreviousVersions,
+  metadataExtensionTimestamp,
+  metadataExtensionTags,
+  metadataExtensionCategories,
+  metadataExtensionViewTypes,
+  metadataExtensionBasicMediaMetadata,
+  metadataExtensionBridge,
+} = require("./constants");
+
+/**
+ * Serializes a metadata blob: metadataMagicByte, the metadata type and the MessagePack-encoded content.
+ *
+ * @param {number} metadataType - The metadata type, e.g. metadataTypeDirectory.
+ * @param {*} content - The content, usually an array.
+ * @returns {Buffer} - The metadata blob.
+ */
+function encodeMetadataBlob(metadataType, content) {
+  return Buffer.concat([Buffer.from([metadataMagicByte, metadataType]), encodeMsgpack(content)]);
+}
+
+/**
+ * Returns the metadata type of a metadata blob.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @returns {number|null} - The metadata type, or null if the blob does not start with metadataMagicByte.
+ */
+function getMetadataType(blob) {
+  if (blob.length < 2 || blob[0] !== metadataMagicByte) {
+    return null;
+  }
+  return blob[1];
+}
+
+/**
+ * Parses the MessagePack-encoded content of a metadata blob.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @param {number} metadataType - The expected metadata type.
+ * @returns {*} - The content.
+ * @throws {Error} - If the blob is not metadata of the expected type or the content is invalid.
+ */
+function decodeMetadataBlob(blob, metadataType) {
+  const type = getMetadataType(blob);
+  if (type === null) {
+    throw new Error("Invalid metadata, the magic byte is missing");
+  }
+  if (type !== metadataType) {
+    throw new Error(`Invalid metadata type 0x${type.toString(16)}, expected 0x${metadataType.toString(16)}`);
+  }
+  return decodeMsgpack(Buffer.from(blob).subarray(2));
+}
+
+/**
+ * Generates the CID of a metadata blob - into a Buffer.
+ *
+ * @param {number} cidType - The CID type, e.g. cidTypeMetadataMedia.
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @returns {Promise<Buffer>} - The CID bytes: the CID type followed by the Blake3 multihash of the blob.
+ */
+async function generateMetadataCID(cidType, blob) {
+  const { b3hash } = await calculateB3hashFromData(Buffer.from(blob));
+  return generateTypedCIDFromMHash(cidType, generateMHashFromB3hash(b3hash));
+}
+
+/**
+ * Splits a MessagePack map with integer keys into the known fields and the other entries,
+ * so fields added by newer versions survive a round trip.
+ *
+ * @param {*} map - The decoded map.
+ * @param {Object<string, number>} keys - The integer key of every known field by field name.
+ * @param {string} description - What the map describes, used in errors.
+ * @returns {{fields: Object, unknown: Map}} - The known fields by name and the other entries.
+ * @throws {Error} - If the value is not a map.
+ */
+function splitMetadataMap(map, keys, description) {
+  if (!(map instanceof Map)) {
+    throw new Error(`Invalid ${description}, expected a map`);
+  }
+  const names = new Map(Object.entries(keys).map(([name, key]) => [key, name]));
+  const fields = {};
+  const unknown = new Map();
+  for (const [key, value] of map) {
+    if (names.has(key)) {
+      fields[names.get(key)] = value;
+    } else {
+      unknown.set(key, value);
+    }
+  }
+  return { fields, unknown };
+}
+
+/**
+ * Builds a MessagePack map with integer keys from fields and the entries kept by splitMetadataMap.
+ * Undefined fields are left out.
+ *
+ * @param {Object} fields - The field values by name.
+ * @param {Object<string, number>} keys - The integer key of every known field by field name.
+ * @param {Map} [unknown] - The other entries.
+ * @returns {Map} - The map.
+ */
+function joinMetadataMap(fields, keys, unknown) {
+  const map = new Map();
+  for (const [name, key] of Object.entries(keys)) {
+    if (fields[name] !== undefined) {
+      map.set(key, fields[name]);
+    }
+  }
+  if (unknown !== undefined) {
+    for (const [key, value] of unknown) {
+      if (!map.has(key)) {
+        map.set(key, value);
+      }
+    }
+  }
+  return map;
+}
+
+/**
+ * Typed access to the optional metadata extensions of files, media and directories.
+ *
+ * The extensions are kept in the wrapped map, so keys without an accessor (e.g. from newer versions)
+ * survive a round trip. Setting an accessor to undefined removes the extension.
+ */
+class MetadataExtensions {
+  /**
+   * Wraps the extension map of a metadata object.
+   *
+   * @param {Map} [map] - The extension map, by metadataExtension key.
+   */
+  constructor(map) {
+    this.map = map instanceof Map ? map : new Map();
+  }
+
+  /**
+   * Returns an extension value.
+   *
+   * @param {number} key - The metadataExtension key.
+   * @returns {*} - The value, or undefined.
+   */
+  get(key) {
+    return this.map.get(key);
+  }
+
+  /**
+   * Sets or removes an extension value.
+   *
+   * @param {number} key - The metadataExtension key.
+   * @param {*} value - The value, undefined removes the extension.
+   */
+  set(key, value) {
+    if (value === undefined) {
+      this.map.delete(key);
+    } else {
+      this.map.set(key, value);
+    }
+  }
+
+  /** @returns {string[]|undefined} - The SPDX license identifiers. */
+  get licenses() {
+    return this.get(metadataExtensionLicenses);
+  }
+
+  set licenses(value) {
+    this.set(metadataExtensionLicenses, value);
+  }
+
+  /** @returns {Buffer[]|undefined} - The multicoded public keys of registry entries with donation links. */
+  get donationKeys() {
+    return this.get(metadataExtensionDonationKeys);
+  }
+
+  set donationKeys(value) {
+    this.set(metadataExtensionDonationKeys, value !== undefined ? value.map((key) => Buffer.from(key)) : undefined);
+  }
+
+  /** @returns {Map|undefined} - The external ids of the object by Wikidata property id. */
+  get wikidataClaims() {
+    return this.get(metadataExtensionWikidataClaims);
+  }
+
+  set wikidataClaims(value) {
+    this.set(metadataExtensionWikidataClaims, value);
+  }
+
+  /** @returns {string[]|undefined} - The languages, e.g. ["en", "de-DE"]. */
+  get languages() {
+    return this.get(metadataExtensionLanguages);
+  }
+
+  set languages(value) {
+    this.set(metadataExtensionLanguages, value);
+  }
+
+  /** @returns {string[]|undefined} - The source URIs. */
+  get sourceUris() {
+    return this.get(metadataExtensionSourceUris);
+  }
+
+  set sourceUris(value) {
+    this.set(metadataExtensionSourceUris, value);
+  }
+
+  /** @returns {S5Cid|undefined} - The resolver CID that updates (or deletes) the object. */
+  get updateCID() {
+    const value = this.get(metadataExtensionUpdateCID);
+    return value !== undefined ? S5Cid.fromBytes(value) : undefined;
+  }
+
+  set updateCID(value) {
+    this.set(metadataExtensionUpdateCID, value !== undefined ? S5Cid.from(value).toBytes() : undefined);
+  }
+
+  /** @returns {S5Cid[]|undefined} - The CIDs of the previous versions. */
+  get previousVersions() {
+    const value = this.get(metadataExtensionPreviousVersions);
+    return value !== undefined ? value.map((cid) => S5Cid.fromBytes(cid)) : undefined;
+  }
+
+  set previousVersions(value) {
+    this.set(
+      metadataExtensionPreviousVersions,
+      value !== undefined ? value.map((cid) => S5Cid.from(cid).toBytes()) : undefined
+    );
+  }
+
+  /** @returns {number|undefined} - The Unix timestamp in milliseconds. */
+  get timestamp() {
+    return this.get(metadataExtensionTimestamp);
+  }
+
+  set timestamp(value) {
+    this.set(metadataExtensionTimestamp, value);
+  }
+
+  /** @returns {string[]|undefined} - The tags. */
+  get tags() {
+    return this.get(metadataExtensionTags);
+  }
+
+  set tags(value) {
+    this.set(metadataExtensionTags, value);
+  }
+
+  /** @returns {string[]|undefined} - The categories. */
+  get categories() {
+    return this.get(metadataExtensionCategories);
+  }
+
+  set categories(value) {
+    this.set(metadataExtensionCategories, value);
+  }
+
+  /** @returns {string[]|undefined} - The view types, e.g. video, podcast, book, audio or music. */
+  get viewTypes() {
+    return this.get(metadataExtensionViewTypes);
+  }
+
+  set viewTypes(value) {
+    this.set(metadataExtensionViewTypes, value);
+  }
+
+  /** @returns {Map|undefined} - The basic media metadata. */
+  get basicMediaMetadata() {
+    return this.get(metadataExtensionBasicMediaMetadata);
+  }
+
+  set basicMediaMetadata(value) {
+    this.set(metadataExtensionBasicMediaMetadata, value);
+  }
+
+  /** @returns {Map|undefined} - The bridge information of bridged content. */
+  get bridge() {
+    return this.get(metadataExtensionBridge);
+  }
+
+  set bridge(value) {
+    this.set(metadataExtensionBridge, value);
+  }
+}
+
+module.exports = {
+  encodeMetadataBlob,
+  getMetadataType,
+  decodeMetadataBlob,
+  generateMetadataCID,
+  splitMetadataMap,
+  joinMetadataMap,
+  MetadataExtensions,
+};
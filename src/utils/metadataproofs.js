@@ -0,0 +1,203 @@
+"use strict";
+
+const { sign } = require("tweetnacl");
+
+const { calculateB3hashFromData, generateMHashFromB3hash } = require("./blake3tools");
+const { getRegistryKeyPair, encodeRegistryPublicKey } = require("./registry");
+const { encodeMsgpack, decodeMsgpack } = require("./msgpack");
+const { getMetadataType } = require("./metadata");
+const {
+  metadataMagicByte,
+  metadataTypeProofs,
+  metadataProofTypeSignature,
+  metadataProofTypeTimestamp,
+  mhashBlake3Default,
+} = require("./constants");
+
+// Layout of metadata with proofs:
+// [metadataMagicByte, metadataTypeProofs, proof section length (2 bytes, little-endian), msgpack(proofs), metadata blob]
+// Every proof is an array that starts with the proof type and the multihash type of the signed hash:
+// signature: [metadataProofTypeSignature, mhashType, multicoded public key, ed25519 signature]
+// timestamp: [metadataProofTypeTimestamp, mhashType, proof bytes (e.g. an OpenTimestamps proof)]
+const proofsHeaderLength = 4;
+
+/**
+ * Returns the Blake3 multihash of a metadata blob, the message signed by signature proofs.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @returns {Promise<Buffer>} - The 33-byte multihash.
+ */
+async function getMetadataProofHash(blob) {
+  const { b3hash } = await calculateB3hashFromData(Buffer.from(blob));
+  return generateMHashFromB3hash(b3hash);
+}
+
+/**
+ * Signs the hash of a metadata blob with an ed25519 key.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @param {string|Buffer|Uint8Array} secretKey - The 64-byte ed25519 secret key or the 32-byte seed.
+ * @returns {Promise<Object>} - The signature proof with `type`, `mhashType`, `publicKey` (multicoded) and `signature`.
+ * @throws {Error} - If the key is invalid.
+ */
+async function createSignatureProof(blob, secretKey) {
+  const keyPair = getRegistryKeyPair(secretKey);
+  const hash = await getMetadataProofHash(blob);
+  return {
+    type: metadataProofTypeSignature,
+    mhashType: mhashBlake3Default,
+    publicKey: encodeRegistryPublicKey(keyPair.publicKey),
+    signature: Buffer.from(sign.detached(Uint8Array.from(hash), keyPair.secretKey)),
+  };
+}
+
+/**
+ * Serializes a metadata blob with its proofs.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob, e.g. from MediaMetadata.toBytes.
+ * @param {Object[]} proofs - The proofs: signature proofs from createSignatureProof, timestamp proofs
+ * `{type: metadataProofTypeTimestamp, mhashType, proof}` and other proofs as `{type, raw}` from decodeMetadataProofs.
+ * @returns {Buffer} - The metadata with proofs.
+ * @throws {Error} - If the blob is not metadata or the proofs do not fit into the proof section.
+ */
+function encodeMetadataProofs(blob, proofs) {
+  const type = getMetadataType(blob);
+  if (type === null || type === metadataTypeProofs) {
+    throw new Error("Invalid metadata blob, proofs can only be added to metadata without proofs");
+  }
+
+  const proofSection = encodeMsgpack(
+    proofs.map((proof) => {
+      if (proof.raw !== undefined) {
+        return proof.raw;
+      }
+      if (proof.type === metadataProofTypeSignature) {
+        return [proof.type, proof.mhashType, encodeRegistryPublicKey(proof.publicKey), Buffer.from(proof.signature)];
+      }
+      if (proof.type === metadataProofTypeTimestamp) {
+        return [proof.type, proof.mhashType, Buffer.from(proof.proof)];
+      }
+      throw new Error(`Unsupported metadata proof type ${proof.type}`);
+    })
+  );
+  if (proofSection.length > 0xffff) {
+    throw new Error(`The metadata proofs take ${proofSection.length} bytes, the maximum is 65535 bytes`);
+  }
+
+  const header = Buffer.from([metadataMagicByte, metadataTypeProofs, 0, 0]);
+  header.writeUInt16LE(proofSection.length, 2);
+  return Buffer.concat([header, proofSection, Buffer.from(blob)]);
+}
+
+/**
+ * Parses metadata with proofs.
+ *
+ * @param {Buffer|Uint8Array} bytes - The metadata with proofs.
+ * @returns {{proofs: Object[], blob: Buffer}} - The proofs (see encodeMetadataProofs) and the metadata blob.
+ * Proofs of unknown types and malformed proofs are returned as `{type, raw}`.
+ * @throws {Error} - If the bytes are not metadata with proofs.
+ */
+function decodeMetadataProofs(bytes) {
+  const buffer = Buffer.from(bytes);
+  if (getMetadataType(buffer) !== metadataTypeProofs || buffer.length < proofsHeaderLength) {
+    throw new Error("Invalid metadata proofs, expected metadataTypeProofs");
+  }
+  const proofSectionEnd = proofsHeaderLength + buffer.readUInt16LE(2);
+  if (proofSectionEnd > buffer.length) {
+    throw new Error("Invalid metadata proofs, the proof section is truncated");
+  }
+  const rawProofs = decodeMsgpack(buffer.subarray(proofsHeaderLength, proofSectionEnd));
+  if (!Array.isArray(rawProofs)) {
+    throw new Error("Invalid metadata proofs, expected a list of proofs");
+  }
+
+  const proofs = rawProofs.map((raw) => {
+    const type = Array.isArray(raw) ? raw[0] : undefined;
+    if (type === metadataProofTypeSignature && raw.length === 4 && Buffer.isBuffer(raw[2]) && Buffer.isBuffer(raw[3])) {
+      return { type, mhashType: raw[1], publicKey: raw[2], signature: raw[3] };
+    }
+    if (type === metadataProofTypeTimestamp && raw.length === 3 && Buffer.isBuffer(raw[2])) {
+      return { type, mhashType: raw[1], proof: raw[2] };
+    }
+    return { type, raw };
+  });
+
+  return { proofs, blob: buffer.subarray(proofSectionEnd) };
+}
+
+/**
+ * Verifies the proofs of metadata offline.
+ *
+ * Signature proofs are checked against the Blake3 hash of the metadata blob. Timestamp proofs are only
+ * checked structurally (known hash type, non-empty proof); the attestation itself is not verified.
+ *
+ * @param {Buffer|Uint8Array} bytes - The metadata with proofs.
+ * @returns {Promise<{blob: Buffer, signers: Buffer[], hasTimestamp: boolean, invalidProofs: Object[]}>} -
+ * The metadata blob, the multicoded public keys with a valid signature (each once), whether a structurally
+ * valid timestamp proof exists, and the proofs that failed or are not supported.
+ * @throws {Error} - If the bytes are not metadata with proofs.
+ */
+async function verifyMetadataProofs(bytes) {
+  const { proofs, blob } = decodeMetadataProofs(bytes);
+  const hash = await getMetadataProofHash(blob);
+
+  const signers = [];
+  const invalidProofs = [];
+  let hasTimestamp = false;
+  for (const proof of proofs) {
+    if (proof.type === metadataProofTypeSignature && proof.mhashType === mhashBlake3Default) {
+      let isValid = false;
+      try {
+        const publicKey = encodeRegistryPublicKey(proof.publicKey);
+        isValid =
+          proof.signature.length === sign.signatureLength &&
+          sign.detached.verify(
+            Uint8Array.from(hash),
+            Uint8Array.from(proof.signature),
+            Uint8Array.from(publicKey.subarray(1))
+          );
+        if (isValid && !signers.some((signer) => signer.equals(publicKey))) {
+          signers.push(publicKey);
+        }
+      } catch (err) {
+        // An invalid public key makes the proof invalid
+      }
+      if (!isValid) {
+        invalidProofs.push(proof);
+      }
+    } else if (
+      proof.type === metadataProofTypeTimestamp &&
+      proof.mhashType === mhashBlake3Default &&
+      proof.proof.length > 0
+    ) {
+      hasTimestamp = true;
+    } else {
+      invalidProofs.push(proof);
+    }
+  }
+
+  return { blob, signers, hasTimestamp, invalidProofs };
+}
+
+/**
+ * Signs metadata and adds the signature proof, keeping existing proofs.
+ *
+ * @param {Buffer|Uint8Array} bytes - A metadata blob, or metadata with proofs.
+ * @param {string|Buffer|Uint8Array} secretKey - The 64-byte ed25519 secret key or the 32-byte seed.
+ * @returns {Promise<Buffer>} - The metadata with proofs.
+ * @throws {Error} - If the bytes are not metadata or the key is invalid.
+ */
+async function signMetadata(bytes, secretKey) {
+  const { proofs, blob } =
+    getMetadataType(bytes) === metadataTypeProofs ? decodeMetadataProofs(bytes) : { proofs: [], blob: bytes };
+  const proof = await createSignatureProof(blob, secretKey);
+  return encodeMetadataProofs(blob, [...proofs, proof]);
+}
+
+module.exports = {
+  createSignatureProof,
+  encodeMetadataProofs,
+  decodeMetadataProofs,
+  verifyMetadataProofs,
+  signMetadata,
+};
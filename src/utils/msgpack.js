@@ -0,0 +1,328 @@
+"use strict";
+
+/**
+ * A minimal MessagePack codec for the S5 metadata formats.
+ *
+ * Unlike generic JavaScript codecs, maps are decoded as Map objects, so the integer keys used by
+ * the S5 metadata survive a round trip, and integers outside the safe Number range are decoded as BigInt.
+ * Extension types are not supported.
+ */
+
+/**
+ * Encodes an integer with the smallest MessagePack integer type.
+ *
+ * @param {number|bigint} value - The integer.
+ * @param {Buffer[]} parts - Receives the encoded bytes.
+ * @throws {Error} - If the integer does not fit into 64 bits.
+ */
+function encodeInteger(value, parts) {
+  const bigValue = BigInt(value);
+  let buffer;
+  if (bigValue >= 0n) {
+    if (bigValue < 0x80n) {
+      buffer = Buffer.from([Number(bigValue)]);
+    } else if (bigValue <= 0xffn) {
+      buffer = Buffer.from([0xcc, Number(bigValue)]);
+    } else if (bigValue <= 0xffffn) {
+      buffer = Buffer.alloc(3);
+      buffer[0] = 0xcd;
+      buffer.writeUInt16BE(Number(bigValue), 1);
+    } else if (bigValue <= 0xffffffffn) {
+      buffer = Buffer.alloc(5);
+      buffer[0] = 0xce;
+      buffer.writeUInt32BE(Number(bigValue), 1);
+    } else if (bigValue <= 0xffffffffffffffffn) {
+      buffer = Buffer.alloc(9);
+      buffer[0] = 0xcf;
+      buffer.writeBigUInt64BE(bigValue, 1);
+    }
+  } else if (bigValue >= -0x20n) {
+    buffer = Buffer.from([Number(bigValue) & 0xff]);
+  } else if (bigValue >= -0x80n) {
+    buffer = Buffer.alloc(2);
+    buffer[0] = 0xd0;
+    buffer.writeInt8(Number(bigValue), 1);
+  } else if (bigValue >= -0x8000n) {
+    buffer = Buffer.alloc(3);
+    buffer[0] = 0xd1;
+    buffer.writeInt16BE(Number(bigValue), 1);
+  } else if (bigValue >= -0x80000000n) {
+    buffer = Buffer.alloc(5);
+    buffer[0] = 0xd2;
+    buffer.writeInt32BE(Number(bigValue), 1);
+  } else if (bigValue >= -0x8000000000000000n) {
+    buffer = Buffer.alloc(9);
+    buffer[0] = 0xd3;
+    buffer.writeBigInt64BE(bigValue, 1);
+  }
+  if (buffer === undefined) {
+    throw new Error(`Integer ${value} does not fit into 64 bits`);
+  }
+  parts.push(buffer);
+}
+
+/**
+ * Encodes the header of a string, binary, array or map with the smallest MessagePack type.
+ *
+ * @param {number} length - The length in bytes or elements.
+ * @param {number|null} fixPrefix - The prefix of the fix type (e.g. 0xa0 for fixstr), or null if there is none.
+ * @param {number} fixMax - The maximum length of the fix type.
+ * @param {number[]} prefixes - The prefixes of the 8-bit (or null), 16-bit and 32-bit types.
+ * @param {Buffer[]} parts - Receives the encoded bytes.
+ */
+function encodeHeader(length, fixPrefix, fixMax, prefixes, parts) {
+  let buffer;
+  if (fixPrefix !== null && length <= fixMax) {
+    buffer = Buffer.from([fixPrefix | length]);
+  } else if (prefixes[0] !== null && length <= 0xff) {
+    buffer = Buffer.from([prefixes[0], length]);
+  } else if (length <= 0xffff) {
+    buffer = Buffer.alloc(3);
+    buffer[0] = prefixes[1];
+    buffer.writeUInt16BE(length, 1);
+  } else {
+    buffer = Buffer.alloc(5);
+    buffer[0] = prefixes[2];
+    buffer.writeUInt32BE(length, 1);
+  }
+  parts.push(buffer);
+}
+
+/**
+ * Encodes a value and appends the bytes.
+ *
+ * @param {*} value - The value.
+ * @param {Buffer[]} parts - Receives the encoded bytes.
+ * @throws {Error} - If the value can not be encoded.
+ */
+function encodeValue(value, parts) {
+  if (value === null || value === undefined) {
+    parts.push(Buffer.from([0xc0]));
+  } else if (typeof value === "boolean") {
+    parts.push(Buffer.from([value ? 0xc3 : 0xc2]));
+  } else if (typeof value === "bigint" || (typeof value === "number" && Number.isInteger(value))) {
+    encodeInteger(value, parts);
+  } else if (typeof value === "number") {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xcb;
+    buffer.writeDoubleBE(value, 1);
+    parts.push(buffer);
+  } else if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8");
+    encodeHeader(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb], parts);
+    parts.push(bytes);
+  } else if (value instanceof Uint8Array) {
+    encodeHeader(value.length, null, 0, [0xc4, 0xc5, 0xc6], parts);
+    parts.push(Buffer.from(value));
+  } else if (Array.isArray(value)) {
+    encodeHeader(value.length, 0x90, 15, [null, 0xdc, 0xdd], parts);
+    for (const item of value) {
+      encodeValue(item, parts);
+    }
+  } else if (value instanceof Map) {
+    encodeHeader(value.size, 0x80, 15, [null, 0xde, 0xdf], parts);
+    for (const [key, item] of value) {
+      encodeValue(key, parts);
+      encodeValue(item, parts);
+    }
+  } else if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    encodeValue(new Map(Object.entries(value)), parts);
+  } else {
+    throw new Error(`Unsupported MessagePack value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Encodes a value as MessagePack.
+ *
+ * Integers (Number or BigInt) use the smallest integer type, other numbers are 64-bit floats,
+ * Uint8Arrays are binaries and Maps and plain objects are maps (entries in insertion order).
+ *
+ * @param {*} value - The value.
+ * @returns {Buffer} - The encoded bytes.
+ * @throws {Error} - If the value can not be encoded.
+ */
+function encodeMsgpack(value) {
+  const parts = [];
+  encodeValue(value, parts);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decodes the MessagePack value at an offset.
+ *
+ * @param {Buffer|Uint8Array} bytes - The encoded bytes.
+ * @param {number} [offset=0] - The position of the value.
+ * @returns {{value: *, offset: number}} - The value and the position after it. Maps are decoded as Map,
+ * binaries as Buffer and integers outside the safe Number range as BigInt.
+ * @throws {Error} - If the bytes are truncated or contain an unsupported type.
+ */
+function decodeMsgpackAt(bytes, offset = 0) {
+  const buffer = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  let position = offset;
+
+  const need = (length) => {
+    if (position + length > buffer.length) {
+      throw new Error(`Truncated MessagePack data at position ${position}`);
+    }
+  };
+  const readSlice = (length) => {
+    need(length);
+    const slice = buffer.subarray(position, position + length);
+    position += length;
+    return slice;
+  };
+  const readUInt = (size) => {
+    need(size);
+    let value;
+    if (size === 1) {
+      value = buffer[position];
+    } else if (size === 2) {
+      value = buffer.readUInt16BE(position);
+    } else if (size === 4) {
+      value = buffer.readUInt32BE(position);
+    } else {
+      const bigValue = buffer.readBigUInt64BE(position);
+      value = bigValue <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(bigValue) : bigValue;
+    }
+    position += size;
+    return value;
+  };
+  const readInt = (size) => {
+    need(size);
+    let value;
+    if (size === 1) {
+      value = buffer.readInt8(position);
+    } else if (size === 2) {
+      value = buffer.readInt16BE(position);
+    } else if (size === 4) {
+      value = buffer.readInt32BE(position);
+    } else {
+      const bigValue = buffer.readBigInt64BE(position);
+      const isSafe = bigValue >= BigInt(Number.MIN_SAFE_INTEGER) && bigValue <= BigInt(Number.MAX_SAFE_INTEGER);
+      value = isSafe ? Number(bigValue) : bigValue;
+    }
+    position += size;
+    return value;
+  };
+
+  const readArray = (length) => {
+    const array = [];
+    for (let i = 0; i < length; i++) {
+      array.push(readValue());
+    }
+    return array;
+  };
+  const readMap = (length) => {
+    const map = new Map();
+    for (let i = 0; i < length; i++) {
+      const key = readValue();
+      map.set(key, readValue());
+    }
+    return map;
+  };
+
+  const readValue = () => {
+    need(1);
+    const type = buffer[position++];
+
+    if (type <= 0x7f) {
+      return type;
+    }
+    if (type >= 0xe0) {
+      return type - 0x100;
+    }
+    if ((type & 0xf0) === 0x80) {
+      return readMap(type & 0x0f);
+    }
+    if ((type & 0xf0) === 0x90) {
+      return readArray(type & 0x0f);
+    }
+    if ((type & 0xe0) === 0xa0) {
+      return readSlice(type & 0x1f).toString("utf8");
+    }
+
+    switch (type) {
+      case 0xc0:
+        return null;
+      case 0xc2:
+        return false;
+      case 0xc3:
+        return true;
+      case 0xc4:
+        return Buffer.from(readSlice(readUInt(1)));
+      case 0xc5:
+        return Buffer.from(readSlice(readUInt(2)));
+      case 0xc6:
+        return Buffer.from(readSlice(readUInt(4)));
+      case 0xca: {
+        need(4);
+        const value = buffer.readFloatBE(position);
+        position += 4;
+        return value;
+      }
+      case 0xcb: {
+        need(8);
+        const value = buffer.readDoubleBE(position);
+        position += 8;
+        return value;
+      }
+      case 0xcc:
+        return readUInt(1);
+      case 0xcd:
+        return readUInt(2);
+      case 0xce:
+        return readUInt(4);
+      case 0xcf:
+        return readUInt(8);
+      case 0xd0:
+        return readInt(1);
+      case 0xd1:
+        return readInt(2);
+      case 0xd2:
+        return readInt(4);
+      case 0xd3:
+        return readInt(8);
+      case 0xd9:
+        return readSlice(readUInt(1)).toString("utf8");
+      case 0xda:
+        return readSlice(readUInt(2)).toString("utf8");
+      case 0xdb:
+        return readSlice(readUInt(4)).toString("utf8");
+      case 0xdc:
+        return readArray(readUInt(2));
+      case 0xdd:
+        return readArray(readUInt(4));
+      case 0xde:
+        return readMap(readUInt(2));
+      case 0xdf:
+        return readMap(readUInt(4));
+      default:
+        throw new Error(`Unsupported MessagePack type 0x${type.toString(16)} at position ${position - 1}`);
+    }
+  };
+
+  const value = readValue();
+  return { value, offset: position };
+}
+
+/**
+ * Decodes a MessagePack value that fills all bytes.
+ *
+ * @param {Buffer|Uint8Array} bytes - The encoded bytes.
+ * @returns {*} - The value, see decodeMsgpackAt.
+ * @throws {Error} - If the bytes are invalid or contain more than one value.
+ */
+function decodeMsgpack(bytes) {
+  const { value, offset } = decodeMsgpackAt(bytes, 0);
+  if (offset !== bytes.length) {
+    throw new Error(`Unexpected bytes after the MessagePack value at position ${offset}`);
+  }
+  return value;
+}
+
+module.exports = {
+  encodeMsgpack,
+  decodeMsgpack,
+  decodeMsgpackAt,
+};
@@ -0,0 +1,260 @@
+"use strict";
+
+const { sign } = require("tweetnacl");
+
+const { S5Cid } = require("./blake3tools");
+const { recordTypeRegistryEntry, registryS5MagicByte, registryMaxDataSize, mkeyEd25519 } = require("./constants");
+
+// The revision is an unsigned 64-bit integer
+const registryMaxRevision = 2n ** 64n - 1n;
+
+/**
+ * Converts a secret key into an ed25519 key pair.
+ *
+ * @param {string|Buffer|Uint8Array} secretKey - The 64-byte secret key or the 32-byte seed, as bytes or hex string.
+ * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}} - The key pair.
+ * @throws {Error} - If the key has the wrong length.
+ */
+function getRegistryKeyPair(secretKey) {
+  const keyBytes = Uint8Array.from(typeof secretKey === "string" ? Buffer.from(secretKey, "hex") : secretKey);
+  if (keyBytes.length === sign.secretKeyLength) {
+    return sign.keyPair.fromSecretKey(keyBytes);
+  }
+  if (keyBytes.length === sign.seedLength) {
+    return sign.keyPair.fromSeed(keyBytes);
+  }
+  throw new Error(`Invalid ed25519 secret key length ${keyBytes.length}, expected 32 or 64 bytes`);
+}
+
+/**
+ * Multicodes an ed25519 public key with the mkeyEd25519 prefix byte.
+ *
+ * @param {Buffer|Uint8Array} publicKey - The 32-byte public key, or an already multicoded 33-byte key.
+ * @returns {Buffer} - The 33-byte multicoded public key.
+ * @throws {Error} - If the key is not a valid ed25519 public key.
+ */
+function encodeRegistryPublicKey(publicKey) {
+  const keyBytes = Buffer.from(publicKey);
+  if (keyBytes.length === sign.publicKeyLength + 1 && keyBytes[0] === mkeyEd25519) {
+    return keyBytes;
+  }
+  if (keyBytes.length !== sign.publicKeyLength) {
+    throw new Error(`Invalid ed25519 public key length ${keyBytes.length}`);
+  }
+  return Buffer.concat([Buffer.from([mkeyEd25519]), keyBytes]);
+}
+
+/**
+ * Checks and converts a registry entry revision into a BigInt.
+ *
+ * @param {number|bigint} revision - The revision.
+ * @returns {bigint} - The revision as BigInt.
+ * @throws {Error} - If the revision is not an unsigned 64-bit integer.
+ */
+function toRevision(revision) {
+  if (typeof revision === "number" && !Number.isSafeInteger(revision)) {
+    throw new Error(`Invalid registry entry revision ${revision}, use a BigInt for revisions above 2^53`);
+  }
+  const value = BigInt(revision);
+  if (value < 0n || value > registryMaxRevision) {
+    throw new Error(`Invalid registry entry revision ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Checks the data of a registry entry.
+ *
+ * @param {Buffer|Uint8Array} data - The entry data.
+ * @returns {Buffer} - The data as Buffer.
+ * @throws {Error} - If the data is longer than registryMaxDataSize.
+ */
+function toRegistryData(data) {
+  const dataBytes = Buffer.from(data);
+  if (dataBytes.length > registryMaxDataSize) {
+    throw new Error(
+      `Registry entry data is too long: ${dataBytes.length} bytes, at most ${registryMaxDataSize} allowed`
+    );
+  }
+  return dataBytes;
+}
+
+/**
+ * Returns the bytes that are signed for a registry entry:
+ * record type (1 byte), revision (8 bytes, little-endian), data length (1 byte) and data.
+ *
+ * @param {number|bigint} revision - The revision.
+ * @param {Buffer|Uint8Array} data - The entry data.
+ * @returns {Buffer} - The bytes to sign.
+ * @throws {Error} - If the revision or the data is invalid.
+ */
+function getRegistryEntrySigningBytes(revision, data) {
+  const dataBytes = toRegistryData(data);
+  const revisionBytes = Buffer.alloc(8);
+  revisionBytes.writeBigUInt64LE(toRevision(revision));
+
+  return Buffer.concat([
+    Buffer.from([recordTypeRegistryEntry]),
+    revisionBytes,
+    Buffer.from([dataBytes.length]),
+    dataBytes,
+  ]);
+}
+
+/**
+ * Creates a signed registry entry.
+ *
+ * @param {string|Buffer|Uint8Array} secretKey - The 64-byte ed25519 secret key or the 32-byte seed.
+ * @param {Buffer|Uint8Array} data - The entry data, at most registryMaxDataSize bytes.
+ * @param {number|bigint} revision - The revision, higher revisions replace lower ones.
+ * @returns {{pk: Buffer, revision: bigint, data: Buffer, signature: Buffer}} - The signed entry,
+ * `pk` is the multicoded public key.
+ * @throws {Error} - If the key, the revision or the data is invalid.
+ */
+function signRegistryEntry(secretKey, data, revision) {
+  const keyPair = getRegistryKeyPair(secretKey);
+  const signature = sign.detached(getRegistryEntrySigningBytes(revision, data), keyPair.secretKey);
+
+  return {
+    pk: encodeRegistryPublicKey(keyPair.publicKey),
+    revision: toRevision(revision),
+    data: toRegistryData(data),
+    signature: Buffer.from(signature),
+  };
+}
+
+/**
+ * Verifies the signature of a registry entry.
+ *
+ * @param {{pk: Buffer, revision: number|bigint, data: Buffer, signature: Buffer}} entry - The registry entry.
+ * @returns {boolean} - True if the entry is well-formed and signed by its public key.
+ */
+function verifyRegistryEntry(entry) {
+  try {
+    const pk = encodeRegistryPublicKey(entry.pk);
+    const signature = Uint8Array.from(entry.signature);
+    if (signature.length !== sign.signatureLength) {
+      return false;
+    }
+    const message = Uint8Array.from(getRegistryEntrySigningBytes(entry.revision, entry.data));
+    return sign.detached.verify(message, signature, Uint8Array.from(pk.subarray(1)));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Serializes a signed registry entry: record type (1 byte), multicoded public key (33 bytes),
+ * revision (8 bytes, little-endian), data length (1 byte), data and signature (64 bytes).
+ *
+ * @param {{pk: Buffer, revision: number|bigint, data: Buffer, signature: Buffer}} entry - The registry entry.
+ * @returns {Buffer} - The serialized entry.
+ * @throws {Error} - If the entry is invalid.
+ */
+function serializeRegistryEntry(entry) {
+  const signature = Buffer.from(entry.signature);
+  if (signature.length !== sign.signatureLength) {
+    throw new Error(`Invalid registry entry signature length ${signature.length}`);
+  }
+  const signingBytes = getRegistryEntrySigningBytes(entry.revision, entry.data);
+
+  return Buffer.concat([
+    Buffer.from([recordTypeRegistryEntry]),
+    encodeRegistryPublicKey(entry.pk),
+    signingBytes.subarray(1),
+    signature,
+  ]);
+}
+
+/**
+ * Deserializes a registry entry. The signature is not checked, use verifyRegistryEntry.
+ *
+ * @param {Buffer|Uint8Array} bytes - The serialized entry.
+ * @returns {{pk: Buffer, revision: bigint, data: Buffer, signature: Buffer}} - The registry entry.
+ * @throws {Error} - If the bytes are not a valid registry entry.
+ */
+function deserializeRegistryEntry(bytes) {
+  const entryBytes = Buffer.from(bytes);
+  if (entryBytes[0] !== recordTypeRegistryEntry) {
+    throw new Error("Invalid registry entry, wrong record type");
+  }
+  if (entryBytes.length < 43 + sign.signatureLength) {
+    throw new Error("Invalid registry entry, too short");
+  }
+  if (entryBytes[1] !== mkeyEd25519) {
+    throw new Error(`Unsupported registry entry key type 0x${entryBytes[1].toString(16)}`);
+  }
+
+  const dataLength = entryBytes[42];
+  if (dataLength > registryMaxDataSize) {
+    throw new Error(`Registry entry data is too long: ${dataLength} bytes, at most ${registryMaxDataSize} allowed`);
+  }
+  if (entryBytes.length !== 43 + dataLength + sign.signatureLength) {
+    throw new Error("Invalid registry entry, wrong length");
+  }
+
+  return {
+    pk: entryBytes.slice(1, 34),
+    revision: entryBytes.readBigUInt64LE(34),
+    data: entryBytes.slice(43, 43 + dataLength),
+    signature: entryBytes.slice(43 + dataLength),
+  };
+}
+
+/**
+ * Compares two registry entries of the same key: the higher revision wins, entries with equal revisions
+ * are ordered by their data and then by their signature bytes, so every node picks the same winner.
+ *
+ * @param {{revision: number|bigint, data: Buffer, signature: Buffer}} a - The first entry.
+ * @param {{revision: number|bigint, data: Buffer, signature: Buffer}} b - The second entry.
+ * @returns {number} - A positive number if `a` wins, a negative number if `b` wins, 0 if both are identical.
+ */
+function compareRegistryEntries(a, b) {
+  const revisionA = BigInt(a.revision);
+  const revisionB = BigInt(b.revision);
+  if (revisionA !== revisionB) {
+    return revisionA > revisionB ? 1 : -1;
+  }
+  return (
+    Buffer.compare(Buffer.from(a.data), Buffer.from(b.data)) ||
+    Buffer.compare(Buffer.from(a.signature), Buffer.from(b.signature))
+  );
+}
+
+/**
+ * Creates the registry entry data that points to a S5 CID: registryS5MagicByte followed by the CID bytes.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID.
+ * @returns {Buffer} - The entry data.
+ * @throws {Error} - If the CID is invalid or too long for a registry entry.
+ */
+function encodeRegistryEntryCid(cid) {
+  return toRegistryData(Buffer.concat([Buffer.from([registryS5MagicByte]), S5Cid.from(cid).toBytes()]));
+}
+
+/**
+ * Returns the S5 CID a registry entry data points to.
+ *
+ * @param {Buffer|Uint8Array} data - The entry data.
+ * @returns {S5Cid|null} - The CID, or null if the data does not start with registryS5MagicByte.
+ * @throws {InvalidCidError} - If the data starts with registryS5MagicByte but contains no valid CID.
+ */
+function decodeRegistryEntryCid(data) {
+  if (data.length === 0 || data[0] !== registryS5MagicByte) {
+    return null;
+  }
+  return S5Cid.fromBytes(Buffer.from(data).subarray(1));
+}
+
+module.exports = {
+  getRegistryKeyPair,
+  encodeRegistryPublicKey,
+  getRegistryEntrySigningBytes,
+  signRegistryEntry,
+  verifyRegistryEntry,
+  serializeRegistryEntry,
+  deserializeRegistryEntry,
+  compareRegistryEntries,
+  encodeRegistryEntryCid,
+  decodeRegistryEntryCid,
+};
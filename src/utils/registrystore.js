@@ -0,0 +1,279 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  encodeRegistryPublicKey,
+  getRegistryKeyPair,
+  signRegistryEntry,
+  verifyRegistryEntry,
+  serializeRegistryEntry,
+  deserializeRegistryEntry,
+  compareRegistryEntries,
+} = require("./registry");
+
+/**
+ * Returns the store key of a public key: the hexadecimal multicoded public key.
+ *
+ * @param {Buffer|Uint8Array} pk - The 32-byte public key or the 33-byte multicoded public key.
+ * @returns {string} - The store key.
+ */
+function toStoreKey(pk) {
+  return encodeRegistryPublicKey(pk).toString("hex");
+}
+
+/**
+ * Copies a registry entry, so callers can not change stored entries.
+ *
+ * @param {Object} entry - The registry entry.
+ * @returns {Object} - The copied entry with Buffer fields and a BigInt revision.
+ */
+function copyRegistryEntry(entry) {
+  return {
+    pk: encodeRegistryPublicKey(entry.pk),
+    revision: BigInt(entry.revision),
+    data: Buffer.from(entry.data),
+    signature: Buffer.from(entry.signature),
+  };
+}
+
+/**
+ * A registry store that keeps the entries in memory, with the rules of the S5 registry:
+ * entries must be signed by their key, lower revisions are rejected and equal revisions are
+ * decided by compareRegistryEntries.
+ *
+ * The store can be passed to resolveCID as registry lookup.
+ */
+class MemoryRegistryStore {
+  /**
+   * Creates a new in-memory registry store.
+   */
+  constructor() {
+    this.entries = new Map();
+    this.subscriptions = new Map();
+    // Serializes the writes of this store, so the revision check and the write are not interleaved
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Reads the stored entry of a key.
+   *
+   * @param {string} key - The store key.
+   * @returns {Promise<Object|null>} - The entry, or null.
+   */
+  async readEntry(key) {
+    const entry = this.entries.get(key);
+    return entry !== undefined ? entry : null;
+  }
+
+  /**
+   * Stores the entry of a key.
+   *
+   * @param {string} key - The store key.
+   * @param {Object} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async writeEntry(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Returns the registry entry of a public key.
+   *
+   * @param {Buffer|Uint8Array} pk - The 32-byte public key or the 33-byte multicoded public key.
+   * @returns {Promise<Object|null>} - The entry with `pk`, `revision`, `data` and `signature`, or null.
+   */
+  async get(pk) {
+    const entry = await this.readEntry(toStoreKey(pk));
+    return entry !== null ? copyRegistryEntry(entry) : null;
+  }
+
+  /**
+   * Stores a signed registry entry and notifies the subscribers of its key.
+   *
+   * @param {Object} entry - The entry with `pk`, `revision`, `data` and `signature`, e.g. from signRegistryEntry.
+   * @returns {Promise<boolean>} - True if the entry was stored, false if the same entry was already stored.
+   * @throws {Error} - If the signature is invalid, or the stored entry has a higher revision or wins the tie-break.
+   */
+  set(entry) {
+    return this.enqueue(() => this.storeEntry(entry));
+  }
+
+  /**
+   * Checks a signed registry entry against the stored one, stores it and notifies the subscribers.
+   *
+   * @param {Object} entry - The entry with `pk`, `revision`, `data` and `signature`.
+   * @returns {Promise<boolean>} - True if the entry was stored, false if the same entry was already stored.
+   * @throws {Error} - If the signature is invalid, or the stored entry has a higher revision or wins the tie-break.
+   */
+  async storeEntry(entry) {
+    if (!verifyRegistryEntry(entry)) {
+      throw new Error("Invalid registry entry signature");
+    }
+    const newEntry = copyRegistryEntry(entry);
+    const key = toStoreKey(newEntry.pk);
+
+    const existing = await this.readEntry(key);
+    if (existing !== null) {
+      const comparison = compareRegistryEntries(newEntry, existing);
+      if (comparison === 0) {
+        return false;
+      }
+      if (comparison < 0) {
+        throw new Error(
+          existing.revision > newEntry.revision
+            ? `Registry entry revision ${newEntry.revision} is lower than the stored revision ${existing.revision}`
+            : `Registry entry revision ${newEntry.revision} loses the tie-break against the stored entry`
+        );
+      }
+    }
+
+    await this.writeEntry(key, newEntry);
+    this.notify(key, newEntry);
+    return true;
+  }
+
+  /**
+   * Signs and stores new data for a key, with the revision following the stored one.
+   *
+   * @param {string|Buffer|Uint8Array} secretKey - The 64-byte ed25519 secret key or the 32-byte seed.
+   * @param {Buffer|Uint8Array} data - The entry data, e.g. from encodeRegistryEntryCid.
+   * @returns {Promise<Object>} - The stored entry.
+   * @throws {Error} - If the key or the data is invalid.
+   */
+  publish(secretKey, data) {
+    return this.enqueue(async () => {
+      const keyPair = getRegistryKeyPair(secretKey);
+      const existing = await this.readEntry(toStoreKey(keyPair.publicKey));
+      const revision = existing !== null ? existing.revision + 1n : 0n;
+
+      const entry = signRegistryEntry(keyPair.secretKey, data, revision);
+      await this.storeEntry(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Runs a write after the pending writes of this store.
+   *
+   * @param {Function} fn - The async write.
+   * @returns {Promise<*>} - The result of the write.
+   */
+  enqueue(fn) {
+    const result = this.writeQueue.then(fn);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Calls a function whenever the entry of a key changes.
+   *
+   * @param {Buffer|Uint8Array} pk - The 32-byte public key or the 33-byte multicoded public key.
+   * @param {Function} callback - Called with the new entry.
+   * @returns {Function} - Removes the subscription, same as `unsubscribe(pk, callback)`.
+   */
+  subscribe(pk, callback) {
+    const key = toStoreKey(pk);
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, new Set());
+    }
+    this.subscriptions.get(key).add(callback);
+    return () => this.unsubscribe(pk, callback);
+  }
+
+  /**
+   * Removes a subscription.
+   *
+   * @param {Buffer|Uint8Array} pk - The public key passed to subscribe.
+   * @param {Function} callback - The callback passed to subscribe.
+   * @returns {boolean} - True if the subscription existed.
+   */
+  unsubscribe(pk, callback) {
+    const key = toStoreKey(pk);
+    const callbacks = this.subscriptions.get(key);
+    if (callbacks === undefined || !callbacks.delete(callback)) {
+      return false;
+    }
+    if (callbacks.size === 0) {
+      this.subscriptions.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Calls the subscribers of a key, errors thrown by subscribers are ignored.
+   *
+   * @param {string} key - The store key.
+   * @param {Object} entry - The new entry.
+   */
+  notify(key, entry) {
+    const callbacks = this.subscriptions.get(key);
+    if (callbacks === undefined) {
+      return;
+    }
+    for (const callback of [...callbacks]) {
+      try {
+        callback(copyRegistryEntry(entry));
+      } catch (err) {
+        // A failing subscriber must not affect the store or the other subscribers
+      }
+    }
+  }
+}
+
+/**
+ * A registry store that keeps every entry as serialized file in a directory, named after the
+ * multicoded public key in hex. Files are replaced atomically; the revision rules are checked
+ * within one process, concurrent writers from several processes are not coordinated.
+ */
+class FileRegistryStore extends MemoryRegistryStore {
+  /**
+   * Creates a new file-backed registry store.
+   *
+   * @param {string} dirPath - The directory of the entry files, it is created on the first write.
+   */
+  constructor(dirPath) {
+    super();
+    this.dirPath = path.resolve(dirPath);
+  }
+
+  /**
+   * Reads the stored entry of a key from its file.
+   *
+   * @param {string} key - The store key.
+   * @returns {Promise<Object|null>} - The entry, or null.
+   */
+  async readEntry(key) {
+    let bytes;
+    try {
+      bytes = await fs.promises.readFile(path.join(this.dirPath, key));
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return null;
+      }
+      throw err;
+    }
+    return deserializeRegistryEntry(bytes);
+  }
+
+  /**
+   * Writes the entry of a key atomically to its file.
+   *
+   * @param {string} key - The store key.
+   * @param {Object} entry - The entry.
+   * @returns {Promise<void>}
+   */
+  async writeEntry(key, entry) {
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    const filePath = path.join(this.dirPath, key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, serializeRegistryEntry(entry));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = {
+  MemoryRegistryStore,
+  FileRegistryStore,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+const { S5Cid, generateTypedCIDFromMHash } = require("./blake3tools");
+const { encodeRegistryPublicKey, verifyRegistryEntry, decodeRegistryEntryCid } = require("./registry");
+const { cidTypeResolver } = require("./constants");
+
+// Resolver CIDs may point to other resolver CIDs, this limits the length of such chains
+const defaultResolveMaxDepth = 8;
+
+/**
+ * Generates the resolver CID of an ed25519 public key - into a Buffer.
+ *
+ * @param {Buffer|Uint8Array} publicKey - The 32-byte public key, or the 33-byte multicoded public key.
+ * @returns {Buffer} - The resolver CID bytes: cidTypeResolver followed by the multicoded public key.
+ * @throws {Error} - If the public key is invalid.
+ */
+function generateResolverCID(publicKey) {
+  return generateTypedCIDFromMHash(cidTypeResolver, encodeRegistryPublicKey(publicKey));
+}
+
+/**
+ * Looks up the registry entry of a multicoded public key.
+ *
+ * @param {Function|Object} lookup - A function `(pk) => entry`, or an object with a `get(pk)` method
+ * such as a registry store. Both may return a promise, and null if there is no entry.
+ * @param {Buffer} pk - The multicoded public key.
+ * @returns {Promise<Object|null>} - The registry entry, or null.
+ */
+async function lookupRegistryEntry(lookup, pk) {
+  if (typeof lookup === "function") {
+    return lookup(pk);
+  }
+  if (lookup && typeof lookup.get === "function") {
+    return lookup.get(pk);
+  }
+  throw new Error("Invalid registry lookup, expected a function or an object with a get method");
+}
+
+/**
+ * Resolves a resolver CID to the CID its registry entry currently points to.
+ * Chains of resolver CIDs are followed; CIDs of other types are returned unchanged.
+ *
+ * The signature of every registry entry is verified, so the lookup does not need to be trusted.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID, in any encoding.
+ * @param {Function|Object} lookup - A function `(pk) => entry`, or an object with a `get(pk)` method
+ * such as a registry store. `pk` is the multicoded public key; both may return a promise, and null if there is no entry.
+ * @param {Object} [options] - The resolve options.
+ * @param {number} [options.maxDepth=8] - The maximum number of resolver CIDs to follow.
+ * @returns {Promise<S5Cid>} - The resolved CID.
+ * @throws {Error} - If an entry is missing, has an invalid signature or does not point to a CID, or the chain
+ * of resolver CIDs is a loop or longer than `maxDepth`.
+ */
+async function resolveCID(cid, lookup, options = {}) {
+  const maxDepth = options.maxDepth !== undefined ? options.maxDepth : defaultResolveMaxDepth;
+
+  let current = S5Cid.from(cid);
+  const visited = new Set();
+  while (current.type === cidTypeResolver) {
+    const key = current.toString();
+    if (visited.has(key)) {
+      throw new Error(`Resolver CIDs form a loop at ${key}`);
+    }
+    if (visited.size >= maxDepth) {
+      throw new Error(`Too many resolver CIDs, the maximum depth is ${maxDepth}`);
+    }
+    visited.add(key);
+
+    const pk = current.mhash;
+    const entry = await lookupRegistryEntry(lookup, pk);
+    if (entry === null || entry === undefined) {
+      throw new Error(`No registry entry found for resolver CID ${key}`);
+    }
+    if (!Buffer.from(entry.pk).equals(pk) || !verifyRegistryEntry(entry)) {
+      throw new Error(`Invalid registry entry signature for resolver CID ${key}`);
+    }
+
+    const target = decodeRegistryEntryCid(entry.data);
+    if (target === null) {
+      throw new Error(`The registry entry of resolver CID ${key} does not point to a CID`);
+    }
+    current = target;
+  }
+
+  return current;
+}
+
+module.exports = {
+  generateResolverCID,
+  resolveCID,
+};
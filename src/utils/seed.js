@@ -0,0 +1,153 @@
+"use strict";
+
+const crypto = require("crypto");
+const { sign } = require("tweetnacl");
+const bip39 = require("@scure/bip39");
+const { wordlist } = require("@scure/bip39/wordlists/english");
+
+// Number of words of a seed phrase and the entropy bits they encode (the rest is the checksum)
+const seedPhraseStrengths = { 12: 128, 15: 160, 18: 192, 21: 224, 24: 256 };
+
+// The key derivation of this module is its own scheme ("s5-utils key derivation"): BIP-39 English phrases,
+// the BIP-39 seed function and one HKDF-SHA256 step per path segment. It is NOT compatible with the seed
+// phrases of the S5 reference clients, which use their own word list and a Blake3-based derivation: a phrase
+// from an S5 client is rejected here, and keys derived here do not match the keys of an S5 client.
+
+// Salt of the HKDF derivation, changing it changes every derived key
+const keyDerivationSalt = "s5-utils key derivation";
+
+// Path segments of the per-purpose subkeys
+const keyPurposeRegistry = "registry";
+const keyPurposeIdentity = "identity";
+const keyPurposeEncryption = "encryption";
+
+/**
+ * Normalises a seed phrase: lowercase, single spaces, no surrounding whitespace.
+ *
+ * @param {string} phrase - The seed phrase.
+ * @returns {string} - The normalised seed phrase.
+ */
+function normalizeSeedPhrase(phrase) {
+  return phrase.normalize("NFKD").trim().toLowerCase().split(/\s+/).join(" ");
+}
+
+/**
+ * Generates a random seed phrase from the BIP-39 English word list, the last word contains a checksum.
+ * S5 reference clients can not restore these phrases.
+ *
+ * @param {number} [wordCount=24] - The number of words: 12, 15, 18, 21 or 24.
+ * @returns {string} - The seed phrase, words separated by single spaces.
+ * @throws {Error} - If the word count is not supported.
+ */
+function generateSeedPhrase(wordCount = 24) {
+  const strength = seedPhraseStrengths[wordCount];
+  if (strength === undefined) {
+    throw new Error(`Unsupported seed phrase length ${wordCount}, use 12, 15, 18, 21 or 24 words`);
+  }
+  return bip39.generateMnemonic(wordlist, strength);
+}
+
+/**
+ * Checks a seed phrase: supported length, words from the word list and a matching checksum.
+ *
+ * @param {string} phrase - The seed phrase, case and extra whitespace are ignored.
+ * @returns {boolean} - True if the seed phrase is valid.
+ */
+function validateSeedPhrase(phrase) {
+  if (typeof phrase !== "string") {
+    return false;
+  }
+  return bip39.validateMnemonic(normalizeSeedPhrase(phrase), wordlist);
+}
+
+/**
+ * Derives a 32-byte key from a parent key and a path of segments, one HKDF-SHA256 step per segment.
+ *
+ * @param {Buffer|Uint8Array} parentKey - The parent key, e.g. the root key of a seed phrase.
+ * @param {...string} segments - The path segments, e.g. "encryption", "photos".
+ * @returns {Buffer} - The derived 32-byte key.
+ */
+function deriveKey(parentKey, ...segments) {
+  let key = Buffer.from(parentKey);
+  for (const segment of segments) {
+    key = Buffer.from(crypto.hkdfSync("sha256", key, keyDerivationSalt, segment, 32));
+  }
+  return key;
+}
+
+/**
+ * Derives the root key of a seed phrase, all other keys are derived from it.
+ * The phrase goes through the BIP-39 seed function (PBKDF2) first, so the optional passphrase
+ * protects a leaked phrase. The root key is `HKDF-SHA256(seed, "s5-utils key derivation", "root")`.
+ *
+ * The keys are not compatible with the seed phrases of the S5 reference clients, see the top of this module.
+ *
+ * @param {string} phrase - The seed phrase.
+ * @param {string} [passphrase=""] - An optional passphrase.
+ * @returns {Buffer} - The 32-byte root key.
+ * @throws {Error} - If the seed phrase is not valid.
+ */
+function deriveRootKeyFromSeedPhrase(phrase, passphrase = "") {
+  if (!validateSeedPhrase(phrase)) {
+    throw new Error("Invalid seed phrase, check the words and their order");
+  }
+  const seed = bip39.mnemonicToSeedSync(normalizeSeedPhrase(phrase), passphrase);
+  return deriveKey(seed, "root");
+}
+
+/**
+ * Creates an ed25519 key pair from a derived 32-byte key.
+ *
+ * @param {Buffer} key - The derived key, used as ed25519 seed.
+ * @returns {{publicKey: Buffer, secretKey: Buffer}} - The key pair, the 64-byte secret key works with signRegistryEntry.
+ */
+function toSigningKeyPair(key) {
+  const keyPair = sign.keyPair.fromSeed(Uint8Array.from(key));
+  return { publicKey: Buffer.from(keyPair.publicKey), secretKey: Buffer.from(keyPair.secretKey) };
+}
+
+/**
+ * Derives an ed25519 key pair for registry entries. Every name gives a separate key pair,
+ * so every resolver CID of a user can have its own key.
+ *
+ * @param {Buffer|Uint8Array} rootKey - The root key of the seed phrase.
+ * @param {string} [name="default"] - The name of the registry key.
+ * @returns {{publicKey: Buffer, secretKey: Buffer}} - The key pair.
+ */
+function deriveRegistryKeyPair(rootKey, name = "default") {
+  return toSigningKeyPair(deriveKey(rootKey, keyPurposeRegistry, name));
+}
+
+/**
+ * Derives the ed25519 identity key pair of a seed phrase.
+ *
+ * @param {Buffer|Uint8Array} rootKey - The root key of the seed phrase.
+ * @returns {{publicKey: Buffer, secretKey: Buffer}} - The key pair.
+ */
+function deriveIdentityKeyPair(rootKey) {
+  return toSigningKeyPair(deriveKey(rootKey, keyPurposeIdentity));
+}
+
+/**
+ * Derives a 32-byte encryption key for a path, e.g. for encryptFile. Every path gets its own key,
+ * leading, trailing and repeated "/" are ignored. The key of a directory derives the keys below it
+ * with `deriveKey(directoryKey, ...segments)`, so it can be shared to give access to a whole directory.
+ *
+ * @param {Buffer|Uint8Array} rootKey - The root key of the seed phrase.
+ * @param {string} [filePath=""] - The path, e.g. "photos/2023/beach.jpg". The empty path gives the encryption root key.
+ * @returns {Buffer} - The 32-byte encryption key.
+ */
+function deriveEncryptionKey(rootKey, filePath = "") {
+  const segments = filePath.split("/").filter((segment) => segment !== "");
+  return deriveKey(rootKey, keyPurposeEncryption, ...segments);
+}
+
+module.exports = {
+  generateSeedPhrase,
+  validateSeedPhrase,
+  deriveKey,
+  deriveRootKeyFromSeedPhrase,
+  deriveRegistryKeyPair,
+  deriveIdentityKeyPair,
+  deriveEncryptionKey,
+};
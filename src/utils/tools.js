@@ -5,9 +5,158 @@ const {
   decodeBase58BTC,
   encodeBase32RFC,
   decodeBase32RFC,
+  encodeBase32Hex,
+  decodeBase32Hex,
+  encodeBase16,
+  decodeBase16,
+  encodeBase36,
+  decodeBase36,
   encodeBase64URL,
   decodeBase64URL,
 } = require("./basetools");
+const { InvalidEncodingError, InvalidCidError } = require("./errors");
+
+/**
+ * The registered multibase codecs by name, each with its prefix character, encoder and decoder.
+ */
+const multibaseCodecs = new Map();
+
+/**
+ * The names of the registered multibase codecs by prefix character.
+ */
+const multibasePrefixes = new Map();
+
+/**
+ * Registers a multibase codec.
+ *
+ * @param {string} name - The multibase name (e.g. "base58btc").
+ * @param {string} prefix - The single prefix character (e.g. "z").
+ * @param {Function} encode - Encodes a Buffer into a string, without the prefix.
+ * @param {Function} decode - Decodes a string, without the prefix, into a Buffer; called with the string and the
+ *   decoding options (`{ strict }`), it should throw an InvalidEncodingError for invalid strings.
+ * @throws {Error} - If the prefix is not a single character or is used by another codec.
+ */
+function registerMultibase(name, prefix, encode, decode) {
+  if (prefix.length !== 1) {
+    throw new Error(`Invalid multibase prefix '${prefix}'`);
+  }
+  if (multibasePrefixes.has(prefix) && multibasePrefixes.get(prefix) !== name) {
+    throw new Error(`Multibase prefix '${prefix}' is already used by ${multibasePrefixes.get(prefix)}`);
+  }
+  multibaseCodecs.set(name, { name, prefix, encode, decode });
+  multibasePrefixes.set(prefix, name);
+}
+
+/**
+ * Throws if a string of a single-case multibase contains characters of the other case.
+ *
+ * @param {string} str - The encoded string, without the prefix.
+ * @param {RegExp} otherCase - Matches the characters of the other case.
+ * @param {string} encoding - The multibase name.
+ * @param {Object} options - The decoding options, only checked with `strict`.
+ * @throws {InvalidEncodingError} - If the string contains a character of the other case.
+ */
+function checkMultibaseCase(str, otherCase, encoding, options) {
+  const invalid = options.strict === true ? str.search(otherCase) : -1;
+  if (invalid !== -1) {
+    throw new InvalidEncodingError('Invalid character', encoding, invalid);
+  }
+}
+
+registerMultibase('base58btc', 'z', encodeBase58BTC, decodeBase58BTC);
+registerMultibase('base64url', 'u', encodeBase64URL, (str, options) => Buffer.from(decodeBase64URL(str, options)));
+registerMultibase('base32', 'b', (bytes) => encodeBase32RFC(bytes).toLowerCase(), (str, options) => {
+  checkMultibaseCase(str, /[A-Z]/, 'base32', options);
+  return decodeBase32RFC(str.toUpperCase(), options);
+});
+registerMultibase('base32upper', 'B', encodeBase32RFC, (str, options) => {
+  checkMultibaseCase(str, /[a-z]/, 'base32upper', options);
+  return decodeBase32RFC(str, options);
+});
+registerMultibase('base32hex', 'v', (bytes) => encodeBase32Hex(bytes).toLowerCase(), (str, options) => {
+  checkMultibaseCase(str, /[A-Z]/, 'base32hex', options);
+  return decodeBase32Hex(str.toUpperCase(), options);
+});
+registerMultibase('base16', 'f', encodeBase16, (str, options) => {
+  checkMultibaseCase(str, /[A-F]/, 'base16', options);
+  return decodeBase16(str);
+});
+registerMultibase('base36', 'k', encodeBase36, decodeBase36);
+
+/**
+ * Returns the multibase codec for a name or a prefix character.
+ *
+ * @param {string} nameOrPrefix - The multibase name (e.g. "base32") or prefix character (e.g. "b").
+ * @returns {Object} - The codec with `name`, `prefix`, `encode` and `decode`.
+ * @throws {Error} - If no codec is registered for the name or prefix.
+ */
+function getMultibaseCodec(nameOrPrefix) {
+  const name = multibaseCodecs.has(nameOrPrefix) ? nameOrPrefix : multibasePrefixes.get(nameOrPrefix);
+  if (name === undefined) {
+    throw new Error(`Unsupported multibase '${nameOrPrefix}'`);
+  }
+  return multibaseCodecs.get(name);
+}
+
+/**
+ * Encodes bytes as a multibase string (prefix character + encoded bytes).
+ *
+ * @param {Buffer|Uint8Array} bytes - The bytes to encode.
+ * @param {string} [name="base58btc"] - The multibase name or prefix character.
+ * @returns {string} - The multibase string.
+ * @throws {Error} - If the multibase is not supported.
+ */
+function encodeMultibase(bytes, name = 'base58btc') {
+  const codec = getMultibaseCodec(name);
+  return codec.prefix + codec.encode(Buffer.from(bytes));
+}
+
+/**
+ * Returns the name of the multibase a string is encoded with, detected from its prefix character.
+ *
+ * @param {string} str - The multibase string.
+ * @returns {string} - The multibase name.
+ * @throws {Error} - If the prefix is not supported.
+ */
+function detectMultibase(str) {
+  return getMultibaseCodec(str[0]).name;
+}
+
+/**
+ * Decodes a multibase string, the base is detected from its prefix character.
+ * Error positions refer to the full string, including the prefix character.
+ *
+ * @param {string} str - The multibase string.
+ * @param {Object} [options] - The decoding options.
+ * @param {boolean} [options.strict=false] - Reject non-canonical strings (invalid characters, padding or leftover bits).
+ * @returns {Buffer} - The decoded bytes.
+ * @throws {InvalidEncodingError} - If the prefix is not supported or the string is invalid.
+ */
+function decodeMultibase(str, options = {}) {
+  if (typeof str !== 'string' || str.length === 0 || !multibasePrefixes.has(str[0])) {
+    throw new InvalidEncodingError('Unsupported multibase prefix', undefined, 0);
+  }
+  const codec = getMultibaseCodec(str[0]);
+  try {
+    return codec.decode(str.substring(1), options);
+  } catch (err) {
+    if (err instanceof InvalidEncodingError && err.position !== undefined) {
+      throw new InvalidEncodingError(err.reason, err.encoding, err.position + 1);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Converts a multibase string into another multibase.
+ *
+ * @param {string} str - The multibase string in any supported base.
+ * @param {string} name - The target multibase name or prefix character.
+ * @returns {string} - The multibase string in the target base.
+ */
+function convertMultibase(str, name) {
+  return encodeMultibase(decodeMultibase(str), name);
+}
 
 /**
  * Converts a number into a Buffer of a specified size.
@@ -49,19 +198,89 @@ function numToBuf(value1, bufferSize) {
 
 /**
  * Converts a portion of a Buffer to a signed integer.
+ * Values above 2^53 lose precision, use bufToBigInt for exact values.
  * 
  * @param {Buffer} buffer - The Buffer containing the bytes to read from.
  * @returns {number} - The signed integer value obtained from the Buffer.
  */
 function bufToNum(buffer) {
+  return Number(bufToBigInt(buffer));
+}
+
+/**
+ * Converts a little-endian Buffer to an unsigned BigInt, without losing precision.
+ *
+ * @param {Buffer} buffer - The Buffer containing the bytes to read from.
+ * @returns {bigint} - The unsigned integer value obtained from the Buffer.
+ */
+function bufToBigInt(buffer) {
   let value = 0n;
-  const bufferLength = buffer.length;
 
-  for (let i = bufferLength - 1; i >= 0; i--) {
+  for (let i = buffer.length - 1; i >= 0; i--) {
     value = (value << 8n) + BigInt(buffer[i]);
   }
 
-  return Number(value);
+  return value;
+}
+
+// Maximum number of bytes of an encoded file size (unsigned 64-bit)
+const fileSizeMaxBytes = 8;
+
+/**
+ * Checks a file size given as Number or BigInt and converts it into a BigInt.
+ *
+ * @param {number|bigint} size - The file size.
+ * @returns {bigint} - The exact file size.
+ * @throws {Error} - If the size is not a Number or BigInt, negative, not an integer or does not fit into 64 bits.
+ */
+function toFileSize(size) {
+  if (typeof size === 'number') {
+    if (!Number.isInteger(size)) {
+      throw new Error(`Invalid file size ${size}, expected an integer`);
+    }
+    if (!Number.isSafeInteger(size)) {
+      throw new Error(`Invalid file size ${size}, use a BigInt for sizes above 2^53`);
+    }
+  } else if (typeof size !== 'bigint') {
+    throw new Error(`Invalid file size of type ${typeof size}, expected a number or a BigInt`);
+  }
+
+  const value = BigInt(size);
+  if (value < 0n || value >= 1n << BigInt(fileSizeMaxBytes * 8)) {
+    throw new Error(`Invalid file size ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Encodes a file size into the shortest little-endian Buffer, as used by raw CIDs.
+ * A size of 0 is encoded as an empty Buffer.
+ *
+ * @param {number|bigint} size - The file size, a Number up to 2^53 or a BigInt.
+ * @returns {Buffer} - The encoded file size.
+ * @throws {Error} - If the size is not a Number or BigInt, negative, not an integer or does not fit into 64 bits.
+ */
+function encodeFileSize(size) {
+  return numToBuf(toFileSize(size), fileSizeMaxBytes);
+}
+
+/**
+ * Decodes a little-endian file size, as used by raw CIDs, into a BigInt.
+ * Accepts the empty encoding and a single zero byte for a size of 0.
+ *
+ * @param {Buffer|Uint8Array} buffer - The encoded file size.
+ * @returns {bigint} - The exact file size.
+ * @throws {Error} - If the encoded size is too long or has trailing zero bytes.
+ */
+function decodeFileSize(buffer) {
+  if (buffer.length > fileSizeMaxBytes) {
+    throw new Error(`Invalid file size length ${buffer.length}, expected at most ${fileSizeMaxBytes} bytes`);
+  }
+  if (buffer.length > 1 && buffer[buffer.length - 1] === 0) {
+    throw new Error('Invalid file size encoding, unexpected trailing bytes');
+  }
+
+  return bufToBigInt(buffer);
 }
 
 /**
@@ -86,25 +305,29 @@ function encodeCIDWithPrefixZ(bytes) {
 }
 
 /**
- * Decodes a CID (Content Identifier) with a prefix 'z' if present.
+ * Decodes a multibase CID string strictly, like the CID parser does, after checking its prefix.
+ *
+ * @param {string} cid - The CID string.
+ * @param {string[]} prefixes - The accepted multibase prefixes.
+ * @returns {Buffer} - The decoded CID bytes.
+ * @throws {InvalidEncodingError} - If the prefix is not accepted or the string is not strictly valid.
+ */
+function decodeCIDWithPrefix(cid, prefixes) {
+  if (typeof cid !== 'string' || !prefixes.includes(cid[0])) {
+    throw new InvalidEncodingError(`Unsupported multibase prefix, expected '${prefixes.join("' or '")}'`, undefined, 0);
+  }
+  return decodeMultibase(cid, { strict: true });
+}
+
+/**
+ * Decodes a CID (Content Identifier) with the base58btc prefix 'z'.
  *
  * @param {string} cid - The CID to decode.
  * @returns {Buffer} - A Buffer containing the decoded CID.
- * @throws {Error} - If the input address is invalid.
+ * @throws {InvalidEncodingError} - If the prefix is not 'z' or the CID is not strictly valid base58btc.
  */
 function decodeCIDWithPrefixZ(cid) {
-  if (cid[0] === 'z') {
-    const zCidBytes = decodeBase58BTC(cid.substring(1));
-    return zCidBytes;
-  }
-
-  if (cid[0] !== 'z') {
-    const zCidBytes = decodeBase58BTC(cid);
-    return zCidBytes;
-  }
-
-  // Handle the case where none of the conditions are met
-  throw new Error('Invalid input address');
+  return decodeCIDWithPrefix(cid, ['z']);
 }
 
 /**
@@ -127,26 +350,14 @@ function encodeCIDWithPrefixU(bytes) {
 }
 
 /**
- * Decodes a Content Identifier (CID) with a prefix 'u' and returns the decoded bytes as a Buffer.
+ * Decodes a Content Identifier (CID) with the base64url prefix 'u' and returns the decoded bytes as a Buffer.
  * 
- * @param {string} cid - The CID to decode, either prefixed with 'u' or already decoded.
+ * @param {string} cid - The CID to decode.
  * @returns {Buffer} - A Buffer containing the decoded bytes of the CID.
- * @throws {Error} - Throws an error for an invalid 'u' CID format.
+ * @throws {InvalidEncodingError} - If the prefix is not 'u' or the CID is not strictly valid base64url.
  */
 function decodeCIDWithPrefixU(cid) {
-  if (cid[0] === 'u') {
-    const uCidBytes = decodeBase64URL(cid.substring(1));
-    return Buffer.from(uCidBytes);
-  } 
-
-  if (cid[0] !== 'u') {
-    // Assume the input CID is already decoded and decode it using base64url-decoding.
-    const uCidBytes = decodeBase64URL(cid);
-    return Buffer.from(uCidBytes);
-  }
-  
-  // Throw an error for invalid CID format.
-  throw new Error('Invalid u CID format');
+  return decodeCIDWithPrefix(cid, ['u']);
 }
 
 /**
@@ -166,30 +377,15 @@ function encodeCIDWithPrefixB(bytes) {
 }
 
 /**
- * Decodes a CID (Content Identifier) with a prefix 'B' or 'b' and returns the decoded bytes as a Buffer object.
- * If the CID starts with 'B' and contains any uppercase letters, it converts the CID to lowercase and removes the 'B' prefix.
- * If the CID starts with 'b' and contains any lowercase letters, it removes the 'b' prefix.
- * If the CID contains any lowercase letters, it converts all characters to uppercase.
+ * Decodes a CID (Content Identifier) with the base32 prefix 'b' (lowercase) or 'B' (uppercase)
+ * and returns the decoded bytes as a Buffer object.
  *
  * @param {string} cid - The CID string to decode.
  * @returns {Buffer} - The decoded CID bytes as a Buffer object.
+ * @throws {InvalidEncodingError} - If the prefix is not 'b' or 'B' or the CID is not strictly valid base32.
  */
 function decodeCIDWithPrefixB(cid) {
-  if (cid[0] === 'B' && /[A-Z]/.test(cid)) {
-    cid = cid.toLowerCase(); // Convert the CID to lowercase
-    cid = cid.substring(1); // Remove the first character ("B")
-  }
-
-  if (cid[0] === 'b' && /[a-z]/.test(cid)) {
-    cid = cid.substring(1); // Remove the first character ("b")
-  }
-
-  if (/[a-z]/.test(cid)) {
-    cid = cid.toUpperCase(); // Convert all characters to uppercase
-  }
-
-  const bCidBytes = decodeBase32RFC(cid); // Assuming decodeBase32RFC is defined elsewhere
-  return bCidBytes;
+  return decodeCIDWithPrefix(cid, ['b', 'B']);
 }
 
 /**
@@ -197,16 +393,10 @@ function decodeCIDWithPrefixB(cid) {
  *
  * @param {string} cid - The Base58btc-encoded CID string to convert.
  * @returns {string} - The Base32rfc-encoded CID string.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base58btc with its prefix.
  */
 function convertB58btcToB32rfcCid(cid) {
-  // Decode the base58btc-encoded CID using decodeBase58BTC function.
-  const decoded = decodeBase58BTC(cid.substring(1));
-
-  // Encode the decoded binary data as base32rfc using encodeBase32RFC function.
-  const encoded = encodeBase32RFC(decoded).toString().replace(/=+$/, '').toLowerCase();
-
-  // Add a 'b' prefix to the base32rfc-encoded string and return the result.
-  return `b${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixZ(cid), 'base32');
 }
 
 /**
@@ -214,16 +404,10 @@ function convertB58btcToB32rfcCid(cid) {
  *
  * @param {string} cid - The Base32rfc-encoded CID to convert.
  * @returns {string} - The Base58btc-encoded CID.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base32 with its prefix.
  */
 function convertB32rfcToB58btcCid(cid) {
-  // Decode the base32rfc-encoded CID using decodeBase32RFC function.
-  const decoded = decodeBase32RFC(cid.substring(1).toUpperCase());
-
-  // Encode the decoded binary data as base58btc using encodeBase58BTC function.
-  const encoded = encodeBase58BTC(decoded);
-
-  // Add a 'z' prefix to the base58btc-encoded string and return the result.
-  return `z${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixB(cid), 'base58btc');
 }
 
 /**
@@ -231,16 +415,10 @@ function convertB32rfcToB58btcCid(cid) {
  *
  * @param {string} cid - The base64URL-encoded CID to convert.
  * @returns {string} - The base58btc-encoded CID.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base64url with its prefix.
  */
 function convertB64urlToB58btcCid(cid) {
-  // Decode the base58btc-encoded CID using decodeBase58BTC function.
-  const decoded = decodeBase64URL(cid.substring(1));
-
-  // Encode the decoded binary data as base58btc using encodeBase58BTC function.
-  const encoded = encodeBase58BTC(decoded);
-
-  // Add a 'z' prefix to the base58btc-encoded string and return the result.
-  return `z${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixU(cid), 'base58btc');
 }
 
 /**
@@ -248,16 +426,10 @@ function convertB64urlToB58btcCid(cid) {
  *
  * @param {string} cid - The base58btc-encoded CID to be converted.
  * @returns {string} The base64url-encoded CID with a 'u' prefix.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base58btc with its prefix.
  */
 function convertB58btcToB64urlCid(cid) {
-  // Decode the base58btc-encoded CID using decodeBase58BTC function.
-  const decoded = decodeBase58BTC(cid.substring(1));
-
-  // Encode the decoded binary data as base64url using encodeBase64URL function.
-  const encoded = encodeBase64URL(decoded);
-
-  // Add a 'u' prefix to the base64url-encoded string and return the result.
-  return `u${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixZ(cid), 'base64url');
 }
 
 /**
@@ -265,16 +437,10 @@ function convertB58btcToB64urlCid(cid) {
  *
  * @param {string} cid - The base64url-encoded CID to convert.
  * @returns {string} - The base32rfc-encoded CID.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base64url with its prefix.
  */
 function convertB64urlToB32rfcCid(cid) {
-  // Decode the base64url-encoded CID using the built-in Buffer class.
-  const decoded = Buffer.from(cid.substring(1), 'base64url');
-
-  // Encode the decoded binary data as base32rfc using a custom implementation.
-  const encoded = encodeBase32RFC(decoded).toString().replace(/=+$/, '').toLowerCase();
-
-  // Add a 'b' prefix to the base32rfc-encoded string and return the result.
-  return `b${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixU(cid), 'base32');
 }
 
 /**
@@ -282,16 +448,10 @@ function convertB64urlToB32rfcCid(cid) {
  *
  * @param {string} cid - The base32rfc-encoded CID to be converted.
  * @returns {string} The base64url-encoded CID.
+ * @throws {InvalidEncodingError} - If the CID is not strictly valid base32 with its prefix.
  */
 function convertB32rfcToB64urlCid(cid) {
-  // Decode the base32rfc-encoded CID using decodeBase32RFC function.
-  const decoded = decodeBase32RFC(cid.substring(1).toUpperCase());
-
-  // Encode the decoded binary data as base64url using encodeBase64URL function.
-  const encoded = encodeBase64URL(decoded);
-
-  // Add a 'u' prefix to the base64url-encoded string and return the result.
-  return `u${encoded}`;
+  return encodeMultibase(decodeCIDWithPrefixB(cid), 'base64url');
 }
 
 /**
@@ -299,7 +459,7 @@ function convertB32rfcToB64urlCid(cid) {
  *
  * @param {string} cid - The input CID to be converted.
  * @returns {string} - The converted CID.
- * @throws {Error} - If the input CID is invalid or cannot be converted.
+ * @throws {InvalidCidError} - If the input CID is invalid or cannot be converted.
  */
 function convertDownloadDirectoryInputCid(cid) {
   let responseCid = null;
@@ -309,7 +469,7 @@ function convertDownloadDirectoryInputCid(cid) {
     if (subdomain !== null) {
       responseCid = subdomain;
     } else {
-      throw new Error('Invalid CID input address');
+      throw new InvalidCidError('no CID subdomain in the URL');
     }
   } else {
     if (cid[0] === 'z') {
@@ -319,6 +479,7 @@ function convertDownloadDirectoryInputCid(cid) {
       responseCid = convertB64urlToB32rfcCid(cid);
     }
     if (cid[0] === 'b') {
+      decodeCIDWithPrefixB(cid);
       responseCid = cid;
     }
   }
@@ -326,7 +487,7 @@ function convertDownloadDirectoryInputCid(cid) {
   if (responseCid !== null) {
     return responseCid;
   } else {
-    throw new Error('Invalid CID input address');
+    throw new InvalidCidError('unsupported multibase prefix', 0);
   }
 }
 
@@ -360,8 +521,18 @@ function getSubdomainFromUrl(url) {
 }
 
 module.exports = {
+  registerMultibase,
+  getMultibaseCodec,
+  encodeMultibase,
+  detectMultibase,
+  decodeMultibase,
+  convertMultibase,
   numToBuf,
   bufToNum,
+  bufToBigInt,
+  toFileSize,
+  encodeFileSize,
+  decodeFileSize,
   encodeCIDWithPrefixZ,
   decodeCIDWithPrefixZ,
   encodeCIDWithPrefixU,
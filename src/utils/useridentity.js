@@ -0,0 +1,268 @@
+"use strict";
+
+const { sign } = require("tweetnacl");
+
+const { S5Cid } = require("./blake3tools");
+const { getRegistryKeyPair, encodeRegistryPublicKey } = require("./registry");
+const { encodeMsgpack, decodeMsgpack } = require("./msgpack");
+const {
+  encodeMetadataBlob,
+  decodeMetadataBlob,
+  generateMetadataCID,
+  splitMetadataMap,
+  joinMetadataMap,
+} = require("./metadata");
+const {
+  cidTypeUserIdentity,
+  metadataTypeUserIdentity,
+  authPayloadVersion1,
+  userIdentityLinkProfile,
+  userIdentityLinkPublicFileSystem,
+} = require("./constants");
+
+// Layout of a user identity metadata blob:
+// [metadataMagicByte, metadataTypeUserIdentity, msgpack([multicoded identity public key, links, extraMetadata])]
+// `links` maps a userIdentityLink slot to CID bytes. Links should be resolver CIDs, so they can be updated
+// without changing the blob and with it the identity CID.
+
+// Layout of a version 1 auth payload:
+// [authPayloadVersion1, ed25519 signature (64 bytes), msgpack(fields)], the signature covers
+// [authPayloadVersion1, msgpack(fields)]. The fields are a map with the keys below.
+const authPayloadKeys = {
+  identityCid: 1,
+  publicKey: 2,
+  challenge: 3,
+  timestamp: 4,
+  audience: 5,
+};
+
+// Accepted age of an auth payload, and accepted clock skew in the other direction
+const authPayloadDefaultMaxAge = 5 * 60 * 1000;
+
+/**
+ * A user identity: an ed25519 identity key with links to the profile and the public file system of the user.
+ *
+ * The identity CID (cidTypeUserIdentity) is the hash of the serialized identity, and the identity key signs
+ * auth payloads to prove control over the identity.
+ */
+class UserIdentity {
+  /**
+   * Creates a new user identity.
+   *
+   * @param {Object} options - The identity.
+   * @param {Buffer|Uint8Array} options.publicKey - The 32-byte identity public key or the multicoded key,
+   * e.g. from deriveIdentityKeyPair.
+   * @param {Map<number, S5Cid|string|Buffer>} [options.links] - The linked CIDs by userIdentityLink slot.
+   * @param {Map} [options.extraMetadata] - The extension fields of the identity.
+   * @throws {Error} - If the public key or a link is invalid.
+   */
+  constructor({ publicKey, links, extraMetadata }) {
+    this.publicKey = encodeRegistryPublicKey(publicKey);
+    this.links = new Map();
+    for (const [slot, cid] of links || new Map()) {
+      this.links.set(slot, S5Cid.from(cid));
+    }
+    this.extraMetadata = extraMetadata instanceof Map ? extraMetadata : new Map();
+  }
+
+  /** @returns {S5Cid|undefined} - The CID of the profile. */
+  get profile() {
+    return this.links.get(userIdentityLinkProfile);
+  }
+
+  set profile(cid) {
+    this.setLink(userIdentityLinkProfile, cid);
+  }
+
+  /** @returns {S5Cid|undefined} - The CID of the public file system root. */
+  get publicFileSystem() {
+    return this.links.get(userIdentityLinkPublicFileSystem);
+  }
+
+  set publicFileSystem(cid) {
+    this.setLink(userIdentityLinkPublicFileSystem, cid);
+  }
+
+  /**
+   * Sets or removes a link.
+   *
+   * @param {number} slot - The userIdentityLink slot.
+   * @param {S5Cid|string|Buffer|undefined} cid - The linked CID, undefined removes the link.
+   */
+  setLink(slot, cid) {
+    if (cid === undefined) {
+      this.links.delete(slot);
+    } else {
+      this.links.set(slot, S5Cid.from(cid));
+    }
+  }
+
+  /**
+   * Parses a metadataTypeUserIdentity blob.
+   *
+   * @param {Buffer|Uint8Array} blob - The metadata blob.
+   * @returns {UserIdentity} - The user identity.
+   * @throws {Error} - If the blob is not valid user identity metadata.
+   */
+  static fromBytes(blob) {
+    const content = decodeMetadataBlob(blob, metadataTypeUserIdentity);
+    if (!Array.isArray(content) || content.length < 3 || !Buffer.isBuffer(content[0]) || !(content[1] instanceof Map)) {
+      throw new Error("Invalid user identity metadata");
+    }
+    const links = new Map();
+    for (const [slot, cid] of content[1]) {
+      links.set(slot, S5Cid.fromBytes(cid));
+    }
+    return new UserIdentity({ publicKey: content[0], links, extraMetadata: content[2] });
+  }
+
+  /**
+   * Serializes the user identity into a metadataTypeUserIdentity blob.
+   *
+   * @returns {Buffer} - The metadata blob.
+   */
+  toBytes() {
+    const links = new Map([...this.links].map(([slot, cid]) => [slot, cid.toBytes()]));
+    return encodeMetadataBlob(metadataTypeUserIdentity, [this.publicKey, links, this.extraMetadata]);
+  }
+
+  /**
+   * Generates the cidTypeUserIdentity CID of the serialized identity.
+   *
+   * @returns {Promise<Buffer>} - The CID bytes.
+   */
+  async generateCID() {
+    return generateMetadataCID(cidTypeUserIdentity, this.toBytes());
+  }
+}
+
+/**
+ * Returns the bytes signed in a version 1 auth payload.
+ *
+ * @param {Buffer} fields - The MessagePack-encoded fields.
+ * @returns {Buffer} - The signed bytes.
+ */
+function getAuthPayloadSigningBytes(fields) {
+  return Buffer.concat([Buffer.from([authPayloadVersion1]), fields]);
+}
+
+/**
+ * Creates a version 1 auth payload that proves control over a user identity, e.g. to log in to a portal.
+ *
+ * @param {string|Buffer|Uint8Array} secretKey - The 64-byte identity secret key or its 32-byte seed.
+ * @param {Object} options - The payload.
+ * @param {S5Cid|string|Buffer} options.identityCid - The CID of the user identity.
+ * @param {Buffer|Uint8Array|string} options.challenge - The challenge of the verifier, strings are UTF-8 encoded.
+ * @param {string} [options.audience] - The service the payload is meant for, e.g. the portal host.
+ * @param {number} [options.timestamp=Date.now()] - The Unix timestamp in milliseconds.
+ * @returns {Buffer} - The auth payload.
+ * @throws {Error} - If the key or the identity CID is invalid.
+ */
+function createAuthPayload(secretKey, { identityCid, challenge, audience, timestamp = Date.now() }) {
+  const keyPair = getRegistryKeyPair(secretKey);
+  const cid = S5Cid.from(identityCid);
+  if (cid.type !== cidTypeUserIdentity) {
+    throw new Error(`Invalid identity CID of type ${cid.typeName}, expected a user identity CID`);
+  }
+
+  const fields = encodeMsgpack(
+    joinMetadataMap(
+      {
+        identityCid: cid.toBytes(),
+        publicKey: encodeRegistryPublicKey(keyPair.publicKey),
+        challenge: Buffer.from(challenge),
+        timestamp,
+        audience,
+      },
+      authPayloadKeys
+    )
+  );
+  const signature = sign.detached(Uint8Array.from(getAuthPayloadSigningBytes(fields)), keyPair.secretKey);
+  return Buffer.concat([Buffer.from([authPayloadVersion1]), Buffer.from(signature), fields]);
+}
+
+/**
+ * Parses an auth payload without checking it.
+ *
+ * @param {Buffer|Uint8Array} payload - The auth payload.
+ * @returns {Object} - The payload with `identityCid` (S5Cid), `publicKey` (multicoded), `challenge`, `timestamp`,
+ * `audience` and `signature`.
+ * @throws {Error} - If the payload is not a valid version 1 auth payload.
+ */
+function decodeAuthPayload(payload) {
+  const bytes = Buffer.from(payload);
+  if (bytes.length <= 1 + sign.signatureLength || bytes[0] !== authPayloadVersion1) {
+    throw new Error("Invalid auth payload, expected version 1");
+  }
+  const { fields } = splitMetadataMap(
+    decodeMsgpack(bytes.subarray(1 + sign.signatureLength)),
+    authPayloadKeys,
+    "auth payload"
+  );
+  if (
+    !Buffer.isBuffer(fields.identityCid) ||
+    !Buffer.isBuffer(fields.publicKey) ||
+    !Buffer.isBuffer(fields.challenge)
+  ) {
+    throw new Error("Invalid auth payload, fields are missing");
+  }
+  return {
+    identityCid: S5Cid.fromBytes(fields.identityCid),
+    publicKey: encodeRegistryPublicKey(fields.publicKey),
+    challenge: fields.challenge,
+    timestamp: fields.timestamp,
+    audience: fields.audience,
+    signature: bytes.subarray(1, 1 + sign.signatureLength),
+  };
+}
+
+/**
+ * Verifies a version 1 auth payload: the signature, the identity, the challenge and the age.
+ *
+ * @param {Buffer|Uint8Array} payload - The auth payload.
+ * @param {Object} options - The expected values.
+ * @param {UserIdentity} options.identity - The user identity, the payload must name its CID and be signed by its key.
+ * @param {Buffer|Uint8Array|string} options.challenge - The challenge sent to the user.
+ * @param {string} [options.audience] - The expected audience, if set.
+ * @param {number} [options.maxAge=300000] - The accepted age in milliseconds, also the accepted clock skew.
+ * @param {number} [options.now=Date.now()] - The current Unix timestamp in milliseconds.
+ * @returns {Promise<boolean>} - True if the payload is valid.
+ */
+async function verifyAuthPayload(
+  payload,
+  { identity, challenge, audience, maxAge = authPayloadDefaultMaxAge, now = Date.now() }
+) {
+  let decoded;
+  try {
+    decoded = decodeAuthPayload(payload);
+  } catch (err) {
+    return false;
+  }
+
+  const fields = Buffer.from(payload).subarray(1 + sign.signatureLength);
+  const isSigned = sign.detached.verify(
+    Uint8Array.from(getAuthPayloadSigningBytes(fields)),
+    Uint8Array.from(decoded.signature),
+    Uint8Array.from(decoded.publicKey.subarray(1))
+  );
+  if (!isSigned || !decoded.publicKey.equals(identity.publicKey)) {
+    return false;
+  }
+  if (!decoded.identityCid.equals(S5Cid.fromBytes(await identity.generateCID()))) {
+    return false;
+  }
+  if (!decoded.challenge.equals(Buffer.from(challenge))) {
+    return false;
+  }
+  if (audience !== undefined && decoded.audience !== audience) {
+    return false;
+  }
+  return typeof decoded.timestamp === "number" && Math.abs(now - decoded.timestamp) <= maxAge;
+}
+
+module.exports = {
+  UserIdentity,
+  createAuthPayload,
+  decodeAuthPayload,
+  verifyAuthPayload,
+};
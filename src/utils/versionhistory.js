@@ -0,0 +1,296 @@
+"use strict";
+
+const { S5Cid, calculateB3hashFromData } = require("./blake3tools");
+const { CidMap } = require("./cidcollections");
+const { verifyRegistryEntry, decodeRegistryEntryCid } = require("./registry");
+const { resolveCID } = require("./resolver");
+const { getMetadataType, MetadataExtensions } = require("./metadata");
+const { decodeMetadataProofs } = require("./metadataproofs");
+const { MediaMetadata } = require("./mediametadata");
+const { decodeDirectoryMetadata } = require("./dirmetadata");
+const { decodeWebAppMetadata } = require("./webappmetadata");
+const { UserIdentity } = require("./useridentity");
+const {
+  cidTypeResolver,
+  mhashBlake3Default,
+  metadataTypeMedia,
+  metadataTypeWebApp,
+  metadataTypeDirectory,
+  metadataTypeProofs,
+  metadataTypeUserIdentity,
+} = require("./constants");
+
+// Upper bound of versions fetched by getVersionHistory, protects against endless chains
+const defaultMaxVersions = 1000;
+
+/**
+ * Reads the extensions of a metadata blob of any supported type. Proofs are skipped.
+ *
+ * @param {Buffer} blob - The metadata blob.
+ * @returns {{metadataType: number, extensions: MetadataExtensions}} - The metadata type and the extensions.
+ * @throws {Error} - If the blob is not supported metadata.
+ */
+function readMetadataExtensions(blob) {
+  let metadataBlob = blob;
+  if (getMetadataType(metadataBlob) === metadataTypeProofs) {
+    metadataBlob = decodeMetadataProofs(metadataBlob).blob;
+  }
+
+  const metadataType = getMetadataType(metadataBlob);
+  switch (metadataType) {
+    case metadataTypeMedia:
+      return { metadataType, extensions: MediaMetadata.fromBytes(metadataBlob).extensions };
+    case metadataTypeDirectory:
+      return { metadataType, extensions: new MetadataExtensions(decodeDirectoryMetadata(metadataBlob).extraMetadata) };
+    case metadataTypeWebApp:
+      return { metadataType, extensions: new MetadataExtensions(decodeWebAppMetadata(metadataBlob).extraMetadata) };
+    case metadataTypeUserIdentity:
+      return { metadataType, extensions: new MetadataExtensions(UserIdentity.fromBytes(metadataBlob).extraMetadata) };
+    case null:
+      throw new Error("Not a metadata blob");
+    default:
+      throw new Error(`Unsupported metadata type 0x${metadataType.toString(16)}`);
+  }
+}
+
+/**
+ * Fetches the blob of a CID and checks it against the hash of the CID.
+ *
+ * @param {Object} fetcher - The fetcher, see getVersionHistory.
+ * @param {S5Cid} cid - The CID.
+ * @returns {Promise<Buffer|null>} - The blob, or null if the fetcher has no blob.
+ * @throws {Error} - If the CID does not use the Blake3 hash, or the blob does not match the CID.
+ */
+async function fetchBlob(fetcher, cid) {
+  // An unverified blob could be any metadata, so CIDs with other hashes are not followed
+  if (cid.hashAlgorithm !== mhashBlake3Default) {
+    throw new Error(`Unsupported hash algorithm 0x${cid.hashAlgorithm.toString(16)}, the blob can not be verified`);
+  }
+  const blob = await fetcher.getBlob(cid);
+  if (blob === null || blob === undefined) {
+    return null;
+  }
+  const { b3hash } = await calculateB3hashFromData(Buffer.from(blob));
+  if (!b3hash.equals(cid.hash)) {
+    throw new Error("The blob does not match the hash of the CID");
+  }
+  return Buffer.from(blob);
+}
+
+/**
+ * Looks up what the update resolver CID of a version points to.
+ *
+ * @param {Object} fetcher - The fetcher, see getVersionHistory.
+ * @param {S5Cid} updateCid - The resolver CID.
+ * @returns {Promise<{state: string, target?: S5Cid, error?: string}>} - The state: "unknown" (no registry entry
+ * or no registry access), "deleted" (the entry does not point to a CID), "resolved" (with `target`) or "error".
+ */
+async function lookupUpdate(fetcher, updateCid) {
+  if (updateCid.type !== cidTypeResolver || typeof fetcher.getRegistryEntry !== "function") {
+    return { state: "unknown" };
+  }
+  try {
+    const entry = await fetcher.getRegistryEntry(updateCid.mhash);
+    if (entry === null || entry === undefined) {
+      return { state: "unknown" };
+    }
+    if (!Buffer.from(entry.pk).equals(updateCid.mhash) || !verifyRegistryEntry(entry)) {
+      return { state: "error", error: "Invalid registry entry signature" };
+    }
+    const target = decodeRegistryEntryCid(entry.data);
+    if (target === null) {
+      return { state: "deleted" };
+    }
+    return { state: "resolved", target: await resolveCID(target, (pk) => fetcher.getRegistryEntry(pk)) };
+  } catch (err) {
+    return { state: "error", error: err.message };
+  }
+}
+
+/**
+ * Orders the versions oldest first: a version comes after the versions it lists as previous versions and
+ * after the versions it supersedes through the update CID. Independent versions are ordered by timestamp
+ * (unknown timestamps last), then by CID. Cycles are broken at the oldest version.
+ *
+ * @param {CidMap} versions - The versions by CID.
+ * @param {Array<[S5Cid, S5Cid]>} edges - The [older, newer] pairs.
+ * @returns {{history: Object[], hasCycles: boolean}} - The ordered versions and whether a cycle was broken.
+ */
+function orderVersions(versions, edges) {
+  const pending = new CidMap();
+  const newer = new CidMap();
+  for (const [cid] of versions) {
+    pending.set(cid, 0);
+    newer.set(cid, []);
+  }
+  for (const [older, newerCid] of edges) {
+    pending.set(newerCid, pending.get(newerCid) + 1);
+    newer.get(older).push(newerCid);
+  }
+
+  const compareVersions = (a, b) => {
+    const timeA = a.timestamp !== undefined ? a.timestamp : Infinity;
+    const timeB = b.timestamp !== undefined ? b.timestamp : Infinity;
+    if (timeA !== timeB) {
+      return timeA < timeB ? -1 : 1;
+    }
+    return a.cid.compare(b.cid);
+  };
+
+  const history = [];
+  let hasCycles = false;
+  while (pending.size > 0) {
+    const remaining = [...pending].map(([cid, count]) => ({ version: versions.get(cid), count }));
+    let ready = remaining.filter(({ count }) => count === 0);
+    if (ready.length === 0) {
+      hasCycles = true;
+      ready = remaining;
+    }
+    const next = ready.map(({ version }) => version).sort(compareVersions)[0];
+
+    history.push(next);
+    pending.delete(next.cid);
+    for (const cid of newer.get(next.cid)) {
+      if (pending.has(cid)) {
+        pending.set(cid, pending.get(cid) - 1);
+      }
+    }
+  }
+  return { history, hasCycles };
+}
+
+/**
+ * Builds the version graph of a metadata object: starting at any version, the previous versions
+ * (metadataExtensionPreviousVersions) and the versions the update resolver CID (metadataExtensionUpdateCID)
+ * points to are followed. Cycles, missing blobs and blobs that can not be verified or parsed are tolerated.
+ *
+ * A version is superseded if a newer version lists it as previous version, or if its update CID points
+ * to another version. It is deleted if its update CID has a registry entry that does not point to a CID.
+ *
+ * @param {S5Cid|Buffer|Uint8Array|string} cid - The CID of any version.
+ * @param {Object} fetcher - Where the blobs and registry entries come from, e.g. local fixtures in a CidMap.
+ * @param {Function} fetcher.getBlob - `(cid) => blob`, returns the blob of a S5Cid, or null if it is missing.
+ * @param {Function} [fetcher.getRegistryEntry] - `(pk) => entry`, returns the registry entry of a multicoded
+ * public key, or null. Without it update CIDs are not followed. Both functions may return a promise.
+ * @param {Object} [options] - The walk options.
+ * @param {number} [options.maxVersions=1000] - The maximum number of versions to fetch.
+ * @returns {Promise<Object>} - The version graph:
+ * `versions` (CidMap of the versions by CID), `history` (the versions, oldest first), `latest` (the version
+ * the update CID points to, otherwise the newest available version that is not superseded, or null),
+ * `deleted` (true if the latest version is deleted), `hasCycles` and `truncated` (true if maxVersions was reached).
+ * Every version has `cid`, `metadataType`, `extensions`, `timestamp`, `previousVersions`, `updateCID`, `missing`
+ * (true if the fetcher has no blob), `error` (why the blob could not be fetched, verified or parsed, or why the
+ * update CID could not be looked up), `deleted`, `superseded` and `supersededBy`. Only versions with
+ * `extensions` are available as latest version.
+ */
+async function getVersionHistory(cid, fetcher, options = {}) {
+  const maxVersions = options.maxVersions !== undefined ? options.maxVersions : defaultMaxVersions;
+
+  const versions = new CidMap();
+  const edges = [];
+  const updates = new CidMap();
+  const queue = [S5Cid.from(cid)];
+  let truncated = false;
+
+  // Edges need both versions, so they are added once the whole graph is known
+  const links = [];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (versions.has(current)) {
+      continue;
+    }
+    if (versions.size >= maxVersions) {
+      truncated = true;
+      break;
+    }
+
+    const version = {
+      cid: current,
+      metadataType: undefined,
+      extensions: null,
+      timestamp: undefined,
+      previousVersions: [],
+      updateCID: undefined,
+      missing: false,
+      error: undefined,
+      deleted: false,
+      superseded: false,
+      supersededBy: [],
+    };
+    versions.set(current, version);
+
+    try {
+      const blob = await fetchBlob(fetcher, current);
+      if (blob === null) {
+        version.missing = true;
+        continue;
+      }
+      const { metadataType, extensions } = readMetadataExtensions(blob);
+      version.metadataType = metadataType;
+      version.extensions = extensions;
+      version.timestamp = extensions.timestamp;
+      version.previousVersions = extensions.previousVersions || [];
+      version.updateCID = extensions.updateCID;
+    } catch (err) {
+      version.error = err.message;
+      continue;
+    }
+
+    for (const previous of version.previousVersions) {
+      links.push([previous, current]);
+      queue.push(previous);
+    }
+
+    if (version.updateCID !== undefined) {
+      if (!updates.has(version.updateCID)) {
+        updates.set(version.updateCID, await lookupUpdate(fetcher, version.updateCID));
+      }
+      const update = updates.get(version.updateCID);
+      if (update.state === "deleted") {
+        version.deleted = true;
+      } else if (update.state === "resolved" && !update.target.equals(current)) {
+        links.push([current, update.target]);
+        queue.push(update.target);
+      } else if (update.state === "error") {
+        version.error = `Update CID: ${update.error}`;
+      }
+    }
+  }
+
+  for (const [older, newer] of links) {
+    const olderVersion = versions.get(older);
+    if (olderVersion === undefined || !versions.has(newer) || older.equals(newer)) {
+      continue;
+    }
+    edges.push([older, newer]);
+    olderVersion.superseded = true;
+    if (!olderVersion.supersededBy.some((other) => other.equals(newer))) {
+      olderVersion.supersededBy.push(newer);
+    }
+  }
+
+  const { history, hasCycles } = orderVersions(versions, edges);
+  // The update CID names the current version, also after a rollback to an older version.
+  // Without it the newest version that is not superseded is the latest; in a cycle every version is superseded.
+  const available = history.filter((version) => version.extensions !== null);
+  const targets = available.filter((version) =>
+    [...updates.values()].some((update) => update.state === "resolved" && update.target.equals(version.cid))
+  );
+  const current = available.filter((version) => !version.superseded);
+  const candidates = [targets, current, available].find((list) => list.length > 0) || [];
+  const latest = candidates.length > 0 ? candidates[candidates.length - 1] : null;
+
+  return {
+    versions,
+    history,
+    latest,
+    deleted: latest !== null && latest.deleted,
+    hasCycles,
+    truncated,
+  };
+}
+
+module.exports = {
+  getVersionHistory,
+};
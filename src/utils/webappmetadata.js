@@ -0,0 +1,178 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  S5Cid,
+  calculateB3hashFromFile,
+  generateMHashFromB3hash,
+  generateCIDFromMHashAndSize,
+} = require("./blake3tools");
+const { walkDirectory } = require("./utilsbox");
+const { getFileMimeType } = require("./file");
+const { encodeMetadataBlob, decodeMetadataBlob, generateMetadataCID } = require("./metadata");
+const { cidTypeRaw, cidTypeMetadataWebApp, metadataTypeWebApp } = require("./constants");
+
+// Layout of a web app metadata blob:
+// [metadataMagicByte, metadataTypeWebApp, msgpack([name, tryFiles, errorPages, paths, extraMetadata])]
+// `errorPages` maps an HTTP status code to a path, `paths` maps every path (relative, "/"-separated)
+// to [raw CID bytes, content type].
+
+// Content type of files without a known extension
+const defaultContentType = "application/octet-stream";
+
+/**
+ * Normalises a web app path: "/"-separated, without leading "/" or "./".
+ *
+ * @param {string} webPath - The path, e.g. "/404.html".
+ * @returns {string} - The normalised path, e.g. "404.html".
+ */
+function normalizeWebAppPath(webPath) {
+  return path.posix.normalize(`/${webPath}`).slice(1);
+}
+
+/**
+ * Serializes web app metadata into a metadataTypeWebApp blob.
+ *
+ * @param {Object} metadata - The web app metadata.
+ * @param {string} [metadata.name] - The name of the web app.
+ * @param {string[]} [metadata.tryFiles] - The files tried for a path without a file, in order, e.g. ["index.html"].
+ * @param {Map<number, string>|Object<string, string>} [metadata.errorPages] - The error page paths by HTTP status code.
+ * @param {Map<string, Object>} metadata.paths - The files by path, each with `cid` (a raw CID) and `contentType`.
+ * @param {Map} [metadata.extraMetadata] - The extension fields of the web app.
+ * @returns {Buffer} - The metadata blob.
+ * @throws {Error} - If a status code, path or CID is invalid.
+ */
+function encodeWebAppMetadata(metadata) {
+  const errorPages = new Map();
+  const errorPageEntries =
+    metadata.errorPages instanceof Map ? metadata.errorPages : Object.entries(metadata.errorPages || {});
+  for (const [code, pagePath] of errorPageEntries) {
+    const status = Number(code);
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw new Error(`Invalid error page status code ${code}, expected 400 to 599`);
+    }
+    errorPages.set(status, normalizeWebAppPath(pagePath));
+  }
+
+  const paths = new Map();
+  for (const [filePath, file] of metadata.paths) {
+    const cid = S5Cid.from(file.cid);
+    if (cid.type !== cidTypeRaw) {
+      throw new Error(`Invalid CID of ${filePath}, expected a raw CID`);
+    }
+    paths.set(normalizeWebAppPath(filePath), [cid.toBytes(), file.contentType || defaultContentType]);
+  }
+
+  return encodeMetadataBlob(metadataTypeWebApp, [
+    metadata.name || null,
+    metadata.tryFiles || ["index.html"],
+    errorPages,
+    paths,
+    metadata.extraMetadata || new Map(),
+  ]);
+}
+
+/**
+ * Parses a metadataTypeWebApp blob.
+ *
+ * @param {Buffer|Uint8Array} blob - The metadata blob.
+ * @returns {Object} - The web app metadata with `name`, `tryFiles`, `errorPages` (Map), `paths` (Map of
+ * `{cid, contentType, size}` by path) and `extraMetadata`, see encodeWebAppMetadata.
+ * @throws {Error} - If the blob is not valid web app metadata.
+ */
+function decodeWebAppMetadata(blob) {
+  const content = decodeMetadataBlob(blob, metadataTypeWebApp);
+  if (
+    !Array.isArray(content) ||
+    content.length < 5 ||
+    !Array.isArray(content[1]) ||
+    !content[1].every((tryFile) => typeof tryFile === "string") ||
+    !(content[2] instanceof Map) ||
+    !(content[3] instanceof Map)
+  ) {
+    throw new Error("Invalid web app metadata");
+  }
+
+  const paths = new Map();
+  for (const [filePath, file] of content[3]) {
+    if (typeof filePath !== "string") {
+      throw new Error("Invalid web app metadata, a path is not a string");
+    }
+    if (!Array.isArray(file) || file.length < 2) {
+      throw new Error(`Invalid web app metadata, bad entry for ${filePath}`);
+    }
+    const cid = S5Cid.fromBytes(file[0]);
+    if (cid.type !== cidTypeRaw) {
+      throw new Error(`Invalid web app metadata, ${filePath} does not have a raw CID`);
+    }
+    paths.set(filePath, { cid, contentType: file[1], size: cid.size });
+  }
+
+  return {
+    name: content[0] !== null ? content[0] : undefined,
+    tryFiles: content[1],
+    errorPages: content[2],
+    paths,
+    extraMetadata: content[4],
+  };
+}
+
+/**
+ * Builds the web app metadata of a local build folder (e.g. `dist/`), with the raw CID and content type
+ * of every file. The files themselves still need to be uploaded.
+ *
+ * @param {string} dirPath - The build folder.
+ * @param {Object} [options] - The build options.
+ * @param {string} [options.name] - The name of the web app.
+ * @param {string[]} [options.tryFiles=["index.html"]] - The files tried for a path without a file, in order.
+ * @param {Map<number, string>|Object<string, string>} [options.errorPages] - The error page paths by HTTP status
+ * code, e.g. `{ 404: "/404.html" }`. Every page must exist in the folder.
+ * @param {Map} [options.extraMetadata] - The extension fields of the web app.
+ * @param {HashCache} [options.cache] - A hash cache for the file hashes.
+ * @returns {Promise<{metadata: Object, blob: Buffer, cid: S5Cid}>} - The metadata, the blob and its
+ * cidTypeMetadataWebApp CID.
+ * @throws {Error} - If the folder is empty or an error page does not exist.
+ */
+async function buildWebAppMetadata(dirPath, options = {}) {
+  const rootPath = path.resolve(dirPath);
+  const filePaths = walkDirectory(rootPath).sort();
+  if (filePaths.length === 0) {
+    throw new Error(`No files found in ${dirPath}`);
+  }
+
+  const paths = new Map();
+  for (const filePath of filePaths) {
+    const stat = await fs.promises.stat(filePath, { bigint: true });
+    const b3hash = await calculateB3hashFromFile(filePath, { cache: options.cache });
+    paths.set(path.relative(rootPath, filePath).split(path.sep).join("/"), {
+      cid: S5Cid.fromBytes(generateCIDFromMHashAndSize(generateMHashFromB3hash(b3hash), stat.size)),
+      contentType: getFileMimeType(filePath) || defaultContentType,
+    });
+  }
+
+  const errorPages =
+    options.errorPages instanceof Map ? options.errorPages : new Map(Object.entries(options.errorPages || {}));
+  for (const [code, pagePath] of errorPages) {
+    if (!paths.has(normalizeWebAppPath(pagePath))) {
+      throw new Error(`The error page ${pagePath} for status ${code} does not exist in ${dirPath}`);
+    }
+  }
+
+  const blob = encodeWebAppMetadata({
+    name: options.name,
+    tryFiles: options.tryFiles,
+    errorPages,
+    paths,
+    extraMetadata: options.extraMetadata,
+  });
+  const cid = S5Cid.fromBytes(await generateMetadataCID(cidTypeMetadataWebApp, blob));
+  return { metadata: decodeWebAppMetadata(blob), blob, cid };
+}
+
+module.exports = {
+  encodeWebAppMetadata,
+  decodeWebAppMetadata,
+  buildWebAppMetadata,
+};
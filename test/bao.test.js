@@ -0,0 +1,95 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { blake3 } = require("@napi-rs/blake-hash");
+
+const { generateBaoOutboard, verifyBaoRange, verifyBaoStream } = require("../src/utils/bao");
+
+// Input lengths of the Bao test vectors, around the chunk (1024 bytes) and tree boundaries
+const vectorLengths = [
+  0, 1, 1023, 1024, 1025, 2048, 2049, 3072, 3073, 4096, 4097, 5120, 5121, 8192, 8193, 16384, 16385, 31744, 102400,
+];
+
+// The input of the BLAKE3 and Bao test vectors: 0, 1, ..., 250, 0, 1, ...
+function vectorInput(length) {
+  return Buffer.from([...Array(length)].map((_, i) => i % 251));
+}
+
+async function collect(iterator) {
+  const parts = [];
+  for await (const part of iterator) {
+    parts.push(part);
+  }
+  return Buffer.concat(parts);
+}
+
+describe("generateBaoOutboard", () => {
+  it("computes the root hash of the native BLAKE3 implementation", async () => {
+    for (const length of vectorLengths) {
+      const input = vectorInput(length);
+      for (const chunkGroupLog of [0, 2]) {
+        const { b3hash, size, outboard } = await generateBaoOutboard(input, { chunkGroupLog });
+        const groupCount = Math.max(1, Math.ceil(length / (1024 * 2 ** chunkGroupLog)));
+        assert.deepEqual(b3hash, blake3(input), `length ${length}, chunkGroupLog ${chunkGroupLog}`);
+        assert.equal(size, length);
+        assert.equal(outboard.length, 8 + (groupCount - 1) * 64);
+        assert.equal(outboard.readBigUInt64LE(0), BigInt(length));
+      }
+    }
+  });
+
+  it("stores the parent nodes in pre-order", async () => {
+    // Three chunks: root = parent(parent(chunk 0, chunk 1), chunk 2)
+    const input = vectorInput(2049);
+    const { outboard } = await generateBaoOutboard(input);
+    const [left, right] = await Promise.all([
+      generateBaoOutboard(input.subarray(0, 2048)),
+      generateBaoOutboard(input.subarray(2048)),
+    ]);
+    assert.deepEqual(outboard.subarray(8 + 64), left.outboard.subarray(8));
+    assert.equal(outboard.length, 8 + 2 * 64);
+    assert.notDeepEqual(outboard.subarray(8, 40), left.b3hash, "inner nodes hold non-root chaining values");
+    assert.notDeepEqual(outboard.subarray(40, 72), right.b3hash);
+  });
+});
+
+describe("Bao verification", () => {
+  it("verifies ranges and streams of the content", async () => {
+    const input = vectorInput(5121);
+    const { b3hash, outboard } = await generateBaoOutboard(input);
+    assert.equal(verifyBaoRange(input, outboard, b3hash), true);
+    assert.equal(verifyBaoRange(input.subarray(1024, 3072), outboard, b3hash, 1024), true);
+    assert.equal(verifyBaoRange(input.subarray(5120), outboard, b3hash, 5120), true);
+    assert.deepEqual(await collect(verifyBaoStream(input, outboard, b3hash)), input);
+    assert.deepEqual(
+      await collect(verifyBaoStream(input.subarray(2048), outboard, b3hash, { start: 2048 })),
+      input.subarray(2048)
+    );
+
+    const empty = await generateBaoOutboard(Buffer.alloc(0));
+    assert.equal(verifyBaoRange(Buffer.alloc(0), empty.outboard, empty.b3hash), true);
+  });
+
+  it("rejects corrupted content, corrupted nodes and unaligned ranges", async () => {
+    const input = vectorInput(5121);
+    const { b3hash, outboard } = await generateBaoOutboard(input);
+
+    const corrupted = Buffer.from(input);
+    corrupted[3000] ^= 1;
+    assert.throws(() => verifyBaoRange(corrupted, outboard, b3hash), /corrupted chunk at byte 2048/);
+    await assert.rejects(collect(verifyBaoStream(corrupted, outboard, b3hash)), /corrupted chunk at byte 2048/);
+    assert.equal(verifyBaoRange(corrupted.subarray(0, 2048), outboard, b3hash), true);
+
+    const corruptedOutboard = Buffer.from(outboard);
+    corruptedOutboard[8 + 64 + 5] ^= 1;
+    assert.throws(() => verifyBaoRange(input, corruptedOutboard, b3hash), /corrupted tree node/);
+
+    assert.throws(() => verifyBaoRange(input.subarray(1, 1025), outboard, b3hash, 1), /aligned/);
+    assert.throws(() => verifyBaoRange(input, outboard.subarray(0, 72), b3hash), /outboard size/);
+    await assert.rejects(
+      collect(verifyBaoStream(input.subarray(0, 4096), outboard, b3hash)),
+      /stream ended at byte 4096/
+    );
+  });
+});
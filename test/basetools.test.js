@@ -0,0 +1,97 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { encodeBase58BTC, decodeBase58BTC } = require("../src/utils/basetools");
+const { InvalidEncodingError } = require("../src/utils/errors");
+
+const alphabet = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Straightforward Base58btc encoding with one BigInt division per digit, the reference of the tests
+function referenceEncode(bytes) {
+  const zeros = bytes.findIndex((byte) => byte !== 0);
+  if (zeros === -1) {
+    return "1".repeat(bytes.length);
+  }
+  let value = BigInt(`0x${bytes.toString("hex")}`);
+  let digits = "";
+  while (value > 0n) {
+    digits = alphabet[Number(value % 58n)] + digits;
+    value /= 58n;
+  }
+  return "1".repeat(zeros) + digits;
+}
+
+describe("Base58btc", () => {
+  it("encodes the known answers", () => {
+    assert.equal(encodeBase58BTC(Buffer.from("Hello World!")), "2NEpo7TZRRrLZSi2U");
+    assert.equal(encodeBase58BTC(Buffer.from("0000287fb4cd", "hex")), "11233QC4");
+    assert.equal(encodeBase58BTC(Buffer.alloc(0)), "");
+    assert.deepEqual(decodeBase58BTC("11233QC4"), Buffer.from("0000287fb4cd", "hex"));
+  });
+
+  it("round-trips inputs around the 128-byte threshold of the BigInt conversion", () => {
+    for (const length of [1, 2, 100, 127, 128, 129, 130, 255, 256, 257, 1000, 4096]) {
+      for (const zeros of [0, 1, 3]) {
+        const bytes = Buffer.concat([Buffer.alloc(zeros), crypto.randomBytes(length)]);
+        bytes[zeros] |= 1;
+        const encoded = encodeBase58BTC(bytes);
+        assert.equal(encoded, referenceEncode(bytes), `${length} bytes after ${zeros} zeros`);
+        assert.deepEqual(decodeBase58BTC(encoded), bytes, `${length} bytes after ${zeros} zeros`);
+      }
+    }
+  });
+
+  it("round-trips values with long runs of zero and 0xff bytes", () => {
+    for (const length of [128, 129, 200]) {
+      for (const bytes of [
+        Buffer.concat([Buffer.from([1]), Buffer.alloc(length - 1)]),
+        Buffer.alloc(length, 0xff),
+        Buffer.alloc(length),
+      ]) {
+        assert.equal(encodeBase58BTC(bytes), referenceEncode(bytes));
+        assert.deepEqual(decodeBase58BTC(encodeBase58BTC(bytes)), bytes);
+      }
+    }
+  });
+
+  it("splits values next to the powers of 58 used by the Barrett reduction", () => {
+    for (const digits of [300, 1024, 2047, 4096, 6000]) {
+      const power = 58n ** BigInt(digits);
+      for (const [value, expected] of [
+        [power - 1n, "z".repeat(digits)],
+        [power, "2" + "1".repeat(digits)],
+        [power + 1n, "2" + "1".repeat(digits - 1) + "2"],
+      ]) {
+        const hex = value.toString(16);
+        const bytes = Buffer.from(hex.length % 2 === 0 ? hex : `0${hex}`, "hex");
+        assert.equal(encodeBase58BTC(bytes), expected, `58^${digits} ${value - power}`);
+        assert.deepEqual(decodeBase58BTC(expected), bytes, `58^${digits} ${value - power}`);
+      }
+    }
+  });
+
+  it("round-trips large inputs", () => {
+    const bytes = crypto.randomBytes(64 * 1024);
+    bytes[0] |= 1;
+    assert.deepEqual(decodeBase58BTC(encodeBase58BTC(bytes)), bytes);
+  });
+
+  it("decodes strings around the 128-character threshold", () => {
+    for (const length of [127, 128, 129, 136, 137]) {
+      const str = "2" + "z".repeat(length - 1);
+      assert.equal(encodeBase58BTC(decodeBase58BTC(str)), str, `${length} characters`);
+    }
+  });
+
+  it("reports the position of invalid characters", () => {
+    for (const str of ["11O", `1${"2".repeat(200)}0`]) {
+      assert.throws(
+        () => decodeBase58BTC(str),
+        (err) => err instanceof InvalidEncodingError && err.position === str.length - 1
+      );
+    }
+  });
+});
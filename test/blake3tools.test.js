@@ -0,0 +1,120 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  S5Cid,
+  generateTypedCIDFromMHash,
+  generateMHashFromB3hash,
+  convertS5CidToMHash,
+  convertS5CidToB3hashHex,
+} = require("../src/utils/blake3tools");
+const {
+  encodeMultibase,
+  decodeCIDWithPrefixZ,
+  decodeCIDWithPrefixU,
+  decodeCIDWithPrefixB,
+} = require("../src/utils/tools");
+const { InvalidEncodingError, InvalidCidError, UnsupportedCidTypeError } = require("../src/utils/errors");
+const {
+  cidTypeRaw,
+  cidTypeMetadataMedia,
+  cidTypeResolver,
+  cidTypeBridge,
+  cidTypeEncrypted,
+} = require("../src/utils/constants");
+
+const mhash = generateMHashFromB3hash(Buffer.alloc(32, 0xab));
+const publicKey = Buffer.concat([Buffer.from([0xed]), Buffer.alloc(32, 0x11)]);
+
+describe("generateTypedCIDFromMHash", () => {
+  it("generates the CID types that consist of a multihash", () => {
+    assert.deepEqual(
+      generateTypedCIDFromMHash(cidTypeRaw, mhash, 13),
+      Buffer.concat([Buffer.from([cidTypeRaw]), mhash, Buffer.from([13])])
+    );
+    assert.deepEqual(
+      generateTypedCIDFromMHash(cidTypeMetadataMedia, mhash),
+      Buffer.concat([Buffer.from([cidTypeMetadataMedia]), mhash])
+    );
+    assert.equal(S5Cid.fromBytes(generateTypedCIDFromMHash(cidTypeResolver, publicKey)).typeName, "resolver");
+    assert.equal(S5Cid.fromBytes(generateTypedCIDFromMHash(cidTypeBridge, mhash)).typeName, "bridge");
+  });
+
+  it("throws UnsupportedCidTypeError for encrypted and unknown CID types", () => {
+    for (const cidType of [cidTypeEncrypted, 0x00, 0x42]) {
+      assert.throws(
+        () => generateTypedCIDFromMHash(cidType, mhash),
+        (err) => err instanceof UnsupportedCidTypeError && err.cidType === cidType
+      );
+    }
+  });
+
+  it("throws InvalidCidError if the multihash does not fit the CID type", () => {
+    assert.throws(() => generateTypedCIDFromMHash(cidTypeResolver, mhash), InvalidCidError);
+    assert.throws(() => generateTypedCIDFromMHash(cidTypeMetadataMedia, mhash.subarray(0, 20)), InvalidCidError);
+  });
+});
+
+describe("CID string conversions", () => {
+  const rawCid = generateTypedCIDFromMHash(cidTypeRaw, mhash, 13);
+
+  it("accept every multibase, s5:// URIs and surrounding whitespace", () => {
+    for (const name of ["z", "u", "b", "B", "f"]) {
+      const cid = encodeMultibase(rawCid, name);
+      for (const input of [cid, ` ${cid}\n`, `s5://${cid}`]) {
+        assert.deepEqual(convertS5CidToMHash(input), mhash);
+        assert.equal(convertS5CidToB3hashHex(input), "ab".repeat(32));
+      }
+    }
+  });
+
+  it("reject unknown prefixes and invalid characters like the CID parser", () => {
+    const cid = encodeMultibase(rawCid, "z");
+    for (const input of [`x${cid.substring(1)}`, "", `${cid.substring(0, 10)}0${cid.substring(11)}`]) {
+      assert.throws(() => convertS5CidToMHash(input), InvalidCidError);
+      assert.throws(() => convertS5CidToB3hashHex(input), InvalidCidError);
+      assert.throws(() => S5Cid.from(input), InvalidCidError);
+    }
+    assert.throws(
+      () => convertS5CidToB3hashHex(encodeMultibase(generateTypedCIDFromMHash(cidTypeMetadataMedia, mhash), "z")),
+      /not a raw CID/
+    );
+  });
+});
+
+describe("decodeCIDWithPrefixZ/U/B", () => {
+  const rawCid = generateTypedCIDFromMHash(cidTypeRaw, mhash, 13);
+
+  it("decode CIDs with their prefix", () => {
+    assert.deepEqual(decodeCIDWithPrefixZ(encodeMultibase(rawCid, "z")), rawCid);
+    assert.deepEqual(decodeCIDWithPrefixU(encodeMultibase(rawCid, "u")), rawCid);
+    assert.deepEqual(decodeCIDWithPrefixB(encodeMultibase(rawCid, "b")), rawCid);
+    assert.deepEqual(decodeCIDWithPrefixB(encodeMultibase(rawCid, "B")), rawCid);
+  });
+
+  it("throw InvalidEncodingError for a missing or unknown prefix", () => {
+    const cases = [
+      [decodeCIDWithPrefixZ, encodeMultibase(rawCid, "z").substring(1)],
+      [decodeCIDWithPrefixZ, encodeMultibase(rawCid, "u")],
+      [decodeCIDWithPrefixU, encodeMultibase(rawCid, "u").substring(1)],
+      [decodeCIDWithPrefixB, encodeMultibase(rawCid, "z")],
+    ];
+    for (const [decode, input] of cases) {
+      assert.throws(
+        () => decode(input),
+        (err) => err instanceof InvalidEncodingError && err.position === 0
+      );
+    }
+  });
+
+  it("decode strictly", () => {
+    const cid = encodeMultibase(rawCid, "b");
+    assert.throws(() => decodeCIDWithPrefixB(`${cid}1`), InvalidEncodingError);
+    assert.throws(
+      () => decodeCIDWithPrefixZ("z0"),
+      (err) => err instanceof InvalidEncodingError && err.position === 1
+    );
+  });
+});
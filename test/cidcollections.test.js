@@ -0,0 +1,94 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeCid, cidEquals, compareCids, CidMap, CidSet } = require("../src/utils/cidcollections");
+const { S5Cid, generateTypedCIDFromMHash, generateMHashFromB3hash } = require("../src/utils/blake3tools");
+const { encodeMultibase } = require("../src/utils/tools");
+const { cidTypeRaw, cidTypeMetadataMedia } = require("../src/utils/constants");
+
+const rawCid = generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(Buffer.alloc(32, 0xab)), 13);
+const otherCid = generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(Buffer.alloc(32, 0xab)), 14);
+const zCid = encodeMultibase(rawCid, "base58btc");
+
+// The same CID in every form the collections accept
+const forms = {
+  base58btc: zCid,
+  base64url: encodeMultibase(rawCid, "base64url"),
+  base32: encodeMultibase(rawCid, "base32"),
+  "s5:// URI": `s5://${zCid}`,
+  Buffer: rawCid,
+  Uint8Array: new Uint8Array(rawCid),
+  S5Cid: S5Cid.fromBytes(rawCid),
+};
+
+describe("CID normalisation", () => {
+  it("maps every form of a CID to one canonical string", () => {
+    for (const [name, cid] of Object.entries(forms)) {
+      assert.equal(normalizeCid(cid), zCid, name);
+      assert.equal(normalizeCid(cid, "base32"), forms.base32, name);
+    }
+  });
+
+  it("compares CIDs independent of their forms", () => {
+    for (const a of Object.values(forms)) {
+      for (const b of Object.values(forms)) {
+        assert.equal(cidEquals(a, b), true);
+        assert.equal(compareCids(a, b), 0);
+      }
+      assert.equal(cidEquals(a, otherCid), false);
+    }
+    assert.equal(cidEquals("not a CID", zCid), false);
+    assert.equal(cidEquals(zCid, "not a CID"), false);
+  });
+
+  it("orders CIDs by their bytes", () => {
+    const mediaCid = generateTypedCIDFromMHash(cidTypeMetadataMedia, generateMHashFromB3hash(Buffer.alloc(32, 0x01)));
+    const sorted = [encodeMultibase(otherCid, "base32"), zCid, mediaCid].sort(compareCids);
+    // The CID type byte comes first (media 0xc5 after raw 0x26), then the hash and the size
+    assert.deepEqual(
+      sorted.map((cid) => normalizeCid(cid)),
+      [zCid, normalizeCid(otherCid), normalizeCid(mediaCid)]
+    );
+    assert.equal(compareCids(otherCid, forms.base64url), 1);
+    assert.equal(compareCids(forms.S5Cid, otherCid), -1);
+  });
+});
+
+describe("CidMap and CidSet", () => {
+  it("store every form of a CID under one key", () => {
+    const map = new CidMap();
+    const set = new CidSet();
+    for (const [name, cid] of Object.entries(forms)) {
+      map.set(cid, name);
+      set.add(cid);
+    }
+    map.set(otherCid, "other");
+
+    assert.equal(map.size, 2);
+    assert.equal(set.size, 1);
+    for (const cid of Object.values(forms)) {
+      assert.equal(map.get(cid), "S5Cid");
+      assert.equal(map.has(cid), true);
+      assert.equal(set.has(cid), true);
+    }
+    assert.deepEqual(
+      [...map.keys()].map((cid) => cid.toString()),
+      [zCid, normalizeCid(otherCid)]
+    );
+    assert.equal([...set][0] instanceof S5Cid, true);
+    assert.equal(map.has("not a CID"), false);
+    assert.equal(set.has(otherCid), false);
+
+    assert.equal(map.delete(forms.base32), true);
+    assert.equal(map.has(zCid), false);
+    assert.equal(set.delete(forms.Buffer), true);
+    assert.equal(set.size, 0);
+  });
+
+  it("reject invalid CIDs as keys", () => {
+    assert.throws(() => new CidMap([["not a CID", 1]]));
+    assert.throws(() => new CidSet(["not a CID"]));
+  });
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { inspectCid } = require("../src/utils/cidinspect");
+const {
+  S5Cid,
+  generateTypedCIDFromMHash,
+  generateMHashFromB3hash,
+  generateEncryptedCID,
+} = require("../src/utils/blake3tools");
+const { encodeMultibase } = require("../src/utils/tools");
+const { cidTypeRaw, cidTypeMetadataMedia, cidTypeResolver } = require("../src/utils/constants");
+
+const mhash = generateMHashFromB3hash(Buffer.alloc(32, 0xab));
+const rawCid = generateTypedCIDFromMHash(cidTypeRaw, mhash, 13);
+const rawCidString = encodeMultibase(rawCid);
+// A raw CID with a SHA-256 multihash, which S5Cid accepts
+const sha256RawCid = Buffer.concat([Buffer.from([cidTypeRaw, 0x12]), Buffer.alloc(32, 0xcd), Buffer.from([5])]);
+const encryptedCid = generateEncryptedCID({
+  encryptedBlobHash: generateMHashFromB3hash(Buffer.alloc(32, 0x01)),
+  encryptionKey: Buffer.alloc(32, 0x02),
+  originalCid: rawCid,
+});
+
+/**
+ * Tells whether S5Cid accepts an input.
+ *
+ * @param {*} input - The CID input.
+ * @returns {boolean} - True if `S5Cid.from` parses the input.
+ */
+function isAcceptedByS5Cid(input) {
+  try {
+    S5Cid.from(input);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const inputs = {
+  "base58 string": rawCidString,
+  "base32 string": encodeMultibase(rawCid, "base32"),
+  "base64url string": encodeMultibase(rawCid, "base64url"),
+  "leading and trailing whitespace": `  ${rawCidString}\n`,
+  "s5:// URI": `s5://${rawCidString}/index.html`,
+  "gateway path URL": `https://s5.example.com/s5/blob/${rawCidString}`,
+  "gateway subdomain URL": `https://${encodeMultibase(rawCid, "base32")}.s5.example.com/`,
+  "URL without a CID": "https://s5.example.com/about",
+  "raw CID with a SHA-256 multihash": encodeMultibase(sha256RawCid),
+  "raw CID bytes with a SHA-256 multihash": sha256RawCid,
+  "media CID": encodeMultibase(generateTypedCIDFromMHash(cidTypeMetadataMedia, mhash)),
+  "media CID with trailing bytes": encodeMultibase(
+    Buffer.concat([generateTypedCIDFromMHash(cidTypeMetadataMedia, mhash), Buffer.from([0])])
+  ),
+  "resolver CID with a blake3 multihash": encodeMultibase(Buffer.concat([Buffer.from([cidTypeResolver]), mhash])),
+  "encrypted CID": encodeMultibase(encryptedCid),
+  "truncated encrypted CID": encodeMultibase(encryptedCid.subarray(0, 100)),
+  "truncated base58 string": rawCidString.slice(0, 20),
+  "invalid base58 character": `${rawCidString.slice(0, 10)}0${rawCidString.slice(11)}`,
+  "unknown multibase prefix": `x${rawCidString.slice(1)}`,
+  "unknown CID type": encodeMultibase(Buffer.concat([Buffer.from([0x7f]), mhash])),
+  "invalid file size": encodeMultibase(Buffer.concat([rawCid, Buffer.alloc(9, 0xff)])),
+  "empty string": "",
+  "S5Cid object": S5Cid.fromBytes(rawCid),
+  number: 42,
+};
+
+describe("inspectCid", () => {
+  for (const [name, input] of Object.entries(inputs)) {
+    it(`gives the verdict of S5Cid.from for ${name}`, () => {
+      const result = inspectCid(input);
+      assert.equal(result.valid, isAcceptedByS5Cid(input));
+      assert.equal(result.problems.length === 0, result.valid, result.problems.join("; "));
+      assert.equal(result.infos !== null, result.valid);
+    });
+  }
+
+  it("warns about whitespace and other multihashes without rejecting the CID", () => {
+    const padded = inspectCid(` ${rawCidString} `);
+    assert.deepEqual(padded.warnings, ["The input has leading or trailing whitespace, it is ignored"]);
+    assert.equal(padded.size, 13n);
+
+    const sha256 = inspectCid(sha256RawCid);
+    assert.equal(sha256.valid, true);
+    assert.equal(sha256.hashAlgorithm, 0x12);
+    assert.equal(sha256.hashAlgorithmName, null);
+    assert.match(sha256.warnings[0], /multihash type 0x12 for a raw CID/);
+    assert.equal(sha256.size, 5n);
+  });
+
+  it("explains why a CID is rejected", () => {
+    assert.deepEqual(inspectCid(inputs["media CID with trailing bytes"]).problems, [
+      "Bad length for a metadataMedia CID: expected 34 bytes, found 35 (1 unexpected trailing bytes)",
+    ]);
+    assert.deepEqual(inspectCid(inputs["URL without a CID"]).problems, ["No CID found in the URL"]);
+    assert.match(inspectCid(inputs["truncated encrypted CID"]).problems[0], /^Truncated encrypted CID/);
+  });
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const workerThreads = require("worker_threads");
+
+// While set, hashing workers run a script that exits right away instead of the hashing worker
+let crashWorkers = false;
+workerThreads.Worker = class extends workerThreads.Worker {
+  constructor(filename, options) {
+    super(crashWorkers ? "process.exit(3)" : filename, crashWorkers ? { eval: true } : options);
+  }
+};
+
+const { hashDirectory, convertManifestToText } = require("../src/utils/dirhash");
+const { encodeCIDWithPrefixZ } = require("../src/utils/tools");
+
+// Raw CID of "<html></html>" (13 bytes): [cidTypeRaw, mhashBlake3Default, Blake3 hash, size]
+const indexCid = Buffer.from("261f251331e108bcec8fc4573bea4c01c467a8ac0dfe9381f6219061d6d18d87ab950d", "hex");
+
+describe("hashDirectory", () => {
+  let dirPath;
+
+  before(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-dirhash-"));
+    fs.mkdirSync(path.join(dirPath, "sub"));
+    fs.writeFileSync(path.join(dirPath, "index.html"), "<html></html>");
+    fs.writeFileSync(path.join(dirPath, "sub", "a.txt"), "a");
+  });
+
+  after(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  it("hashes every file and reports the progress", async () => {
+    const progress = [];
+    const manifest = await hashDirectory(dirPath, { concurrency: 2, onProgress: (event) => progress.push(event) });
+
+    assert.deepEqual(Object.keys(manifest.files), ["index.html", "sub/a.txt"]);
+    assert.deepEqual(manifest.files["index.html"], {
+      cid: encodeCIDWithPrefixZ(indexCid),
+      size: 13n,
+      mimeType: "text/html",
+    });
+    assert.deepEqual(
+      progress.map(({ completed, total }) => [completed, total]),
+      [
+        [1, 2],
+        [2, 2],
+      ]
+    );
+  });
+
+  it("rejects with the error of a throwing progress callback", async () => {
+    const err = new Error("progress failed");
+    await assert.rejects(
+      hashDirectory(dirPath, {
+        concurrency: 1,
+        onProgress: () => {
+          throw err;
+        },
+      }),
+      (thrown) => thrown === err
+    );
+  });
+
+  it("rejects if a worker exits before it reports its result", async () => {
+    crashWorkers = true;
+    try {
+      await assert.rejects(hashDirectory(dirPath, { concurrency: 2 }), /worker exited with code 3/);
+    } finally {
+      crashWorkers = false;
+    }
+  });
+});
+
+describe("convertManifestToText", () => {
+  it("writes one line per file and escapes paths that would break a line", () => {
+    const file = { cid: "zCID", size: 13n, mimeType: "text/plain" };
+    const manifest = {
+      version: 1,
+      files: {
+        "plain name.txt": file,
+        "two\nlines.txt": file,
+        "carriage\rreturn.txt": file,
+        "back\\slash.txt": { ...file, mimeType: undefined },
+      },
+    };
+
+    assert.equal(
+      convertManifestToText(manifest),
+      "zCID 13 text/plain plain name.txt\n" +
+        "\\zCID 13 text/plain two\\nlines.txt\n" +
+        "\\zCID 13 text/plain carriage\\rreturn.txt\n" +
+        "\\zCID 13 - back\\\\slash.txt\n"
+    );
+  });
+});
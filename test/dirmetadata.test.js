@@ -0,0 +1,81 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  encodeDirectoryMetadata,
+  decodeDirectoryMetadata,
+  buildDirectoryMetadata,
+} = require("../src/utils/dirmetadata");
+const fixtures = require("./fixtures/dirmetadata");
+
+describe("decodeDirectoryMetadata", () => {
+  it("decodes the subdirectory and file references of the reference layout", () => {
+    const metadata = decodeDirectoryMetadata(fixtures.website);
+
+    const photos = metadata.directories.get("photos");
+    assert.equal(photos.name, "photos");
+    assert.equal(photos.created, 1700000000000);
+    assert.deepEqual(photos.publicKey, Buffer.concat([Buffer.from([0xed]), Buffer.alloc(32, 0x11)]));
+    assert.deepEqual(photos.encryptedWriteKey, Buffer.alloc(33, 0x22));
+    assert.equal(photos.encryptionKey, null);
+    assert.equal(photos.cid, undefined);
+
+    const index = metadata.files.get("index.html");
+    assert.equal(index.name, "index.html");
+    assert.equal(index.mimeType, "text/html");
+    assert.equal(index.version, 0);
+    assert.equal(index.timestamp, 1700000123456);
+    assert.deepEqual(index.cid.toBytes(), fixtures.rawCid);
+    assert.equal(index.size, 13n);
+  });
+
+  it("keeps unknown keys, ext, details and extensions", () => {
+    const metadata = decodeDirectoryMetadata(fixtures.notes);
+    const notes = metadata.files.get("notes.txt");
+
+    assert.deepEqual(notes.ext, new Map([["tag", "work"]]));
+    assert.ok(notes.unknown.has(8));
+    assert.equal(notes.mimeType, undefined);
+    assert.deepEqual(metadata.details, new Map([[1, "notes"]]));
+    assert.deepEqual(metadata.extraMetadata, new Map([[18, 1700000123456]]));
+  });
+
+  it("re-encodes the fixtures byte for byte", () => {
+    for (const blob of [fixtures.website, fixtures.notes]) {
+      assert.deepEqual(encodeDirectoryMetadata(decodeDirectoryMetadata(blob)), blob);
+    }
+  });
+
+  it("rejects other metadata types and truncated blobs", () => {
+    assert.throws(() => decodeDirectoryMetadata(Buffer.from([0x5f, 0x02, 0x90])), /metadata type/);
+    assert.throws(() => decodeDirectoryMetadata(fixtures.website.subarray(0, 40)), /Truncated/);
+  });
+});
+
+describe("buildDirectoryMetadata", () => {
+  it("builds a snapshot that references subdirectories by CID", async () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-dirmetadata-"));
+    try {
+      fs.mkdirSync(path.join(dirPath, "sub"));
+      fs.writeFileSync(path.join(dirPath, "index.html"), "<html></html>");
+      fs.writeFileSync(path.join(dirPath, "sub", "a.txt"), "a");
+
+      const result = await buildDirectoryMetadata(dirPath);
+      const sub = result.metadata.directories.get("sub");
+      const subBlob = result.blobs.get(sub.cid);
+      assert.ok(subBlob);
+      assert.deepEqual([...decodeDirectoryMetadata(subBlob).files.keys()], ["a.txt"]);
+
+      assert.deepEqual(result.metadata.files.get("index.html").cid.toBytes(), fixtures.rawCid);
+      assert.deepEqual(encodeDirectoryMetadata(result.metadata), result.blob);
+      assert.equal(result.blobs.size, 2);
+    } finally {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    }
+  });
+});
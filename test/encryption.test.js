@@ -0,0 +1,210 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  encryptXChaCha20Poly1305,
+  decryptXChaCha20Poly1305,
+  encryptFile,
+  decryptFile,
+  decryptFileRange,
+} = require("../src/utils/encryption");
+const { S5Cid } = require("../src/utils/blake3tools");
+
+// Test vector A.3.1 of draft-irtf-cfrg-xchacha-03 (XChaCha20-Poly1305 AEAD)
+const xchachaVector = {
+  plaintext: Buffer.from(
+    "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."
+  ),
+  aad: Buffer.from("50515253c0c1c2c3c4c5c6c7", "hex"),
+  key: Buffer.from("808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f", "hex"),
+  nonce: Buffer.from("404142434445464748494a4b4c4d4e4f5051525354555657", "hex"),
+  ciphertext: Buffer.from(
+    "bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb731c7f1b0b4aa6440bf3a82f4eda7e39" +
+      "ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff9" +
+      "21f9664c97637da9768812f615c68b13b52e",
+    "hex"
+  ),
+  tag: Buffer.from("c0875924c1c7987947deafd8780acf49", "hex"),
+};
+
+// Small chunks, so the test files span several chunks
+const chunkSizeExponent = 10;
+const chunkSize = 2 ** chunkSizeExponent;
+const key = Buffer.alloc(32, 0x42);
+
+describe("XChaCha20-Poly1305", () => {
+  it("matches the known answer of the draft", () => {
+    const { plaintext, aad, nonce, ciphertext, tag } = xchachaVector;
+    const sealed = encryptXChaCha20Poly1305(xchachaVector.key, nonce, plaintext, aad);
+    assert.deepEqual(sealed, Buffer.concat([ciphertext, tag]));
+    assert.deepEqual(decryptXChaCha20Poly1305(xchachaVector.key, nonce, sealed, aad), plaintext);
+  });
+
+  it("rejects a modified ciphertext, tag or additional data", () => {
+    const { plaintext, aad, nonce } = xchachaVector;
+    const sealed = encryptXChaCha20Poly1305(xchachaVector.key, nonce, plaintext, aad);
+    for (const position of [0, plaintext.length - 1, sealed.length - 1]) {
+      const tampered = Buffer.from(sealed);
+      tampered[position] ^= 0x01;
+      assert.throws(() => decryptXChaCha20Poly1305(xchachaVector.key, nonce, tampered, aad), /Could not decrypt/);
+    }
+    assert.throws(() => decryptXChaCha20Poly1305(xchachaVector.key, nonce, sealed, Buffer.from("other")));
+    assert.throws(() => decryptXChaCha20Poly1305(xchachaVector.key, nonce, sealed.subarray(0, 15)), /too short/);
+  });
+});
+
+describe("encryptFile", () => {
+  let dirPath;
+  let plainPath;
+  let encryptedPath;
+  let plaintext;
+  let result;
+
+  before(async () => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-encryption-"));
+    plainPath = path.join(dirPath, "plain.bin");
+    encryptedPath = path.join(dirPath, "plain.bin.enc");
+    // 2.5 chunks, the last chunk is followed by padding
+    plaintext = Buffer.from([...Array(chunkSize * 2 + chunkSize / 2)].map((_, i) => (i * 7) % 251));
+    fs.writeFileSync(plainPath, plaintext);
+    result = await encryptFile(plainPath, encryptedPath, { encryptionKey: key, chunkSizeExponent, padding: 100 });
+  });
+
+  after(() => {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  function listFiles() {
+    return fs.readdirSync(dirPath).sort();
+  }
+
+  it("writes every padded chunk sealed with its index as nonce", () => {
+    const padded = Buffer.concat([plaintext, Buffer.alloc(100)]);
+    const expected = [];
+    for (let index = 0; index * chunkSize < padded.length; index++) {
+      // The nonce is the chunk index, little-endian
+      const nonce = Buffer.alloc(24);
+      nonce.writeUInt32LE(index);
+      expected.push(encryptXChaCha20Poly1305(key, nonce, padded.subarray(index * chunkSize, (index + 1) * chunkSize)));
+    }
+    assert.deepEqual(fs.readFileSync(encryptedPath), Buffer.concat(expected));
+    assert.equal(result.encryptedSize, padded.length + 3 * 16);
+    assert.equal(result.originalSize, plaintext.length);
+  });
+
+  it("decrypts the file and ranges across chunk boundaries", async () => {
+    const decryptedPath = path.join(dirPath, "decrypted.bin");
+    assert.equal(await decryptFile(encryptedPath, decryptedPath, result.encryptedCid), plaintext.length);
+    assert.deepEqual(fs.readFileSync(decryptedPath), plaintext);
+    fs.unlinkSync(decryptedPath);
+
+    const end = plaintext.length;
+    const ranges = [
+      [0, end],
+      [0, 1],
+      [0, chunkSize],
+      [chunkSize - 1, chunkSize + 1],
+      [chunkSize, chunkSize * 2],
+      [chunkSize - 1, chunkSize * 2 + 1],
+      [end - 1, end],
+      [10, 10],
+    ];
+    for (const [start, rangeEnd] of ranges) {
+      assert.deepEqual(
+        await decryptFileRange(encryptedPath, result.encryptedCid, start, rangeEnd),
+        plaintext.subarray(start, rangeEnd),
+        `range ${start}-${rangeEnd}`
+      );
+    }
+    assert.deepEqual(
+      await decryptFileRange(encryptedPath, result.encryptedCid, chunkSize * 2),
+      plaintext.subarray(chunkSize * 2)
+    );
+    // The size of the original CID is a BigInt and can be used as range end
+    const originalSize = S5Cid.from(result.encryptedCid).encryption.originalCid.size;
+    assert.deepEqual(
+      await decryptFileRange(encryptedPath, result.encryptedCid, BigInt(chunkSize), originalSize),
+      plaintext.subarray(chunkSize)
+    );
+  });
+
+  it("rejects ranges outside of the file", async () => {
+    for (const [start, end] of [
+      [-1, 10],
+      [0, plaintext.length + 1],
+      [10, 9],
+      [0.5, 10],
+    ]) {
+      await assert.rejects(
+        decryptFileRange(encryptedPath, result.encryptedCid, start, end),
+        /Invalid decryption range/
+      );
+    }
+  });
+
+  it("rejects tampered and truncated blobs without leaving output behind", async () => {
+    const encrypted = fs.readFileSync(encryptedPath);
+    const brokenPath = path.join(dirPath, "broken.enc");
+    const decryptedPath = path.join(dirPath, "decrypted.bin");
+    const filesBefore = listFiles();
+
+    const tampered = Buffer.from(encrypted);
+    tampered[chunkSize + 16 + 5] ^= 0x80;
+    fs.writeFileSync(brokenPath, tampered);
+    await assert.rejects(decryptFile(brokenPath, decryptedPath, result.encryptedCid), /Could not decrypt/);
+    await assert.rejects(
+      decryptFileRange(brokenPath, result.encryptedCid, chunkSize, chunkSize + 1),
+      /Could not decrypt/
+    );
+    assert.deepEqual(
+      await decryptFileRange(brokenPath, result.encryptedCid, 0, chunkSize),
+      plaintext.subarray(0, chunkSize)
+    );
+
+    // Cut into the last chunk, and cut off the last chunk
+    for (const length of [encrypted.length - 1, 2 * (chunkSize + 16)]) {
+      fs.writeFileSync(brokenPath, encrypted.subarray(0, length));
+      await assert.rejects(
+        decryptFile(brokenPath, decryptedPath, result.encryptedCid),
+        /Could not decrypt|truncated|too short/
+      );
+      await assert.rejects(
+        decryptFileRange(brokenPath, result.encryptedCid, plaintext.length - 1),
+        /Could not decrypt|too short/
+      );
+    }
+
+    fs.unlinkSync(brokenPath);
+    assert.deepEqual(listFiles(), filesBefore);
+  });
+
+  it("does not leave a partial file when encryption fails", async () => {
+    const filesBefore = listFiles();
+    const outputPath = path.join(dirPath, "failed.enc");
+    // Reading a directory fails after the output was opened
+    await assert.rejects(encryptFile(dirPath, outputPath, { chunkSizeExponent }));
+    assert.deepEqual(listFiles(), filesBefore);
+  });
+  it("validates the padding and the chunk size exponent before reading the input", async () => {
+    const filesBefore = listFiles();
+    const missingPath = path.join(dirPath, "missing.bin");
+    const outputPath = path.join(dirPath, "invalid.enc");
+    for (const padding of [-1, 1.5, 2 ** 32, "100", NaN]) {
+      await assert.rejects(encryptFile(missingPath, outputPath, { padding }), /Invalid padding/, String(padding));
+    }
+    for (const exponent of [9, 31, 18.5, -1, "18"]) {
+      await assert.rejects(
+        encryptFile(missingPath, outputPath, { chunkSizeExponent: exponent }),
+        /Invalid chunk size exponent/,
+        String(exponent)
+      );
+    }
+    await assert.rejects(encryptFile(missingPath, outputPath, { padding: 2 ** 32 - 1 }), { code: "ENOENT" });
+    assert.deepEqual(listFiles(), filesBefore);
+  });
+});
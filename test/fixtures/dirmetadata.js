@@ -0,0 +1,63 @@
+"use strict";
+
+// Directory metadata blobs in the layout of the reference implementation (lib5 DirectoryMetadata.serialize,
+// DirectoryReference.encode, FileReference.encode and FileVersion.encode). They are assembled by hand, field by
+// field, and not produced by this library, so they check the decoder and the key order of the encoder.
+
+// Blake3 hash of "<html></html>" (13 bytes), the raw CID is [0x26, 0x1f, hash, 0x0d]
+const hash = "251331e108bcec8fc4573bea4c01c467a8ac0dfe9381f6219061d6d18d87ab95";
+const rawCid = `26 1f ${hash} 0d`;
+
+// 1700000000000 and 1700000123456 as uint64
+const created = "cf 0000018bcfe56800";
+const modified = "cf 0000018bcfe74a40";
+
+const hex = (...parts) => Buffer.from(parts.join("").replace(/\s+/g, ""), "hex");
+
+module.exports = {
+  rawCid: hex(rawCid),
+
+  // A directory with a subdirectory behind a registry key and an HTML file
+  website: hex(
+    "5f 04", // metadataMagicByte, metadataTypeDirectory
+    "94", // [details, directories, files, extraMetadata]
+    "80", // details: {}
+    "81", // directories: 1 entry
+    "a6 70686f746f73", // "photos"
+    "85", // 5 fields
+    "01 a6 70686f746f73", // 1 name: "photos"
+    `02 ${created}`, // 2 created
+    `04 c4 21 ${"22".repeat(33)}`, // 4 encryptedWriteKey
+    `03 c4 21 ed ${"11".repeat(32)}`, // 3 publicKey (multicoded ed25519)
+    "05 c0", // 5 encryptionKey: nil
+    "81", // files: 1 entry
+    "aa 696e6465782e68746d6c", // "index.html"
+    "85", // 5 fields
+    "01 aa 696e6465782e68746d6c", // 1 name: "index.html"
+    `02 ${created}`, // 2 created
+    "04 82", // 4 file: FileVersion with 2 fields
+    `08 ${modified}`, // 8 ts
+    `02 c4 23 ${rawCid}`, // 2 plaintextCID
+    "05 00", // 5 version: 0
+    "06 a9 746578742f68746d6c", // 6 mimeType: "text/html"
+    "80" // extraMetadata: {}
+  ),
+
+  // A file with ext and history (a key this library does not know), directory details and an extension
+  notes: hex(
+    "5f 04",
+    "94",
+    "81 01 a5 6e6f746573", // details: {1: "notes"}
+    "80", // directories: {}
+    "81", // files: 1 entry
+    "a9 6e6f7465732e747874", // "notes.txt"
+    "86", // 6 fields
+    "01 a9 6e6f7465732e747874", // 1 name: "notes.txt"
+    `02 ${created}`, // 2 created
+    `04 82 08 ${modified} 02 c4 23 ${rawCid}`, // 4 file
+    "05 01", // 5 version: 1
+    "07 81 a3 746167 a4 776f726b", // 7 ext: {"tag": "work"}
+    `08 81 00 82 08 ${created} 02 c4 23 ${rawCid}`, // 8 history: {0: FileVersion}
+    `81 12 ${modified}` // extraMetadata: {18 (metadataExtensionTimestamp): 1700000123456}
+  ),
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+// Child process of test/hashcache.test.js, shares a hash cache with other processes.
+// save <cachePath> <staleLockMs> <file>...: hashes the files and saves the cache after every file
+// hold <cachePath> <staleLockMs> <file> <holdMs>: adds an entry while holding the lock for holdMs
+
+const { HashCache } = require("../../src/utils/hashcache");
+
+async function main() {
+  const [mode, cachePath, staleLockMs, ...args] = process.argv.slice(2);
+  const cache = new HashCache(cachePath, { staleLockMs: Number(staleLockMs) });
+
+  if (mode === "save") {
+    for (const filePath of args) {
+      await cache.getB3hash(filePath);
+      await cache.save();
+    }
+  } else if (mode === "hold") {
+    const [filePath, holdMs] = args;
+    await cache.getB3hash(filePath);
+    await cache.withLock(async () => {
+      process.send("locked");
+      const entries = await cache.readEntries();
+      await new Promise((resolve) => setTimeout(resolve, Number(holdMs)));
+      await cache.writeEntries({ ...entries, ...Object.fromEntries(cache.changes) });
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
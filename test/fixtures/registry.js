@@ -0,0 +1,49 @@
+"use strict";
+
+// Registry entries produced with the signing and serialization code of the reference implementation:
+// signRegistryEntry, serializeRegistryEntry and encodeEndian of @lumeweb/libs5 0.1.0-develop.60
+// (lib/service/registry.js, lib/util.js) on top of @noble/curves ed25519, run with the key pair below.
+// Revisions stay below 2^31, libs5 encodes larger revisions wrongly.
+
+// ed25519 seed 0x01..0x20 and its multicoded public key
+const seed = Buffer.from("0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20", "hex");
+const publicKey = Buffer.from("ed79b5562e8fe654f94078b112e8a98ba7901f853ae695bed7e0e3910bad049664", "hex");
+
+const entries = [
+  {
+    revision: 0,
+    data: "",
+    signature:
+      "b6418ee6508727a180b6fea8dbc9b3f955ecf9c18361df615ed580010dee71c4cb2f0b0569c338854af87b6134005903f99ee10815867a1c21ac0e21f3219900",
+    serialized:
+      "07ed79b5562e8fe654f94078b112e8a98ba7901f853ae695bed7e0e3910bad049664000000000000000000b6418ee6508727a180b6fea8dbc9b3f955ecf9c18361df615ed580010dee71c4cb2f0b0569c338854af87b6134005903f99ee10815867a1c21ac0e21f3219900",
+  },
+  {
+    revision: 1,
+    data: "68656c6c6f207335",
+    signature:
+      "0676ae56a79bed840c3127c7e7c1a9ea9b941bbb8da3ef564bb9f7801300a844083558c48fe15761fedeccdaf133020b7a4253e90594d18340e543fd0ef5da01",
+    serialized:
+      "07ed79b5562e8fe654f94078b112e8a98ba7901f853ae695bed7e0e3910bad04966401000000000000000868656c6c6f2073350676ae56a79bed840c3127c7e7c1a9ea9b941bbb8da3ef564bb9f7801300a844083558c48fe15761fedeccdaf133020b7a4253e90594d18340e543fd0ef5da01",
+  },
+  {
+    // registryS5MagicByte followed by a raw CID (zero hash, 13 bytes)
+    revision: 1234567890,
+    data: "5a261f00000000000000000000000000000000000000000000000000000000000000000d",
+    signature:
+      "e5a9caa0abf58dc83842a3c6a78c73ade4984ecc374d41b2b33a62f560fbe8680bccb9c18a13a3c0ec85289636f5d5d087197d3cf8d3c86ddec8b29271e3a205",
+    serialized:
+      "07ed79b5562e8fe654f94078b112e8a98ba7901f853ae695bed7e0e3910bad049664d202964900000000245a261f00000000000000000000000000000000000000000000000000000000000000000de5a9caa0abf58dc83842a3c6a78c73ade4984ecc374d41b2b33a62f560fbe8680bccb9c18a13a3c0ec85289636f5d5d087197d3cf8d3c86ddec8b29271e3a205",
+  },
+].map((entry) => ({
+  revision: entry.revision,
+  data: Buffer.from(entry.data, "hex"),
+  signature: Buffer.from(entry.signature, "hex"),
+  serialized: Buffer.from(entry.serialized, "hex"),
+}));
+
+module.exports = {
+  seed,
+  publicKey,
+  entries,
+};
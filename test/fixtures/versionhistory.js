@@ -0,0 +1,65 @@
+"use strict";
+
+// Builds the metadata versions and registry entries of the version history tests
+// on a local fetcher: blobs in a CidMap, registry entries by public key.
+
+const { S5Cid } = require("../../src/utils/blake3tools");
+const { CidMap } = require("../../src/utils/cidcollections");
+const { MediaMetadata } = require("../../src/utils/mediametadata");
+const { signRegistryEntry, encodeRegistryEntryCid } = require("../../src/utils/registry");
+const { generateResolverCID } = require("../../src/utils/resolver");
+
+// ed25519 seed of the update CID
+const updateKey = Buffer.alloc(32, 0x05);
+
+/**
+ * Creates a local fetcher with the blobs and registry entries of a test.
+ *
+ * @returns {Object} - The fetcher with `getBlob`, `getRegistryEntry` and the helpers below.
+ */
+function createFetcher() {
+  const blobs = new CidMap();
+  const registry = new Map();
+  let revision = 0;
+
+  return {
+    blobs,
+    updateCID: S5Cid.fromBytes(generateResolverCID(signRegistryEntry(updateKey, Buffer.alloc(0), 0).pk)),
+
+    getBlob: async (cid) => (blobs.has(cid) ? blobs.get(cid) : null),
+    getRegistryEntry: async (pk) => registry.get(Buffer.from(pk).toString("hex")) || null,
+
+    /**
+     * Stores a media metadata version.
+     *
+     * @param {string} name - The name of the version.
+     * @param {Object} [extensions] - `timestamp`, `previousVersions` and `updateCID`.
+     * @param {boolean} [store=true] - False to leave the blob out, so the version is missing.
+     * @returns {Promise<S5Cid>} - The CID of the version.
+     */
+    async addVersion(name, extensions = {}, store = true) {
+      const metadata = new MediaMetadata({ name });
+      Object.assign(metadata.extensions, extensions);
+      const cid = S5Cid.fromBytes(await metadata.generateCID());
+      if (store) {
+        blobs.set(cid, metadata.toBytes());
+      }
+      return cid;
+    },
+
+    /**
+     * Points the update CID to a version, or deletes it with null.
+     *
+     * @param {S5Cid|null} cid - The target version.
+     */
+    setUpdate(cid) {
+      const data = cid !== null ? encodeRegistryEntryCid(cid) : Buffer.alloc(0);
+      const entry = signRegistryEntry(updateKey, data, revision++);
+      registry.set(entry.pk.toString("hex"), entry);
+    },
+  };
+}
+
+module.exports = {
+  createFetcher,
+};
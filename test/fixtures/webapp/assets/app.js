@@ -0,0 +1 @@
+console.log("s5 test app");
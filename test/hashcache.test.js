@@ -0,0 +1,178 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { fork } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { HashCache } = require("../src/utils/hashcache");
+const { calculateB3hashFromFile } = require("../src/utils/blake3tools");
+
+const workerPath = path.join(__dirname, "fixtures", "hashcache-worker.js");
+
+function runWorker(args, onMessage) {
+  return new Promise((resolve, reject) => {
+    const child = fork(workerPath, args, { stdio: ["ignore", "inherit", "inherit", "ipc"] });
+    if (onMessage) {
+      child.on("message", onMessage);
+    }
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`Worker exited with code ${code}`))));
+  });
+}
+
+function withTempDir(fn) {
+  return async () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-hashcache-"));
+    try {
+      await fn(dirPath);
+    } finally {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    }
+  };
+}
+
+function writeFiles(dirPath, prefix, count) {
+  const filePaths = [];
+  for (let i = 0; i < count; i++) {
+    const filePath = path.join(dirPath, `${prefix}-${i}.txt`);
+    fs.writeFileSync(filePath, `${prefix} ${i}`);
+    filePaths.push(filePath);
+  }
+  return filePaths;
+}
+
+async function readCachedPaths(cachePath) {
+  return Object.keys(await new HashCache(cachePath).readEntries()).sort();
+}
+
+describe("HashCache", () => {
+  it(
+    "keeps the entries of processes saving concurrently",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const groups = ["a", "b", "c", "d"].map((prefix) => writeFiles(dirPath, prefix, 8));
+
+      await Promise.all(groups.map((filePaths) => runWorker(["save", cachePath, "10000", ...filePaths])));
+
+      assert.deepEqual(await readCachedPaths(cachePath), groups.flat().sort());
+      assert.equal(fs.existsSync(`${cachePath}.lock`), false);
+    })
+  );
+
+  it(
+    "waits for a lock that is refreshed longer than the stale lock time",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const [heldFile, savedFile] = writeFiles(dirPath, "f", 2);
+
+      let holder;
+      const locked = new Promise((resolve) => {
+        holder = runWorker(["hold", cachePath, "400", heldFile, "1500"], resolve);
+      });
+      await locked;
+
+      const cache = new HashCache(cachePath, { staleLockMs: 400 });
+      await cache.getB3hash(savedFile);
+      await cache.save();
+      await holder;
+
+      assert.deepEqual(await readCachedPaths(cachePath), [heldFile, savedFile].sort());
+    })
+  );
+
+  it(
+    "removes a stale lock of a crashed process",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const [filePath] = writeFiles(dirPath, "f", 1);
+      const lockPath = `${cachePath}.lock`;
+      fs.writeFileSync(lockPath, "1:crashed");
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, past, past);
+
+      const cache = new HashCache(cachePath);
+      await cache.getB3hash(filePath);
+      await cache.save();
+
+      assert.deepEqual(await readCachedPaths(cachePath), [filePath]);
+      assert.equal(fs.existsSync(lockPath), false);
+    })
+  );
+
+  it(
+    "does not remove the lock of another process on release",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const lockPath = `${cachePath}.lock`;
+      const cache = new HashCache(cachePath);
+
+      await assert.rejects(
+        cache.withLock(async () => {
+          // Another process took over the lock, e.g. after this one was suspended
+          fs.unlinkSync(lockPath);
+          fs.writeFileSync(lockPath, "1:other");
+          await cache.writeEntries({});
+        }),
+        /Lost the lock/
+      );
+      assert.equal(fs.readFileSync(lockPath, "utf8"), "1:other");
+    })
+  );
+
+  it(
+    "prunes entries of deleted and changed files",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const [kept, deleted, changed] = writeFiles(dirPath, "f", 3);
+      const cache = new HashCache(cachePath);
+      for (const filePath of [kept, deleted, changed]) {
+        await cache.getB3hash(filePath);
+      }
+      await cache.save();
+
+      fs.unlinkSync(deleted);
+      fs.writeFileSync(changed, "changed content");
+
+      assert.equal(await cache.prune(), 2);
+      assert.deepEqual(await readCachedPaths(cachePath), [kept]);
+    })
+  );
+
+  it(
+    "keeps unsaved hashes when pruning",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const [saved, deleted, unsaved] = writeFiles(dirPath, "f", 3);
+      const cache = new HashCache(cachePath);
+      await cache.getB3hash(saved);
+      await cache.getB3hash(deleted);
+      await cache.save();
+
+      await cache.getB3hash(unsaved);
+      fs.unlinkSync(deleted);
+
+      assert.equal(await cache.prune(), 1);
+      assert.deepEqual(await readCachedPaths(cachePath), [saved, unsaved].sort());
+      assert.equal(cache.changes.size, 0);
+    })
+  );
+
+  it(
+    "generates the CID with the size of the hashed content",
+    withTempDir(async (dirPath) => {
+      const cachePath = path.join(dirPath, "cache.json");
+      const [filePath] = writeFiles(dirPath, "f", 1);
+      const cache = new HashCache(cachePath);
+      await cache.getB3hash(filePath);
+
+      // The file changes again while it is rehashed, so the outdated entry stays in memory
+      fs.writeFileSync(filePath, "a longer content");
+      cache.hashAndStore = (absolutePath) => calculateB3hashFromFile(absolutePath);
+      const fresh = await new HashCache(path.join(dirPath, "other.json")).generateCID(filePath);
+      assert.deepEqual(await cache.generateCID(filePath), fresh);
+    })
+  );
+});
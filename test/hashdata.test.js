@@ -0,0 +1,157 @@
+"use strict";
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const {
+  calculateB3hashFromData,
+  generateCIDFromData,
+  generateCIDFromMHashAndSize,
+  generateMHashFromB3hash,
+  generateTypedCIDFromMHash,
+  verifyContentAgainstCid,
+  S5Cid,
+} = require("../src/utils/blake3tools");
+const { cidTypeMetadataMedia } = require("../src/utils/constants");
+
+// BLAKE3 known answer of "abc"
+const abcHash = "6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85";
+const content = Buffer.from("The quick brown fox jumps over the lazy dog");
+const chunks = [content.subarray(0, 10), content.subarray(10, 11), content.subarray(11)];
+
+/**
+ * Yields the chunks asynchronously.
+ *
+ * @param {Buffer[]} parts - The chunks.
+ * @returns {AsyncGenerator<Buffer>} - The chunks.
+ */
+async function* generateChunks(parts) {
+  for (const part of parts) {
+    yield part;
+  }
+}
+
+const inputs = {
+  Buffer: () => content,
+  Uint8Array: () => new Uint8Array(content),
+  "Readable stream": () => Readable.from(chunks),
+  "WHATWG ReadableStream": () => Readable.toWeb(Readable.from(chunks)),
+  "async iterable": () => generateChunks(chunks),
+  "iterable of chunks": () => chunks,
+};
+
+describe("calculateB3hashFromData", () => {
+  it("matches the known answer", async () => {
+    const { b3hash, size } = await calculateB3hashFromData(Buffer.from("abc"));
+    assert.equal(b3hash.toString("hex"), abcHash);
+    assert.equal(size, 3n);
+  });
+
+  for (const [name, createInput] of Object.entries(inputs)) {
+    it(`hashes a ${name} like the whole buffer`, async () => {
+      const expected = await calculateB3hashFromData(content);
+      assert.deepEqual(await calculateB3hashFromData(createInput()), expected);
+      assert.deepEqual(
+        await generateCIDFromData(createInput()),
+        generateCIDFromMHashAndSize(generateMHashFromB3hash(expected.b3hash), content.length)
+      );
+    });
+  }
+
+  it("hashes empty inputs", async () => {
+    const empty = await calculateB3hashFromData(Buffer.alloc(0));
+    assert.equal(empty.size, 0n);
+    assert.deepEqual(await calculateB3hashFromData(generateChunks([])), empty);
+  });
+
+  it("rejects inputs that are not data sources", async () => {
+    for (const input of ["abc", 42, null, {}]) {
+      await assert.rejects(calculateB3hashFromData(input), /Unsupported data input/);
+    }
+  });
+});
+
+describe("verifyContentAgainstCid", () => {
+  let cid;
+  let expectedHash;
+
+  before(async () => {
+    const { b3hash } = await calculateB3hashFromData(content);
+    expectedHash = b3hash.toString("hex");
+    cid = generateCIDFromMHashAndSize(generateMHashFromB3hash(b3hash), content.length);
+  });
+
+  it("accepts the content from every input form", async () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-verify-"));
+    try {
+      const filePath = path.join(dirPath, "content.txt");
+      fs.writeFileSync(filePath, content);
+      for (const [name, createInput] of Object.entries({ ...inputs, "file path": () => filePath })) {
+        const result = await verifyContentAgainstCid(cid, createInput());
+        assert.equal(result.valid, true, name);
+        assert.equal(result.hashMatch, true, name);
+        assert.equal(result.sizeMatch, true, name);
+        assert.equal(result.actualHash, expectedHash, name);
+        assert.equal(result.actualSize, BigInt(content.length), name);
+      }
+    } finally {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    }
+  });
+
+  it("reports a hash mismatch of content with the right size", async () => {
+    const changed = Buffer.from(content);
+    changed[0] ^= 1;
+    for (const input of [changed, Readable.from([changed]), generateChunks([changed])]) {
+      const result = await verifyContentAgainstCid(cid, input);
+      assert.equal(result.valid, false);
+      assert.equal(result.hashMatch, false);
+      assert.equal(result.sizeMatch, true);
+      assert.equal(result.expectedHash, expectedHash);
+      assert.notEqual(result.actualHash, expectedHash);
+    }
+  });
+
+  it("stops reading as soon as the content is too long", async () => {
+    let pulled = 0;
+    async function* endless() {
+      for (;;) {
+        pulled++;
+        yield content.subarray(0, 16);
+      }
+    }
+    const result = await verifyContentAgainstCid(cid, endless());
+    assert.equal(result.valid, false);
+    assert.equal(result.sizeMatch, false);
+    assert.equal(result.actualHash, null);
+    assert.equal(result.actualSize, 48n);
+    assert.equal(pulled, 3);
+
+    const stream = Readable.from(endless());
+    await verifyContentAgainstCid(cid, stream);
+    assert.equal(stream.destroyed, true);
+  });
+
+  it("reports a size mismatch of a buffer without hashing it", async () => {
+    const result = await verifyContentAgainstCid(cid, content.subarray(1));
+    assert.equal(result.sizeMatch, false);
+    assert.equal(result.actualHash, null);
+    assert.equal(result.actualSize, BigInt(content.length - 1));
+
+    const shorter = await verifyContentAgainstCid(cid, generateChunks([content.subarray(1)]));
+    assert.equal(shorter.sizeMatch, false);
+    assert.equal(shorter.hashMatch, false);
+  });
+
+  it("checks only the hash of CIDs without a size", async () => {
+    const mediaCid = generateTypedCIDFromMHash(cidTypeMetadataMedia, S5Cid.fromBytes(cid).mhash);
+    const result = await verifyContentAgainstCid(mediaCid, content);
+    assert.equal(result.valid, true);
+    assert.equal(result.sizeMatch, null);
+    assert.equal(result.expectedSize, null);
+  });
+});
@@ -0,0 +1,127 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MediaMetadata } = require("../src/utils/mediametadata");
+const { encodeMetadataBlob, decodeMetadataBlob } = require("../src/utils/metadata");
+const { S5Cid, generateTypedCIDFromMHash, generateMHashFromB3hash } = require("../src/utils/blake3tools");
+const {
+  cidTypeMetadataMedia,
+  cidTypeUserIdentity,
+  metadataTypeMedia,
+  parentLinkTypeUserIdentity,
+} = require("../src/utils/constants");
+
+const mediaCid = generateTypedCIDFromMHash(cidTypeMetadataMedia, generateMHashFromB3hash(Buffer.alloc(32, 0xab)));
+
+/**
+ * Generates a user identity CID with a fixed hash.
+ *
+ * @param {number} hashByte - The byte the hash is filled with.
+ * @returns {S5Cid} - The identity CID.
+ */
+function generateIdentityCid(hashByte) {
+  return S5Cid.fromBytes(
+    generateTypedCIDFromMHash(cidTypeUserIdentity, generateMHashFromB3hash(Buffer.alloc(32, hashByte)))
+  );
+}
+
+describe("MediaMetadata parent links", () => {
+  it("links a media object to a user identity and keeps the link in a round trip", () => {
+    const identityCid = generateIdentityCid(0x11);
+    const metadata = new MediaMetadata({ name: "talk" });
+    metadata.addIdentityParent(identityCid.toString(), { role: "publisher", signed: true });
+
+    const blob = metadata.toBytes();
+    const parents = decodeMetadataBlob(blob, metadataTypeMedia)[2];
+    assert.deepEqual(parents, [
+      new Map([
+        [0, parentLinkTypeUserIdentity],
+        [1, identityCid.toBytes()],
+        [2, "publisher"],
+        [3, true],
+      ]),
+    ]);
+
+    const decoded = MediaMetadata.fromBytes(blob);
+    assert.deepEqual(
+      decoded.identityParents.map((cid) => cid.toString()),
+      [identityCid.toString()]
+    );
+    assert.equal(decoded.parents[0].role, "publisher");
+    assert.equal(decoded.parents[0].signed, true);
+    assert.deepEqual(decoded.toBytes(), blob);
+  });
+
+  it("replaces the link to the same identity and keeps links to other identities", () => {
+    const first = generateIdentityCid(0x11);
+    const second = generateIdentityCid(0x22);
+    const metadata = new MediaMetadata();
+    metadata.addIdentityParent(first, { signed: true });
+    metadata.addIdentityParent(second);
+    metadata.addIdentityParent(first, { role: "editor" });
+
+    assert.equal(metadata.parents.length, 2);
+    assert.equal(metadata.parents[0].role, "editor");
+    assert.equal(metadata.parents[0].signed, false);
+    assert.deepEqual(
+      metadata.identityParents.map((cid) => cid.toString()),
+      [first.toString(), second.toString()]
+    );
+    // Unsigned links leave out the signed key
+    assert.deepEqual([...decodeMetadataBlob(metadata.toBytes(), metadataTypeMedia)[2][1].keys()], [0, 1]);
+  });
+
+  it("rejects identity links to other CID types", () => {
+    const metadata = new MediaMetadata();
+    assert.throws(() => metadata.addIdentityParent(mediaCid), /expected a user identity CID/);
+    assert.throws(
+      () => new MediaMetadata({ parents: [{ type: parentLinkTypeUserIdentity, cid: mediaCid }] }),
+      /expected a user identity CID/
+    );
+  });
+
+  it("keeps other link types and unknown keys", () => {
+    const link = new Map([
+      [0, 5],
+      [1, mediaCid],
+      [9, "future"],
+    ]);
+    const blob = encodeMetadataBlob(metadataTypeMedia, ["board post", new Map(), [link], new Map(), null, new Map()]);
+
+    const decoded = MediaMetadata.fromBytes(blob);
+    assert.equal(decoded.parents[0].type, 5);
+    assert.deepEqual(decoded.identityParents, []);
+    assert.deepEqual(decoded.toBytes(), blob);
+  });
+
+  it("keeps parent links in another layout unchanged", () => {
+    const identityCid = generateIdentityCid(0x11);
+    const others = [
+      new Map([[0, parentLinkTypeUserIdentity]]),
+      new Map([
+        [0, parentLinkTypeUserIdentity],
+        [1, Buffer.from([1, 2, 3])],
+      ]),
+      [parentLinkTypeUserIdentity, identityCid.toBytes()],
+      "parent",
+    ];
+    const blob = encodeMetadataBlob(metadataTypeMedia, ["", new Map(), others, new Map(), null, new Map()]);
+
+    const decoded = MediaMetadata.fromBytes(blob);
+    assert.deepEqual(
+      decoded.parents.map((link) => link.raw),
+      others
+    );
+    assert.deepEqual(decoded.identityParents, []);
+    assert.deepEqual(decoded.toBytes(), blob);
+
+    decoded.addIdentityParent(identityCid);
+    assert.equal(decoded.parents.length, 5);
+    assert.deepEqual(
+      decoded.identityParents.map((cid) => cid.toString()),
+      [identityCid.toString()]
+    );
+  });
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createSignatureProof,
+  encodeMetadataProofs,
+  decodeMetadataProofs,
+  verifyMetadataProofs,
+  signMetadata,
+} = require("../src/utils/metadataproofs");
+const { encodeMetadataBlob } = require("../src/utils/metadata");
+const {
+  metadataMagicByte,
+  metadataTypeWebApp,
+  metadataTypeProofs,
+  metadataProofTypeSignature,
+  metadataProofTypeTimestamp,
+  mhashBlake3Default,
+} = require("../src/utils/constants");
+const fixtures = require("./fixtures/registry");
+
+const blob = encodeMetadataBlob(metadataTypeWebApp, ["test app", ["index.html"], new Map(), new Map(), new Map()]);
+const otherSeed = Buffer.alloc(32, 0x42);
+
+describe("metadata proofs", () => {
+  it("signs metadata and verifies the signer", async () => {
+    const signed = await signMetadata(blob, fixtures.seed);
+    assert.deepEqual(signed.subarray(0, 2), Buffer.from([metadataMagicByte, metadataTypeProofs]));
+
+    const { proofs, blob: decodedBlob } = decodeMetadataProofs(signed);
+    assert.deepEqual(decodedBlob, blob);
+    assert.equal(proofs.length, 1);
+    assert.equal(proofs[0].type, metadataProofTypeSignature);
+    assert.equal(proofs[0].mhashType, mhashBlake3Default);
+    assert.deepEqual(proofs[0].publicKey, fixtures.publicKey);
+
+    const result = await verifyMetadataProofs(signed);
+    assert.deepEqual(result.blob, blob);
+    assert.deepEqual(result.signers, [fixtures.publicKey]);
+    assert.equal(result.hasTimestamp, false);
+    assert.deepEqual(result.invalidProofs, []);
+  });
+
+  it("appends a second signature and keeps the first", async () => {
+    const signed = await signMetadata(await signMetadata(blob, fixtures.seed), otherSeed);
+    const { signers } = await verifyMetadataProofs(signed);
+    const otherProof = await createSignatureProof(blob, otherSeed);
+    assert.deepEqual(signers, [fixtures.publicKey, otherProof.publicKey]);
+    assert.deepEqual(decodeMetadataProofs(signed).proofs[1], otherProof);
+  });
+
+  it("moves the signature of a tampered blob into the invalid proofs", async () => {
+    const signed = await signMetadata(blob, fixtures.seed);
+    const tampered = Buffer.from(signed);
+    tampered[tampered.length - 1] ^= 1;
+
+    const result = await verifyMetadataProofs(tampered);
+    assert.deepEqual(result.signers, []);
+    assert.equal(result.invalidProofs.length, 1);
+    assert.deepEqual(result.invalidProofs[0].publicKey, fixtures.publicKey);
+  });
+
+  it("lists a signer with several signatures once", async () => {
+    const proof = await createSignatureProof(blob, fixtures.seed);
+    const result = await verifyMetadataProofs(encodeMetadataProofs(blob, [proof, proof]));
+    assert.deepEqual(result.signers, [fixtures.publicKey]);
+    assert.deepEqual(result.invalidProofs, []);
+  });
+
+  it("detects timestamp proofs", async () => {
+    const timestamp = { type: metadataProofTypeTimestamp, mhashType: mhashBlake3Default, proof: Buffer.from("ots") };
+    const bytes = encodeMetadataProofs(blob, [timestamp]);
+    assert.deepEqual(decodeMetadataProofs(bytes).proofs, [timestamp]);
+    assert.equal((await verifyMetadataProofs(bytes)).hasTimestamp, true);
+
+    const empty = encodeMetadataProofs(blob, [{ ...timestamp, proof: Buffer.alloc(0) }]);
+    const result = await verifyMetadataProofs(empty);
+    assert.equal(result.hasTimestamp, false);
+    assert.equal(result.invalidProofs.length, 1);
+  });
+
+  it("round-trips proofs of unknown types as raw", async () => {
+    const unknown = [9, mhashBlake3Default, "future proof"];
+    const bytes = encodeMetadataProofs(blob, [{ type: 9, raw: unknown }]);
+    const { proofs } = decodeMetadataProofs(bytes);
+    assert.deepEqual(proofs, [{ type: 9, raw: unknown }]);
+    assert.deepEqual(encodeMetadataProofs(blob, proofs), bytes);
+    assert.deepEqual((await verifyMetadataProofs(bytes)).invalidProofs, proofs);
+
+    // signMetadata keeps them
+    const signed = await signMetadata(bytes, fixtures.seed);
+    assert.deepEqual(decodeMetadataProofs(signed).proofs[0], { type: 9, raw: unknown });
+  });
+
+  it("rejects proof sections over 65535 bytes", () => {
+    const timestamp = {
+      type: metadataProofTypeTimestamp,
+      mhashType: mhashBlake3Default,
+      proof: Buffer.alloc(0x10000),
+    };
+    assert.throws(() => encodeMetadataProofs(blob, [timestamp]), /the maximum is 65535 bytes/);
+  });
+
+  it("rejects blobs that are not metadata or already have proofs", async () => {
+    const signed = await signMetadata(blob, fixtures.seed);
+    assert.throws(() => encodeMetadataProofs(Buffer.from("not metadata"), []), /Invalid metadata blob/);
+    assert.throws(() => encodeMetadataProofs(signed, []), /Invalid metadata blob/);
+    assert.throws(() => decodeMetadataProofs(blob), /expected metadataTypeProofs/);
+
+    const truncated = Buffer.from(signed.subarray(0, 10));
+    assert.throws(() => decodeMetadataProofs(truncated), /the proof section is truncated/);
+  });
+});
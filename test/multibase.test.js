@@ -0,0 +1,129 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const {
+  registerMultibase,
+  encodeMultibase,
+  decodeMultibase,
+  detectMultibase,
+  convertMultibase,
+  convertB58btcToB32rfcCid,
+  convertB32rfcToB58btcCid,
+  convertB64urlToB58btcCid,
+  convertB58btcToB64urlCid,
+  convertB64urlToB32rfcCid,
+  convertB32rfcToB64urlCid,
+  convertDownloadDirectoryInputCid,
+} = require("../src/utils/tools");
+const { InvalidEncodingError } = require("../src/utils/errors");
+
+// Test vectors of the multibase specification for "yes mani !" and the same bytes after a zero byte
+// (leading zeros in Base58 are covered by the Base58 tests)
+const vectors = {
+  base16: ["f796573206d616e692021", "f00796573206d616e692021"],
+  base32: ["bpfsxgidnmfxgsibb", "bab4wk4zanvqw42jaee"],
+  base32upper: ["BPFSXGIDNMFXGSIBB", "BAB4WK4ZANVQW42JAEE"],
+  base32hex: ["vf5in683dc5n6i811", "v01smasp0dlgmsq9044"],
+  base36: ["k2lcpzo5yikidynfl", "k02lcpzo5yikidynfl"],
+  base58btc: ["z7paNL19xttacUY", null],
+  base64url: ["ueWVzIG1hbmkgIQ", "uAHllcyBtYW5pICE"],
+};
+const text = Buffer.from("yes mani !");
+const zeroText = Buffer.concat([Buffer.alloc(1), text]);
+
+describe("multibase registry", () => {
+  for (const [name, [encoded, zeroEncoded]] of Object.entries(vectors)) {
+    it(`encodes, detects and decodes ${name}`, () => {
+      assert.equal(encodeMultibase(text, name), encoded);
+      if (zeroEncoded !== null) {
+        assert.equal(encodeMultibase(zeroText, name), zeroEncoded);
+        assert.deepEqual(decodeMultibase(zeroEncoded), zeroText);
+      }
+      assert.equal(detectMultibase(encoded), name);
+      assert.deepEqual(decodeMultibase(encoded), text);
+    });
+  }
+
+  it("converts between every pair of bases", () => {
+    const bytes = crypto.randomBytes(38);
+    bytes[0] |= 1;
+    const names = Object.keys(vectors);
+    for (const from of names) {
+      for (const to of names) {
+        assert.equal(
+          convertMultibase(encodeMultibase(bytes, from), to),
+          encodeMultibase(bytes, to),
+          `${from} to ${to}`
+        );
+      }
+    }
+  });
+
+  it("registers additional codecs and keeps prefixes unique", () => {
+    registerMultibase(
+      "base2",
+      "0",
+      (bytes) => [...bytes].map((byte) => byte.toString(2).padStart(8, "0")).join(""),
+      (str) => Buffer.from(str.match(/.{8}/g).map((bits) => parseInt(bits, 2)))
+    );
+    assert.equal(encodeMultibase(Buffer.from("yes"), "base2"), "0011110010110010101110011");
+    assert.equal(convertMultibase("0011110010110010101110011", "base16"), "f796573");
+    assert.deepEqual(decodeMultibase(convertMultibase("f796573", "0")), Buffer.from("yes"));
+
+    assert.throws(() => registerMultibase("other", "z", String, Buffer.from), /already used by base58btc/);
+    assert.throws(() => registerMultibase("other", "zz", String, Buffer.from), /Invalid multibase prefix/);
+    assert.throws(() => encodeMultibase(text, "base1024"), /Unsupported multibase/);
+  });
+});
+
+describe("strict multibase decoding", () => {
+  const bytes = Buffer.from("0000287fb4cd", "hex");
+
+  it("rejects characters of the other case in single-case bases", () => {
+    assert.deepEqual(decodeMultibase("f0000287FB4CD"), bytes);
+    assert.throws(
+      () => decodeMultibase("f0000287FB4CD", { strict: true }),
+      (err) => err instanceof InvalidEncodingError && err.encoding === "base16" && err.position === 8
+    );
+    assert.deepEqual(decodeMultibase("f0000287fb4cd", { strict: true }), bytes);
+    assert.throws(() => decodeMultibase("baaaCq75uzu", { strict: true }), InvalidEncodingError);
+    assert.throws(() => decodeMultibase("BAAACq75UZU", { strict: true }), InvalidEncodingError);
+  });
+
+  it("converts CIDs between bases with the strict decoders", () => {
+    const cid = Buffer.from("287fb4cd", "hex");
+    const z = encodeMultibase(cid, "base58btc");
+    const b = encodeMultibase(cid, "base32");
+    const u = encodeMultibase(cid, "base64url");
+    assert.equal(convertB58btcToB32rfcCid(z), b);
+    assert.equal(convertB32rfcToB58btcCid(b), z);
+    assert.equal(convertB64urlToB58btcCid(u), z);
+    assert.equal(convertB58btcToB64urlCid(z), u);
+    assert.equal(convertB64urlToB32rfcCid(u), b);
+    assert.equal(convertB32rfcToB64urlCid(b), u);
+    assert.equal(convertDownloadDirectoryInputCid(z), b);
+    assert.equal(convertDownloadDirectoryInputCid(u), b);
+    assert.equal(convertDownloadDirectoryInputCid(b), b);
+  });
+
+  it("rejects invalid characters when converting CIDs", () => {
+    const invalid = [
+      [convertB58btcToB32rfcCid, "z11233QC0"],
+      [convertB58btcToB64urlCid, "z11233QC0"],
+      [convertB32rfcToB58btcCid, "baaaaq77uz1"],
+      [convertB32rfcToB64urlCid, "baaaaq77uz1"],
+      [convertB64urlToB58btcCid, "uAAAof7TN="],
+      [convertB64urlToB32rfcCid, "uAAAof7T+"],
+      [convertDownloadDirectoryInputCid, "z11233QC0"],
+      [convertDownloadDirectoryInputCid, "uAAAof7T+"],
+      [convertDownloadDirectoryInputCid, "baaaaq77uz1"],
+    ];
+    for (const [convert, cid] of invalid) {
+      assert.throws(() => convert(cid), InvalidEncodingError, `${convert.name}(${cid})`);
+    }
+    assert.throws(() => convertB58btcToB32rfcCid(encodeMultibase(bytes, "base32")), /Unsupported multibase prefix/);
+  });
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  signRegistryEntry,
+  verifyRegistryEntry,
+  serializeRegistryEntry,
+  deserializeRegistryEntry,
+  decodeRegistryEntryCid,
+} = require("../src/utils/registry");
+const fixtures = require("./fixtures/registry");
+
+describe("registry entries", () => {
+  it("sign the reference layout: record type, revision (u64 LE), data length and data", () => {
+    for (const { revision, data, signature } of fixtures.entries) {
+      const entry = signRegistryEntry(fixtures.seed, data, revision);
+      assert.deepEqual(entry.pk, fixtures.publicKey);
+      assert.equal(entry.revision, BigInt(revision));
+      assert.deepEqual(entry.signature, signature);
+    }
+  });
+
+  it("serialize to the bytes of the reference implementation", () => {
+    for (const { revision, data, serialized } of fixtures.entries) {
+      assert.deepEqual(serializeRegistryEntry(signRegistryEntry(fixtures.seed, data, revision)), serialized);
+    }
+  });
+
+  it("deserialize and verify entries of the reference implementation", () => {
+    for (const { revision, data, signature, serialized } of fixtures.entries) {
+      const entry = deserializeRegistryEntry(serialized);
+      assert.deepEqual(entry, { pk: fixtures.publicKey, revision: BigInt(revision), data, signature });
+      assert.equal(verifyRegistryEntry(entry), true);
+      assert.deepEqual(serializeRegistryEntry(entry), serialized);
+    }
+    const target = decodeRegistryEntryCid(fixtures.entries[2].data);
+    assert.equal(target.size, 13n);
+  });
+
+  it("reject modified entries", () => {
+    const { serialized } = fixtures.entries[1];
+    const entry = deserializeRegistryEntry(serialized);
+    assert.equal(verifyRegistryEntry({ ...entry, revision: 2n }), false);
+    assert.equal(verifyRegistryEntry({ ...entry, data: Buffer.from("hello s6") }), false);
+
+    assert.throws(() => deserializeRegistryEntry(Buffer.concat([serialized, Buffer.from([0])])), /wrong length/);
+    assert.throws(() => deserializeRegistryEntry(serialized.subarray(0, 100)), /too short|wrong length/);
+    assert.throws(
+      () => deserializeRegistryEntry(Buffer.concat([Buffer.from([0x08]), serialized.subarray(1)])),
+      /record type/
+    );
+  });
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { MemoryRegistryStore, FileRegistryStore } = require("../src/utils/registrystore");
+const { signRegistryEntry, compareRegistryEntries, encodeRegistryEntryCid } = require("../src/utils/registry");
+const { resolveCID, generateResolverCID } = require("../src/utils/resolver");
+const { generateTypedCIDFromMHash, generateMHashFromB3hash } = require("../src/utils/blake3tools");
+const { cidTypeRaw } = require("../src/utils/constants");
+const fixtures = require("./fixtures/registry");
+
+const { seed, publicKey } = fixtures;
+
+describe("MemoryRegistryStore", () => {
+  it("stores signed entries and returns copies", async () => {
+    const store = new MemoryRegistryStore();
+    assert.equal(await store.get(publicKey), null);
+
+    const entry = signRegistryEntry(seed, Buffer.from("hello s5"), 1);
+    assert.equal(await store.set(entry), true);
+    assert.equal(await store.set(entry), false);
+
+    const stored = await store.get(publicKey.subarray(1));
+    assert.deepEqual(stored, { ...entry, revision: 1n });
+    stored.data[0] = 0;
+    assert.deepEqual((await store.get(publicKey)).data, Buffer.from("hello s5"));
+  });
+
+  it("rejects a lower revision", async () => {
+    const store = new MemoryRegistryStore();
+    await store.set(signRegistryEntry(seed, Buffer.from("new"), 5));
+    await assert.rejects(
+      store.set(signRegistryEntry(seed, Buffer.from("old"), 4)),
+      /revision 4 is lower than the stored revision 5/
+    );
+    assert.deepEqual((await store.get(publicKey)).data, Buffer.from("new"));
+  });
+
+  it("decides equal revisions with compareRegistryEntries", async () => {
+    const a = signRegistryEntry(seed, Buffer.from("aaa"), 3);
+    const b = signRegistryEntry(seed, Buffer.from("bbb"), 3);
+    const [winner, loser] = compareRegistryEntries(a, b) > 0 ? [a, b] : [b, a];
+
+    // The same winner, whichever entry arrives first
+    for (const order of [
+      [loser, winner],
+      [winner, loser],
+    ]) {
+      const store = new MemoryRegistryStore();
+      await store.set(order[0]);
+      if (order[1] === loser) {
+        await assert.rejects(store.set(loser), /loses the tie-break/);
+      } else {
+        assert.equal(await store.set(winner), true);
+      }
+      assert.deepEqual((await store.get(publicKey)).data, winner.data);
+    }
+  });
+
+  it("rejects a bad signature", async () => {
+    const store = new MemoryRegistryStore();
+    const entry = signRegistryEntry(seed, Buffer.from("hello s5"), 1);
+    const forged = { ...entry, data: Buffer.from("hello s6") };
+    await assert.rejects(store.set(forged), /Invalid registry entry signature/);
+    const otherKey = { ...signRegistryEntry(Buffer.alloc(32, 0x42), entry.data, 1), pk: entry.pk };
+    await assert.rejects(store.set(otherKey), /Invalid registry entry signature/);
+    assert.equal(await store.get(publicKey), null);
+  });
+
+  it("publishes with increasing revisions and notifies subscribers until they unsubscribe", async () => {
+    const store = new MemoryRegistryStore();
+    const received = [];
+    const other = [];
+    const unsubscribe = store.subscribe(publicKey, (entry) => received.push(entry));
+    store.subscribe(publicKey.subarray(1), (entry) => other.push(entry));
+    store.subscribe(publicKey, () => {
+      throw new Error("failing subscriber");
+    });
+
+    await store.publish(seed, Buffer.from("first"));
+    await store.publish(seed, Buffer.from("second"));
+    assert.deepEqual(
+      received.map((entry) => [entry.revision, entry.data.toString()]),
+      [
+        [0n, "first"],
+        [1n, "second"],
+      ]
+    );
+
+    unsubscribe();
+    assert.equal(
+      store.unsubscribe(publicKey, () => {}),
+      false
+    );
+    await store.publish(seed, Buffer.from("third"));
+    assert.equal(received.length, 2);
+    assert.equal(other.length, 3);
+  });
+
+  it("serializes concurrent publishes", async () => {
+    const store = new MemoryRegistryStore();
+    const entries = await Promise.all([1, 2, 3].map((i) => store.publish(seed, Buffer.from(`data ${i}`))));
+    assert.deepEqual(
+      entries.map((entry) => entry.revision),
+      [0n, 1n, 2n]
+    );
+  });
+});
+
+describe("FileRegistryStore", () => {
+  it("keeps the entries across instances and resolves CIDs from them", async () => {
+    const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), "s5-registrystore-"));
+    try {
+      const rawCid = generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(Buffer.alloc(32, 0xab)), 13);
+      const first = new FileRegistryStore(path.join(dirPath, "registry"));
+      await first.publish(seed, Buffer.from("first"));
+      await first.publish(seed, encodeRegistryEntryCid(rawCid));
+
+      const second = new FileRegistryStore(path.join(dirPath, "registry"));
+      const entry = await second.get(publicKey);
+      assert.equal(entry.revision, 1n);
+      assert.deepEqual((await resolveCID(generateResolverCID(publicKey), second)).toBytes(), rawCid);
+      await assert.rejects(second.set(signRegistryEntry(seed, Buffer.from("old"), 0)), /lower than the stored/);
+      assert.deepEqual(fs.readdirSync(path.join(dirPath, "registry")), [publicKey.toString("hex")]);
+    } finally {
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { generateResolverCID, resolveCID } = require("../src/utils/resolver");
+const { signRegistryEntry, encodeRegistryEntryCid } = require("../src/utils/registry");
+const { S5Cid, generateTypedCIDFromMHash, generateMHashFromB3hash } = require("../src/utils/blake3tools");
+const { cidTypeRaw, cidTypeResolver } = require("../src/utils/constants");
+const fixtures = require("./fixtures/registry");
+
+const rawCid = generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(Buffer.alloc(32, 0xab)), 13);
+const seeds = [0x01, 0x02, 0x03].map((byte) => Buffer.alloc(32, byte));
+
+/**
+ * Creates a lookup function over registry entries, keyed by their multicoded public key.
+ *
+ * @param {Object[]} entries - The registry entries.
+ * @returns {Function} - The lookup function.
+ */
+function createLookup(entries) {
+  const byKey = new Map(entries.map((entry) => [entry.pk.toString("hex"), entry]));
+  return (pk) => byKey.get(pk.toString("hex")) || null;
+}
+
+/**
+ * Signs an entry that points the resolver CID of a seed to a target CID.
+ *
+ * @param {Buffer} seed - The ed25519 seed.
+ * @param {S5Cid|Buffer|string} target - The target CID.
+ * @returns {Object} - The registry entry.
+ */
+function pointTo(seed, target) {
+  return signRegistryEntry(seed, encodeRegistryEntryCid(target), 1);
+}
+
+/**
+ * Returns the resolver CID of a seed.
+ *
+ * @param {Buffer} seed - The ed25519 seed.
+ * @returns {Buffer} - The resolver CID bytes.
+ */
+function resolverOf(seed) {
+  return generateResolverCID(signRegistryEntry(seed, Buffer.alloc(0), 0).pk);
+}
+
+describe("generateResolverCID", () => {
+  it("prefixes the multicoded public key with the resolver CID type", () => {
+    const expected = Buffer.concat([Buffer.from([cidTypeResolver]), fixtures.publicKey]);
+    assert.deepEqual(generateResolverCID(fixtures.publicKey), expected);
+    assert.deepEqual(generateResolverCID(fixtures.publicKey.subarray(1)), expected);
+    assert.deepEqual(S5Cid.fromBytes(expected).publicKey, fixtures.publicKey.subarray(1));
+  });
+
+  it("rejects keys of the wrong length", () => {
+    assert.throws(() => generateResolverCID(Buffer.alloc(31)));
+  });
+});
+
+describe("resolveCID", () => {
+  it("resolves a resolver CID to a raw CID", async () => {
+    const lookup = createLookup([pointTo(seeds[0], rawCid)]);
+    const resolved = await resolveCID(S5Cid.fromBytes(resolverOf(seeds[0])).toString("base32"), lookup);
+    assert.deepEqual(resolved.toBytes(), rawCid);
+  });
+
+  it("follows chains of resolver CIDs with a lookup object", async () => {
+    const entries = [pointTo(seeds[0], resolverOf(seeds[1])), pointTo(seeds[1], rawCid)];
+    const store = { get: async (pk) => createLookup(entries)(pk) };
+    assert.deepEqual((await resolveCID(resolverOf(seeds[0]), store)).toBytes(), rawCid);
+  });
+
+  it("returns CIDs of other types unchanged", async () => {
+    const resolved = await resolveCID(rawCid, () => assert.fail("no lookup expected"));
+    assert.deepEqual(resolved.toBytes(), rawCid);
+  });
+
+  it("detects loops", async () => {
+    const lookup = createLookup([pointTo(seeds[0], resolverOf(seeds[1])), pointTo(seeds[1], resolverOf(seeds[0]))]);
+    await assert.rejects(resolveCID(resolverOf(seeds[0]), lookup), /form a loop/);
+  });
+
+  it("stops at the maximum depth", async () => {
+    const lookup = createLookup([
+      pointTo(seeds[0], resolverOf(seeds[1])),
+      pointTo(seeds[1], resolverOf(seeds[2])),
+      pointTo(seeds[2], rawCid),
+    ]);
+    await assert.rejects(resolveCID(resolverOf(seeds[0]), lookup, { maxDepth: 2 }), /maximum depth is 2/);
+    assert.deepEqual((await resolveCID(resolverOf(seeds[0]), lookup, { maxDepth: 3 })).toBytes(), rawCid);
+  });
+
+  it("rejects a missing registry entry", async () => {
+    const lookup = createLookup([pointTo(seeds[0], resolverOf(seeds[1]))]);
+    await assert.rejects(resolveCID(resolverOf(seeds[0]), lookup), /No registry entry found/);
+  });
+
+  it("rejects forged entries", async () => {
+    const entry = pointTo(seeds[0], rawCid);
+    const forged = { ...entry, signature: Buffer.from(entry.signature) };
+    forged.signature[0] ^= 1;
+    await assert.rejects(
+      resolveCID(resolverOf(seeds[0]), () => forged),
+      /Invalid registry entry signature/
+    );
+
+    // A valid entry of another key
+    await assert.rejects(
+      resolveCID(resolverOf(seeds[0]), () => pointTo(seeds[1], rawCid)),
+      /Invalid registry entry signature/
+    );
+  });
+
+  it("rejects entries that do not point to a CID", async () => {
+    const entry = signRegistryEntry(seeds[0], Buffer.from("hello s5"), 1);
+    await assert.rejects(
+      resolveCID(resolverOf(seeds[0]), () => entry),
+      /does not point to a CID/
+    );
+  });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bip39 = require("@scure/bip39");
+
+const {
+  validateSeedPhrase,
+  generateSeedPhrase,
+  deriveKey,
+  deriveRootKeyFromSeedPhrase,
+  deriveRegistryKeyPair,
+  deriveIdentityKeyPair,
+  deriveEncryptionKey,
+} = require("../src/utils/seed");
+
+// BIP-39 test vector of the Trezor reference implementation (entropy 0x00 * 16, passphrase "TREZOR")
+const phrase = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+const bip39Seed =
+  "c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04";
+
+// Known answers of the s5-utils key derivation for the phrase above, they must never change
+const vectors = {
+  rootKey: "48bbe2110da1b9763b81f3e933b1bdd7ff4042ed41c802ec200cd9b82920fff6",
+  registryPublicKey: "162051d9f2cded812e0868af7f573cab150be2d69b778e9b947bd80ecca83400",
+  blogRegistryPublicKey: "82c1e300c720d2105bfb5f1f467014255f979319c2fd9a8862533c9b19d696aa",
+  identityPublicKey: "a0bf7399aa13f58d02ba0a30939ae63d0d2d556b902fb113aa84277e89a8ec0d",
+  encryptionRootKey: "41ad09c8f05d6d413a4682f4e8118428a47f9597418d6e512379dba37cb9f57b",
+  photosEncryptionKey: "22f9a791e6bde92ed4d21815da37c90fb546be82f7856118c9fc50eaf64d7917",
+};
+
+// HKDF-SHA256 (RFC 5869) with a 32-byte output, written out to pin the scheme independently of deriveKey
+function hkdf(key, salt, info) {
+  const prk = crypto.createHmac("sha256", salt).update(key).digest();
+  return crypto
+    .createHmac("sha256", prk)
+    .update(Buffer.concat([Buffer.from(info), Buffer.from([1])]))
+    .digest();
+}
+
+describe("seed phrases", () => {
+  it("validates BIP-39 phrases with checksum, ignoring case and whitespace", () => {
+    assert.equal(validateSeedPhrase(phrase), true);
+    assert.equal(validateSeedPhrase(`  ${phrase.toUpperCase().replace(/ /g, "   ")} `), true);
+    assert.equal(validateSeedPhrase(phrase.replace(/about$/, "abandon")), false);
+    assert.equal(validateSeedPhrase(generateSeedPhrase(15)), true);
+    assert.throws(() => generateSeedPhrase(13), /Unsupported seed phrase length/);
+  });
+
+  it("uses the BIP-39 seed function", () => {
+    assert.equal(Buffer.from(bip39.mnemonicToSeedSync(phrase, "TREZOR")).toString("hex"), bip39Seed);
+    assert.deepEqual(
+      deriveRootKeyFromSeedPhrase(phrase, "TREZOR"),
+      hkdf(Buffer.from(bip39Seed, "hex"), "s5-utils key derivation", "root")
+    );
+  });
+
+  it("derives the known keys", () => {
+    const rootKey = deriveRootKeyFromSeedPhrase(phrase, "TREZOR");
+    assert.equal(rootKey.toString("hex"), vectors.rootKey);
+    assert.equal(deriveRegistryKeyPair(rootKey).publicKey.toString("hex"), vectors.registryPublicKey);
+    assert.equal(deriveRegistryKeyPair(rootKey, "blog").publicKey.toString("hex"), vectors.blogRegistryPublicKey);
+    assert.equal(deriveIdentityKeyPair(rootKey).publicKey.toString("hex"), vectors.identityPublicKey);
+    assert.equal(deriveEncryptionKey(rootKey).toString("hex"), vectors.encryptionRootKey);
+    assert.equal(deriveEncryptionKey(rootKey, "/photos//2023/").toString("hex"), vectors.photosEncryptionKey);
+  });
+
+  it("derives path keys from the directory key", () => {
+    const rootKey = Buffer.from(vectors.rootKey, "hex");
+    const photosKey = deriveEncryptionKey(rootKey, "photos");
+    assert.deepEqual(deriveKey(photosKey, "2023"), Buffer.from(vectors.photosEncryptionKey, "hex"));
+    assert.deepEqual(
+      photosKey,
+      hkdf(hkdf(rootKey, "s5-utils key derivation", "encryption"), "s5-utils key derivation", "photos")
+    );
+  });
+
+  it("rejects invalid phrases", () => {
+    assert.throws(() => deriveRootKeyFromSeedPhrase("not a seed phrase"), /Invalid seed phrase/);
+  });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toFileSize, encodeFileSize, decodeFileSize } = require("../src/utils/tools");
+const { S5Cid, generateTypedCIDFromMHash, generateMHashFromB3hash } = require("../src/utils/blake3tools");
+const { cidTypeRaw, mhashBlake3Default } = require("../src/utils/constants");
+
+describe("file size codec", () => {
+  it("encodes Number and BigInt sizes alike", () => {
+    for (const [size, hex] of [
+      [0, ""],
+      [13, "0d"],
+      [256, "0001"],
+      [Number.MAX_SAFE_INTEGER, "ffffffffffff1f"],
+    ]) {
+      assert.equal(encodeFileSize(size).toString("hex"), hex, `size ${size}`);
+      assert.equal(encodeFileSize(BigInt(size)).toString("hex"), hex, `size ${size}n`);
+    }
+    assert.equal(encodeFileSize(2n ** 64n - 1n).toString("hex"), "ffffffffffffffff");
+  });
+
+  it("decodes exact BigInt sizes from Buffers and Uint8Arrays", () => {
+    assert.equal(decodeFileSize(Buffer.alloc(0)), 0n);
+    assert.equal(decodeFileSize(Buffer.from([0])), 0n);
+    assert.equal(decodeFileSize(new Uint8Array([0x00, 0x01])), 256n);
+    assert.equal(decodeFileSize(Buffer.from("01000000000020", "hex")), 2n ** 53n + 1n);
+  });
+
+  it("rejects sizes that are not exact unsigned 64-bit integers", () => {
+    assert.throws(() => encodeFileSize(-1), /Invalid file size -1/);
+    assert.throws(() => encodeFileSize(1.5), /expected an integer/);
+    assert.throws(() => encodeFileSize(2 ** 53), /use a BigInt/);
+    assert.throws(() => encodeFileSize(2n ** 64n), /Invalid file size/);
+    assert.throws(() => encodeFileSize("13"), /expected a number or a BigInt/);
+    assert.throws(() => toFileSize(undefined), /expected a number or a BigInt/);
+    assert.throws(() => decodeFileSize(Buffer.alloc(9, 1)), /at most 8 bytes/);
+    assert.throws(() => decodeFileSize(Buffer.from([1, 0])), /trailing bytes/);
+  });
+
+  it("stores Number and BigInt CID sizes as the same BigInt", () => {
+    const hash = Buffer.alloc(32, 0xab);
+    const fromNumber = new S5Cid(cidTypeRaw, mhashBlake3Default, hash, 13);
+    const fromBigInt = new S5Cid(cidTypeRaw, mhashBlake3Default, hash, 13n);
+    assert.equal(fromNumber.size, 13n);
+    assert.ok(fromNumber.equals(fromBigInt));
+    assert.deepEqual(fromNumber.toBytes(), generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(hash), 13));
+  });
+});
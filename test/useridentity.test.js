@@ -0,0 +1,115 @@
+"use strict";
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { UserIdentity, createAuthPayload, decodeAuthPayload, verifyAuthPayload } = require("../src/utils/useridentity");
+const { generateResolverCID } = require("../src/utils/resolver");
+const { S5Cid } = require("../src/utils/blake3tools");
+const { cidTypeUserIdentity, userIdentityLinkProfile } = require("../src/utils/constants");
+const fixtures = require("./fixtures/registry");
+
+const otherSeed = Buffer.alloc(32, 0x42);
+const now = 1700000000000;
+const challenge = Buffer.alloc(32, 0x07);
+
+describe("UserIdentity", () => {
+  it("round-trips its links and extension fields", async () => {
+    const identity = new UserIdentity({
+      publicKey: fixtures.publicKey.subarray(1),
+      extraMetadata: new Map([[9, "x"]]),
+    });
+    identity.profile = generateResolverCID(fixtures.publicKey);
+    identity.setLink(0x05, generateResolverCID(fixtures.publicKey));
+
+    const decoded = UserIdentity.fromBytes(identity.toBytes());
+    assert.deepEqual(decoded.publicKey, fixtures.publicKey);
+    assert.deepEqual(decoded.links.get(userIdentityLinkProfile).toBytes(), generateResolverCID(fixtures.publicKey));
+    assert.equal(decoded.links.size, 2);
+    assert.equal(decoded.publicFileSystem, undefined);
+    assert.deepEqual(decoded.extraMetadata, new Map([[9, "x"]]));
+    assert.deepEqual(decoded.toBytes(), identity.toBytes());
+
+    const cid = S5Cid.fromBytes(await identity.generateCID());
+    assert.equal(cid.type, cidTypeUserIdentity);
+    decoded.profile = undefined;
+    assert.notDeepEqual(await decoded.generateCID(), cid.toBytes());
+  });
+
+  it("rejects blobs that are not user identities", () => {
+    assert.throws(() => UserIdentity.fromBytes(Buffer.from("not metadata")));
+    assert.throws(() => new UserIdentity({ publicKey: Buffer.alloc(31) }));
+  });
+});
+
+describe("auth payloads", () => {
+  const identity = new UserIdentity({ publicKey: fixtures.publicKey });
+  let identityCid;
+  let payload;
+
+  before(async () => {
+    identityCid = await identity.generateCID();
+    payload = createAuthPayload(fixtures.seed, { identityCid, challenge, audience: "s5.example.com", timestamp: now });
+  });
+
+  it("round-trips and verifies", async () => {
+    const decoded = decodeAuthPayload(payload);
+    assert.deepEqual(decoded.identityCid.toBytes(), identityCid);
+    assert.deepEqual(decoded.publicKey, fixtures.publicKey);
+    assert.deepEqual(decoded.challenge, challenge);
+    assert.equal(decoded.timestamp, now);
+    assert.equal(decoded.audience, "s5.example.com");
+    assert.deepEqual(decoded.signature, payload.subarray(1, 65));
+
+    assert.equal(await verifyAuthPayload(payload, { identity, challenge, audience: "s5.example.com", now }), true);
+    assert.equal(await verifyAuthPayload(new Uint8Array(payload), { identity, challenge, now: now + 1000 }), true);
+  });
+
+  it("rejects a tampered signature or tampered fields", async () => {
+    for (const position of [1, 64, payload.length - 1]) {
+      const tampered = Buffer.from(payload);
+      tampered[position] ^= 1;
+      assert.equal(await verifyAuthPayload(tampered, { identity, challenge, now }), false, String(position));
+    }
+  });
+
+  it("rejects a payload signed by another key", async () => {
+    const forged = createAuthPayload(otherSeed, { identityCid, challenge, timestamp: now });
+    assert.equal(await verifyAuthPayload(forged, { identity, challenge, now }), false);
+
+    // Signed by the key of another identity
+    const other = new UserIdentity({ publicKey: decodeAuthPayload(forged).publicKey });
+    assert.equal(await verifyAuthPayload(payload, { identity: other, challenge, now }), false);
+    const otherPayload = createAuthPayload(otherSeed, {
+      identityCid: await other.generateCID(),
+      challenge,
+      timestamp: now,
+    });
+    assert.equal(await verifyAuthPayload(otherPayload, { identity: other, challenge, now }), true);
+  });
+
+  it("rejects another identity, challenge, audience or an old payload", async () => {
+    const linked = new UserIdentity({ publicKey: fixtures.publicKey });
+    linked.profile = generateResolverCID(fixtures.publicKey);
+    assert.equal(await verifyAuthPayload(payload, { identity: linked, challenge, now }), false);
+    assert.equal(await verifyAuthPayload(payload, { identity, challenge: "other", now }), false);
+    assert.equal(await verifyAuthPayload(payload, { identity, challenge, audience: "other.example.com", now }), false);
+    assert.equal(await verifyAuthPayload(payload, { identity, challenge, now: now + 5 * 60 * 1000 + 1 }), false);
+    assert.equal(await verifyAuthPayload(payload, { identity, challenge, now: now - 2000, maxAge: 1000 }), false);
+  });
+
+  it("rejects truncated payloads", async () => {
+    for (const length of [0, 1, 65, 66, payload.length - 1]) {
+      const truncated = payload.subarray(0, length);
+      assert.throws(() => decodeAuthPayload(truncated), Error, String(length));
+      assert.equal(await verifyAuthPayload(truncated, { identity, challenge, now }), false, String(length));
+    }
+  });
+
+  it("requires a user identity CID", () => {
+    assert.throws(
+      () => createAuthPayload(fixtures.seed, { identityCid: generateResolverCID(fixtures.publicKey), challenge }),
+      /expected a user identity CID/
+    );
+  });
+});
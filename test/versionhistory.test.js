@@ -0,0 +1,123 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { S5Cid } = require("../src/utils/blake3tools");
+const { getVersionHistory } = require("../src/utils/versionhistory");
+const { createFetcher } = require("./fixtures/versionhistory");
+
+describe("getVersionHistory", () => {
+  it("orders a chain of previous versions", async () => {
+    const fetcher = createFetcher();
+    const v1 = await fetcher.addVersion("v1", { timestamp: 1000 });
+    const v2 = await fetcher.addVersion("v2", { timestamp: 2000, previousVersions: [v1] });
+    const v3 = await fetcher.addVersion("v3", { timestamp: 3000, previousVersions: [v2] });
+
+    const result = await getVersionHistory(v3, fetcher);
+    assert.deepEqual(
+      result.history.map((version) => version.cid.toString()),
+      [v1, v2, v3].map((cid) => cid.toString())
+    );
+    assert.ok(result.latest.cid.equals(v3));
+    assert.equal(result.versions.get(v1).supersededBy[0].toString(), v2.toString());
+    assert.equal(result.hasCycles, false);
+    assert.equal(result.truncated, false);
+  });
+
+  it("follows the update CID and breaks the cycle of a rollback", async () => {
+    const fetcher = createFetcher();
+    const v1 = await fetcher.addVersion("v1", { timestamp: 1000, updateCID: fetcher.updateCID });
+    const v2 = await fetcher.addVersion("v2", {
+      timestamp: 2000,
+      previousVersions: [v1],
+      updateCID: fetcher.updateCID,
+    });
+
+    fetcher.setUpdate(v2);
+    let result = await getVersionHistory(v1, fetcher);
+    assert.ok(result.latest.cid.equals(v2));
+    assert.equal(result.hasCycles, false);
+
+    // Rolled back to v1: v2 lists v1 as previous version, the update CID of v2 points back to v1
+    fetcher.setUpdate(v1);
+    result = await getVersionHistory(v2, fetcher);
+    assert.equal(result.hasCycles, true);
+    assert.ok(result.latest.cid.equals(v1));
+    assert.equal(result.history.length, 2);
+  });
+
+  it("marks the versions of a deleted update CID", async () => {
+    const fetcher = createFetcher();
+    const v1 = await fetcher.addVersion("v1", { timestamp: 1000, updateCID: fetcher.updateCID });
+    fetcher.setUpdate(null);
+
+    const result = await getVersionHistory(v1, fetcher);
+    assert.equal(result.deleted, true);
+    assert.equal(result.latest.deleted, true);
+  });
+
+  it("keeps missing blobs apart from blobs that fail", async () => {
+    const fetcher = createFetcher();
+    const missing = await fetcher.addVersion("missing", { timestamp: 500 }, false);
+    const corrupted = await fetcher.addVersion("corrupted", { timestamp: 600 });
+    fetcher.blobs.set(corrupted, Buffer.from("not the blob of the CID"));
+    // A raw CID with a SHA-256 multihash, its blob can not be verified
+    const unverifiable = S5Cid.fromBytes(
+      Buffer.concat([Buffer.from([0x26, 0x12]), Buffer.alloc(32, 1), Buffer.from([4])])
+    );
+    fetcher.blobs.set(unverifiable, Buffer.from("blob"));
+    const v1 = await fetcher.addVersion("v1", {
+      timestamp: 1000,
+      previousVersions: [missing, corrupted, unverifiable],
+    });
+
+    const result = await getVersionHistory(v1, fetcher);
+    assert.equal(result.versions.size, 4);
+
+    const missingVersion = result.versions.get(missing);
+    assert.equal(missingVersion.missing, true);
+    assert.equal(missingVersion.error, undefined);
+
+    const corruptedVersion = result.versions.get(corrupted);
+    assert.equal(corruptedVersion.missing, false);
+    assert.match(corruptedVersion.error, /does not match the hash/);
+    assert.equal(corruptedVersion.extensions, null);
+
+    const unverifiableVersion = result.versions.get(unverifiable);
+    assert.equal(unverifiableVersion.missing, false);
+    assert.match(unverifiableVersion.error, /Unsupported hash algorithm 0x12/);
+
+    assert.ok(result.latest.cid.equals(v1));
+  });
+
+  it("reports a throwing fetcher as error", async () => {
+    const fetcher = createFetcher();
+    const v1 = await fetcher.addVersion("v1");
+    fetcher.getBlob = async () => {
+      throw new Error("Network down");
+    };
+
+    const result = await getVersionHistory(v1, fetcher);
+    assert.equal(result.versions.get(v1).missing, false);
+    assert.equal(result.versions.get(v1).error, "Network down");
+    assert.equal(result.latest, null);
+  });
+
+  it("stops at maxVersions", async () => {
+    const fetcher = createFetcher();
+    let cid = await fetcher.addVersion("v0", { timestamp: 0 });
+    for (let i = 1; i < 5; i++) {
+      cid = await fetcher.addVersion(`v${i}`, { timestamp: i * 1000, previousVersions: [cid] });
+    }
+
+    const result = await getVersionHistory(cid, fetcher, { maxVersions: 3 });
+    assert.equal(result.truncated, true);
+    assert.equal(result.versions.size, 3);
+    assert.ok(result.latest.cid.equals(cid));
+    assert.deepEqual(
+      result.history.map((version) => version.timestamp),
+      [2000, 3000, 4000]
+    );
+  });
+});
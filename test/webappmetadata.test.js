@@ -0,0 +1,143 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { buildWebAppMetadata, encodeWebAppMetadata, decodeWebAppMetadata } = require("../src/utils/webappmetadata");
+const { encodeMetadataBlob } = require("../src/utils/metadata");
+const {
+  S5Cid,
+  calculateB3hashFromFile,
+  generateTypedCIDFromMHash,
+  generateMHashFromB3hash,
+} = require("../src/utils/blake3tools");
+const {
+  cidTypeRaw,
+  cidTypeMetadataMedia,
+  cidTypeMetadataWebApp,
+  metadataTypeWebApp,
+} = require("../src/utils/constants");
+
+// A small build folder with an index page, an error page, assets and a sub folder
+const buildPath = path.join(__dirname, "fixtures", "webapp");
+const rawCid = generateTypedCIDFromMHash(cidTypeRaw, generateMHashFromB3hash(Buffer.alloc(32, 0xab)), 13);
+
+describe("buildWebAppMetadata", () => {
+  it("lists every file of the build folder with its raw CID and content type", async () => {
+    const { metadata, blob, cid } = await buildWebAppMetadata(buildPath, {
+      name: "test app",
+      errorPages: { 404: "/404.html" },
+    });
+    assert.equal(cid.type, cidTypeMetadataWebApp);
+    assert.deepEqual(decodeWebAppMetadata(blob), metadata);
+    assert.equal(metadata.name, "test app");
+    assert.deepEqual(metadata.tryFiles, ["index.html"]);
+    assert.deepEqual(metadata.errorPages, new Map([[404, "404.html"]]));
+    assert.deepEqual(
+      [...metadata.paths.keys()],
+      ["404.html", "assets/app.js", "assets/style.css", "docs/index.html", "index.html"]
+    );
+    assert.equal(metadata.paths.get("index.html").contentType, "text/html");
+    assert.equal(metadata.paths.get("assets/style.css").contentType, "text/css");
+
+    const indexPath = path.join(buildPath, "index.html");
+    const index = metadata.paths.get("index.html");
+    assert.equal(index.cid.type, cidTypeRaw);
+    assert.deepEqual(index.cid.hash, await calculateB3hashFromFile(indexPath));
+    assert.equal(index.size, BigInt(fs.statSync(indexPath).size));
+  });
+
+  it("keeps the tryFiles in order", async () => {
+    const { metadata } = await buildWebAppMetadata(buildPath, { tryFiles: ["index.html", "404.html"] });
+    assert.deepEqual(metadata.tryFiles, ["index.html", "404.html"]);
+    assert.deepEqual(metadata.errorPages, new Map());
+  });
+
+  it("rejects error pages that are not in the build folder", async () => {
+    await assert.rejects(
+      buildWebAppMetadata(buildPath, { errorPages: new Map([[500, "500.html"]]) }),
+      /The error page 500.html for status 500 does not exist/
+    );
+  });
+
+  it("rejects status codes outside 400 to 599", async () => {
+    for (const code of [200, 399, 600, "abc"]) {
+      await assert.rejects(
+        buildWebAppMetadata(buildPath, { errorPages: { [code]: "404.html" } }),
+        /expected 400 to 599/,
+        String(code)
+      );
+    }
+  });
+});
+
+describe("web app metadata blobs", () => {
+  const metadata = {
+    name: "test app",
+    tryFiles: ["index.html", "app.html"],
+    errorPages: { 404: "/404.html", 503: "./offline.html" },
+    paths: new Map([
+      ["/index.html", { cid: S5Cid.fromBytes(rawCid).toString(), contentType: "text/html" }],
+      ["404.html", { cid: rawCid }],
+    ]),
+    extraMetadata: new Map([[1, "extension"]]),
+  };
+
+  it("round-trips through encode and decode", () => {
+    const decoded = decodeWebAppMetadata(encodeWebAppMetadata(metadata));
+    assert.equal(decoded.name, "test app");
+    assert.deepEqual(decoded.tryFiles, ["index.html", "app.html"]);
+    assert.deepEqual(
+      decoded.errorPages,
+      new Map([
+        [404, "404.html"],
+        [503, "offline.html"],
+      ])
+    );
+    assert.deepEqual([...decoded.paths.keys()], ["index.html", "404.html"]);
+    assert.deepEqual(decoded.paths.get("index.html").cid.toBytes(), rawCid);
+    assert.equal(decoded.paths.get("index.html").contentType, "text/html");
+    assert.equal(decoded.paths.get("404.html").contentType, "application/octet-stream");
+    assert.equal(decoded.paths.get("404.html").size, 13n);
+    assert.deepEqual(decoded.extraMetadata, new Map([[1, "extension"]]));
+
+    assert.deepEqual(encodeWebAppMetadata(decoded), encodeWebAppMetadata(metadata));
+  });
+
+  it("rejects CIDs that are not raw", () => {
+    const mediaCid = generateTypedCIDFromMHash(cidTypeMetadataMedia, generateMHashFromB3hash(Buffer.alloc(32, 0xab)));
+    assert.throws(
+      () => encodeWebAppMetadata({ paths: new Map([["index.html", { cid: mediaCid }]]) }),
+      /Invalid CID of index.html, expected a raw CID/
+    );
+    const blob = encodeMetadataBlob(metadataTypeWebApp, [
+      null,
+      [],
+      new Map(),
+      new Map([["index.html", [mediaCid, "text/html"]]]),
+      new Map(),
+    ]);
+    assert.throws(() => decodeWebAppMetadata(blob), /index.html does not have a raw CID/);
+  });
+
+  it("rejects status codes outside 400 to 599", () => {
+    assert.throws(
+      () => encodeWebAppMetadata({ errorPages: { 302: "index.html" }, paths: new Map() }),
+      /Invalid error page status code 302/
+    );
+  });
+
+  it("rejects blobs with paths or tryFiles that are not strings", () => {
+    for (const [tryFiles, paths] of [
+      [[42], new Map()],
+      [["index.html"], new Map([[1, [rawCid, "text/html"]]])],
+      [["index.html"], new Map([["index.html", [rawCid]]])],
+      ["index.html", new Map()],
+    ]) {
+      const blob = encodeMetadataBlob(metadataTypeWebApp, [null, tryFiles, new Map(), paths, new Map()]);
+      assert.throws(() => decodeWebAppMetadata(blob), /Invalid web app metadata/);
+    }
+  });
+});